@@ -1,18 +1,53 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
+import { describeModel, generateText, resolveProvider } from './providers';
+import { ApiError } from './providers/http';
+import { buildImageAnalysisText, buildPromptText, buildRefinementText } from './promptBuilder';
+import { copyText } from './clipboard';
+import { createShot } from './shots';
+import { DEFAULT_FORM, FIELD_OPTIONS, FORM_FIELDS, toFormState } from './formFields';
+import { addHistoryEntry, createHistoryEntry, deleteEntry, loadHistory, saveHistory, toggleStar } from './historyStore';
+import HistoryPanel from './HistoryPanel';
+import { loadSettings, saveSettings } from './settingsStore';
+import SettingsPanel from './SettingsPanel';
+import { FORMAT_ASPECT_RATIOS, VEO_RESPONSE_SCHEMA, composeFlatPrompt, parseStructuredPrompt } from './structuredPrompt';
+import StructuredPromptEditor from './StructuredPromptEditor';
+import VariationGrid from './VariationGrid';
+import { addRevision, startRefinement } from './refinement';
+import RefinementPanel from './RefinementPanel';
+import { applyPreset, loadPresets, savePresets } from './presets';
+import PresetPanel from './PresetPanel';
+import { downloadFile } from './download';
+import StoryboardEditor from './StoryboardEditor';
+import StoryboardOutput from './StoryboardOutput';
+import CinematicControls from './CinematicControls';
+import AudioSection from './AudioSection';
+import { expandReferences, loadBible, saveBible } from './bible';
+import BiblePanel from './BiblePanel';
+import BatchPanel from './BatchPanel';
+import { applyLintFix, lintPrompt } from './promptLint';
+import PromptLintPanel from './PromptLintPanel';
+import { buildShareUrl, decodeShareFragment, mergeSharedBible } from './shareLink';
+import { IMAGE_FIELDS_SCHEMA, parseImageFields, toImageParts } from './referenceImages';
+import ReferenceImageInput from './ReferenceImageInput';
+import ThumbnailStrip from './ThumbnailStrip';
+import { I18nProvider, LocalizedError, UI_LANGUAGES, useTranslation } from './i18n';
+
+// Whether a request failed only because the user pressed Cancel
+const isCancelled = (err) => err instanceof ApiError && err.kind === 'cancelled';
+
+// Merges changes into the variation card with the given id
+const updateVariation = (variations, id, changes) =>
+    variations.map((variation) => (variation.id === id ? { ...variation, ...changes } : variation));
 
 // Main App component for the Veo 3 Prompt Generator
 const App = () => {
-    // State variables for all user inputs
-    const [sceneDescription, setSceneDescription] = useState(''); // Detailed description of the scene
-    const [subjectFocus, setSubjectFocus] = useState('');       // Main subject of the video
-    const [cameraMovements, setCameraMovements] = useState(''); // Desired camera actions
-    const [visualStyle, setVisualStyle] = useState('');         // Overall artistic style
-    const [timeOfDay, setTimeOfDay] = useState('Day');          // Time of day setting
-    const [genre, setGenre] = useState('Sci-fi');               // Video genre
-    const [lightingConditions, setLightingConditions] = useState('Soft'); // Lighting mood
-    const [additionalKeywords, setAdditionalKeywords] = useState(''); // Extra descriptive words
-    const [textToSpeech, setTextToSpeech] = useState('');       // Text to be converted to speech in video
-    const [videoFormat, setVideoFormat] = useState('landscape'); // Output video aspect ratio
+    const { language, setLanguage, t, errorMessage } = useTranslation();
+
+    // All user inputs live in one object so they can be snapshotted and restored (see formFields.js)
+    const [form, setForm] = useState(DEFAULT_FORM);
+
+    // Updates a single form field
+    const updateField = (field, value) => setForm((prev) => ({ ...prev, [field]: value }));
 
     // State for the generated prompt, loading status, errors, and copy message
     const [generatedPrompt, setGeneratedPrompt] = useState('');
@@ -20,6 +55,58 @@ const App = () => {
     const [error, setError] = useState('');
     const [copyMessage, setCopyMessage] = useState(''); // Corrected state setter name
 
+    // Share links: whether a copied link carries the prompt, and the outcome of opening one ({ rejected } or { error })
+    const [includePromptInLink, setIncludePromptInLink] = useState(true);
+    const [sharedLink, setSharedLink] = useState(null);
+
+    // Controller of the running generation, refinement or prefill, aborted by the Cancel button.
+    // Only one of these runs at a time; the controls that start them are disabled meanwhile.
+    const abortController = useRef(null);
+    // Controllers of variation cards being refined, by card id, so each card can run on its own
+    const cardControllers = useRef(new Map());
+
+    // Variations: how many prompts to request at once and how creative the model should be
+    const [variationCount, setVariationCount] = useState(1);
+    const [temperature, setTemperature] = useState(1);
+    const [variations, setVariations] = useState([]); // [{ id, status, prompt, structured, error, winner }]
+
+    // Refinement chat: every version of the current prompt, and which one is shown
+    const [versions, setVersions] = useState([]);
+    const [activeVersionId, setActiveVersionId] = useState(null);
+    const [isRefining, setIsRefining] = useState(false);
+
+    // Structured mode: the model returns Veo-specific JSON fields that can be edited before composing
+    const [isStructured, setIsStructured] = useState(false);
+    const [structuredPrompt, setStructuredPrompt] = useState(null);
+
+    // Storyboard mode: several shots sharing the global fields above
+    const [isStoryboard, setIsStoryboard] = useState(false);
+    const [shots, setShots] = useState(() => [createShot()]);
+    const [shotResults, setShotResults] = useState({}); // { [shotId]: { prompt } | { error } }
+
+    // Local history of past generations, persisted across reloads
+    const [history, setHistory] = useState(loadHistory);
+
+    // User-defined presets (built-in starters live in presets.js), persisted locally
+    const [presets, setPresets] = useState(loadPresets);
+
+    // Reference images sent with the next generation, and thumbnails of those behind the shown result
+    const [referenceImages, setReferenceImages] = useState([]); // [{ id, name, mimeType, data, thumbnail }]
+    const [resultThumbnails, setResultThumbnails] = useState([]);
+    // Form values behind the shown result, which the linter checks it against while the form moves on
+    const [resultInputs, setResultInputs] = useState(null);
+    const [isPrefilling, setIsPrefilling] = useState(false);
+
+    // Saved characters and locations that the form references by id, persisted locally
+    const [bible, setBible] = useState(loadBible);
+    // The latest bible, for the share link listener that is registered once
+    const bibleRef = useRef(bible);
+    bibleRef.current = bible;
+
+    // Selected LLM provider and its per-provider config, persisted locally
+    const [settings, setSettings] = useState(loadSettings);
+    const [showSettings, setShowSettings] = useState(false);
+
     // State to indicate if authentication is ready for API calls
     // In a production Canvas environment, Firebase auth would initialize here.
     // For local testing and replicating the static site, we assume readiness quickly.
@@ -37,100 +124,432 @@ const App = () => {
         return () => clearTimeout(timer);
     }, []);
 
+    // Open a share link on load, and when one is pasted into the address bar of an open tab
+    useEffect(() => {
+        const openSharedLink = () => {
+            let shared;
+            try {
+                shared = decodeShareFragment(window.location.hash);
+            } catch (err) {
+                console.error('Failed to open share link:', err);
+                setSharedLink({ error: err });
+            }
+            if (shared) {
+                // Shared characters and locations join the local bible so the references resolve,
+                // without overwriting local entries
+                const merged = mergeSharedBible(bibleRef.current, shared);
+                setBible(merged.bible);
+                setForm(merged.form);
+                setIsStoryboard(shared.settings.storyboard);
+                setIsStructured(shared.settings.structured);
+                setTemperature(shared.settings.temperature);
+                setVariationCount(shared.settings.variationCount);
+                setShots(shared.shots.length > 0 ? shared.shots : [createShot()]);
+                setShotResults({});
+                if (shared.prompt) {
+                    setGeneratedPrompt(shared.prompt);
+                    setStructuredPrompt(null);
+                    setResultInputs(merged.form);
+                    setResultThumbnails([]);
+                    setVariations([]);
+                    setVersions([]);
+                }
+                setSharedLink({ rejected: shared.rejected, copied: merged.copied });
+            }
+            if (shared !== null) {
+                // Drop the fragment so reloading does not overwrite later edits
+                window.history.replaceState(null, '', `${window.location.pathname}${window.location.search}`);
+            }
+        };
+        openSharedLink();
+        window.addEventListener('hashchange', openSharedLink);
+        return () => window.removeEventListener('hashchange', openSharedLink);
+    }, []);
+
+    // Persist history whenever it changes
+    useEffect(() => {
+        saveHistory(history);
+    }, [history]);
+
+    // Persist user presets whenever they change
+    useEffect(() => {
+        savePresets(presets);
+    }, [presets]);
+
+    // Persist the character and location bible whenever it changes
+    useEffect(() => {
+        saveBible(bible);
+    }, [bible]);
+
+    // Persist provider settings whenever they change
+    useEffect(() => {
+        saveSettings(settings);
+    }, [settings]);
+
+    /**
+     * Starts a cancellable operation, aborting any previous one that is still running.
+     * @returns {AbortSignal} The signal to pass to every request of the operation.
+     */
+    const beginRequest = () => {
+        abortController.current?.abort();
+        abortController.current = new AbortController();
+        return abortController.current.signal;
+    };
+
+    // Cancels every request of the running operation, including any card refinements
+    const cancelRequest = () => {
+        abortController.current?.abort();
+        cardControllers.current.forEach((controller) => controller.abort());
+    };
+
+    // Message for a failed card or shot; a cancellation is reported as-is
+    const describeFailure = (key, err) => (isCancelled(err) ? errorMessage(err) : t(key, { message: errorMessage(err) }));
+
     /**
-     * Function to generate the comprehensive video prompt using the Gemini API.
+     * Sends one generation request with the current provider settings.
+     * In structured mode the JSON fields are parsed and recomposed into the flat prompt.
+     * @param {object} options - Extra buildPromptText options (e.g. a draft to refine).
+     * @param {AbortSignal} [signal] - Cancels the request.
+     * @param {Function} [onProgress] - Receives the partial prompt while it streams (flat mode only,
+     *   since half a JSON object is of no use to the reader).
+     * @param {object} [values] - Form values to generate from; defaults to the current form (a batch row passes its own).
+     * @returns {Promise<{ prompt: string, structured: object|null, request: string, reply: string, inputs: object, thumbnails: string[] }>}
+     *   Besides the result: the meta-prompt as sent, the model's raw answer, and the form values
+     *   and image thumbnails behind it, since the form may change before a variation is picked.
+     */
+    const requestPrompt = async (options = {}, signal, onProgress, values = form) => {
+        const inputs = expandReferences(values, bible);
+        const request = {
+            prompt: buildPromptText(inputs, { ...options, structured: isStructured, imageCount: referenceImages.length }),
+            inputs,
+            temperature,
+        };
+        if (referenceImages.length > 0) {
+            request.images = toImageParts(referenceImages);
+        }
+        if (isStructured) {
+            request.responseSchema = VEO_RESPONSE_SCHEMA;
+        }
+        const text = await generateText(request, settings, { signal, onProgress: isStructured ? undefined : onProgress });
+        const exchange = { request: request.prompt, reply: text, inputs: values, thumbnails: referenceImages.map((image) => image.thumbnail) };
+        if (!isStructured) {
+            return { prompt: text, structured: null, ...exchange };
+        }
+        const { data, errors, raw } = parseStructuredPrompt(text, {
+            aspectRatio: FORMAT_ASPECT_RATIOS[values.videoFormat],
+            duration: Number(values.duration),
+        });
+        if (!data) throw new LocalizedError(errors[0].key, errors[0].params);
+        // Invalid fields are flagged in the editor rather than failing the generation: the flat
+        // prompt falls back to the form's aspect ratio and duration, while the editor keeps the
+        // model's values so they are reported until the user fixes them
+        const structured = { ...data, aspectRatio: raw.aspectRatio, duration: raw.duration };
+        return { prompt: composeFlatPrompt(data), structured, ...exchange };
+    };
+
+    /**
+     * Shows a result as the current prompt, starts a new refinement thread from the exchange
+     * that produced it and records it in the history.
+     * @param {object} result - From requestPrompt.
+     */
+    const acceptResult = ({ prompt, structured, request, reply, inputs, thumbnails }) => {
+        setGeneratedPrompt(prompt);
+        setStructuredPrompt(structured);
+        setResultThumbnails(thumbnails);
+        setResultInputs(inputs);
+        setCopyMessage('');
+        setVersions(startRefinement({ request, prompt, structured, reply, inputs }));
+        setActiveVersionId(1);
+        setHistory((prev) => addHistoryEntry(prev, createHistoryEntry({ inputs, prompt, structured, model: describeModel(settings), thumbnails, request, reply })));
+    };
+
+    /**
+     * Sends a follow-up instruction about the active version, continuing its conversation.
+     * The revision becomes the active version and is saved to history like any generation,
+     * with the inputs of the version it refines and the conversation so far.
+     */
+    const refinePrompt = async (instruction) => {
+        const parent = versions.find((version) => version.id === activeVersionId);
+        setError('');
+        setIsRefining(true);
+        const signal = beginRequest();
+        try {
+            const request = buildRefinementText(instruction);
+            const inputs = expandReferences(parent.inputs, bible);
+            const prompt = await generateText({ prompt: request, history: parent.turns, instruction, inputs, temperature }, settings, {
+                signal,
+                onProgress: setGeneratedPrompt,
+            });
+            const next = addRevision(versions, parent, { instruction, request, prompt });
+            setVersions(next);
+            setActiveVersionId(next[next.length - 1].id);
+            setGeneratedPrompt(prompt);
+            setStructuredPrompt(null);
+            setResultInputs(parent.inputs);
+            setCopyMessage('');
+            setHistory((prev) => addHistoryEntry(prev, createHistoryEntry({
+                inputs: parent.inputs, prompt, model: describeModel(settings), thumbnails: resultThumbnails, request, reply: prompt, earlierTurns: parent.turns,
+            })));
+        } catch (err) {
+            console.error("Error refining prompt:", err);
+            setGeneratedPrompt(parent.prompt); // Drop any partially streamed revision
+            if (!isCancelled(err)) setError(t('messages.refineError', { message: errorMessage(err) }));
+        } finally {
+            setIsRefining(false);
+        }
+    };
+
+    /**
+     * Makes an earlier version current again. Later versions are kept so the user can switch back.
+     */
+    const revertToVersion = (id) => {
+        const version = versions.find((item) => item.id === id);
+        setActiveVersionId(id);
+        setGeneratedPrompt(version.prompt);
+        setStructuredPrompt(version.structured);
+        setResultInputs(version.inputs);
+        setCopyMessage('');
+    };
+
+    /**
+     * Function to generate the comprehensive video prompt using the selected provider.
      * It constructs a detailed prompt string based on all user inputs.
+     * With more than one variation the requests run in parallel and land in the comparison grid instead.
      */
     const generatePrompt = async () => {
         // Clear previous state messages before a new generation
         setGeneratedPrompt('');
+        setStructuredPrompt(null);
+        setVariations([]);
+        setVersions([]);
         setError('');
         setCopyMessage(''); // Use setCopyMessage consistently
         setIsLoading(true); // Activate loading indicator
+        const signal = beginRequest();
 
-        // Construct the detailed prompt for the AI model
-        const promptText = `Generate a highly creative, detailed, and visually rich text prompt for an AI video generator like Veo 3. The prompt should aim for maximum video quality and artistic expression, incorporating all specified elements.
-
-        Here are the inputs:
-        - Scene Description: ${sceneDescription || 'A captivating and dynamic scene'}
-        - Subject Focus: ${subjectFocus || 'A central, engaging figure or object'}
-        - Camera Movements: ${cameraMovements || 'Sophisticated and fluid camera work (e.g., cinematic tracking shot, slow push-in, dynamic drone view)'}
-        - Visual Style: ${visualStyle || 'A visually stunning and coherent artistic style (e.g., hyperrealistic, fantastical, neo-noir, intricate anime)'}
-        - Time of Day: ${timeOfDay}
-        - Genre: ${genre}
-        - Lighting Conditions: ${lightingConditions || 'Artful and evocative lighting'}
-        - Additional Keywords: ${additionalKeywords || 'Incorporate rich textures, vibrant colors, atmospheric effects (e.g., volumetric fog, lens flares), detailed reflections, high fidelity, 8K, highly detailed, photorealistic render'}
-        - Text-to-Speech: ${textToSpeech ? `Integrate the following dialogue naturally into the video concept: "${textToSpeech}"` : 'No spoken dialogue specified.'}
-        - Video Format: ${videoFormat}
+        if (variationCount > 1) {
+            await generateVariations(signal);
+            setIsLoading(false);
+            return;
+        }
 
-        The final prompt should be a concise yet powerful single sentence or short paragraph, directly usable for a video generation model. It should focus on actionable visual and auditory elements, camera direction, and overall mood. Prioritize visual fidelity and artistic depth.
+        try {
+            // The prompt area fills in progressively while the answer streams
+            acceptResult(await requestPrompt({}, signal, setGeneratedPrompt));
+        } catch (err) {
+            console.error("Error generating prompt:", err);
+            setGeneratedPrompt(''); // Drop any partially streamed text
+            if (!isCancelled(err)) setError(t('messages.generateError', { message: errorMessage(err) })); // Display error to user
+        } finally {
+            setIsLoading(false); // Deactivate loading indicator
+        }
+    };
 
-        Example output format: "A majestic golden dragon soaring gracefully through a swirling nebula, seen from a sweeping cinematic drone shot, in a fantastical and ethereal style. Time of Day: Night, Genre: Fantasy, Lighting: Dramatic. Incorporate glowing particles and shimmering stardust, 8K. Text-to-speech: 'Witness the ancient power!' Video Format: landscape."
-        `;
+    /**
+     * Fires one request per variation in parallel. Each card tracks its own status,
+     * so a failed request only marks that card as failed.
+     * The history only records the variation picked as the winner.
+     * @param {AbortSignal} signal - Cancels every variation request.
+     */
+    const generateVariations = async (signal) => {
+        setVariations(Array.from({ length: variationCount }, (_, index) => ({ id: index, status: 'loading' })));
+        await Promise.all(Array.from({ length: variationCount }, async (_, index) => {
+            let card;
+            try {
+                card = { status: 'done', ...(await requestPrompt({}, signal)) };
+            } catch (err) {
+                console.error(`Error generating variation ${index + 1}:`, err);
+                card = { status: 'error', error: describeFailure('messages.generateError', err) };
+            }
+            setVariations((prev) => updateVariation(prev, index, card));
+        }));
+    };
 
+    /**
+     * Asks the model for an improved take on one variation, replacing that card in place.
+     * Each card has its own controller, so refining one card never aborts another.
+     */
+    const refineVariation = async (variation) => {
+        const controller = new AbortController();
+        cardControllers.current.set(variation.id, controller);
+        setVariations((prev) => updateVariation(prev, variation.id, { status: 'loading', error: '' }));
+        let card;
         try {
-            // Prepare chat history for the Gemini API call
-            let chatHistory = [];
-            chatHistory.push({ role: "user", parts: [{ text: promptText }] });
-
-            // Construct the API payload
-            const payload = { contents: chatHistory };
-            const apiKey = ""; // API key is automatically provided by Canvas at runtime
-            const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${apiKey}`;
-
-            // Make the API call to Gemini
-            const response = await fetch(apiUrl, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(payload)
-            });
+            card = { status: 'done', ...(await requestPrompt({ draft: variation.prompt }, controller.signal)) };
+        } catch (err) {
+            console.error(`Error refining variation ${variation.id + 1}:`, err);
+            card = { status: 'error', error: describeFailure('messages.refineError', err) };
+        } finally {
+            cardControllers.current.delete(variation.id);
+        }
+        setVariations((prev) => updateVariation(prev, variation.id, card));
+    };
 
-            // Handle non-OK HTTP responses
-            if (!response.ok) {
-                const errorData = await response.json();
-                throw new Error(`API error: ${response.status} ${response.statusText} - ${errorData?.error?.message || 'Unknown error'}`);
-            }
+    /**
+     * Picks a variation as the winner: it becomes the current prompt and is saved to history.
+     */
+    const pickVariation = (variation) => {
+        setVariations((prev) => prev.map((item) => ({ ...item, winner: item.id === variation.id })));
+        acceptResult(variation);
+    };
 
-            // Parse the API response
-            const result = await response.json();
-            if (result.candidates && result.candidates.length > 0 &&
-                result.candidates[0].content && result.candidates[0].content.parts &&
-                result.candidates[0].content.parts.length > 0) {
-                const text = result.candidates[0].content.parts[0].text;
-                setGeneratedPrompt(text); // Set the generated prompt
-            } else {
-                setError('Failed to generate prompt: No valid content from API.');
-            }
+    /**
+     * Generates one prompt per storyboard shot. Every request carries the shared
+     * global fields plus the sequence outline so the shots stay visually continuous.
+     * A failing shot only marks its own result as failed; every generated shot is saved to
+     * history with the inputs behind it, so restoring it reproduces that shot as a single prompt.
+     */
+    const generateStoryboard = async () => {
+        setShotResults({});
+        setError('');
+        setIsLoading(true);
+        const signal = beginRequest();
+        const thumbnails = referenceImages.map((image) => image.thumbnail);
+
+        try {
+            await Promise.all(shots.map(async (shot, index) => {
+                // Speaker lines belong to the single-prompt mode; each shot carries its own dialogue
+                const { id, ...shotFields } = shot;
+                const values = { ...form, dialogueLines: [], ...shotFields };
+                const inputs = expandReferences(values, bible);
+                let result;
+                try {
+                    const request = { prompt: buildPromptText(inputs, { sequence: { index, shots }, imageCount: referenceImages.length }), inputs, temperature };
+                    if (referenceImages.length > 0) request.images = toImageParts(referenceImages);
+                    result = { prompt: await generateText(request, settings, { signal }) };
+                    setHistory((prev) => addHistoryEntry(prev, createHistoryEntry({
+                        inputs: values, prompt: result.prompt, model: describeModel(settings), thumbnails, request: request.prompt, reply: result.prompt,
+                    })));
+                } catch (err) {
+                    console.error(`Error generating shot ${index + 1}:`, err);
+                    result = { error: describeFailure('messages.generateError', err) };
+                }
+                setShotResults((prev) => ({ ...prev, [shot.id]: result }));
+            }));
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    /**
+     * Asks the model to read the reference images into the scene, subject, style and lighting fields.
+     * Only the fields the model filled in are replaced.
+     */
+    const prefillFromImages = async () => {
+        setError('');
+        setIsPrefilling(true);
+        const signal = beginRequest();
+        try {
+            const request = {
+                prompt: buildImageAnalysisText(form.outputLanguage),
+                inputs: form,
+                images: toImageParts(referenceImages),
+                responseSchema: IMAGE_FIELDS_SCHEMA,
+                temperature,
+            };
+            const fields = parseImageFields(await generateText(request, settings, { signal }));
+            setForm((prev) => ({ ...prev, ...fields }));
         } catch (err) {
-            console.error("Error generating prompt:", err);
-            setError(`Error generating prompt: ${err.message}`); // Display error to user
+            console.error("Error reading reference images:", err);
+            if (!isCancelled(err)) setError(t('images.prefillError', { message: errorMessage(err) }));
         } finally {
-            setIsLoading(false); // Deactivate loading indicator
+            setIsPrefilling(false);
+        }
+    };
+
+    /**
+     * Generates one batch row. Successful rows are saved to history like any generation;
+     * failures are left to the batch panel to report.
+     */
+    const generateBatchRow = async (inputs, signal) => {
+        const { prompt, structured, request, reply, thumbnails } = await requestPrompt({}, signal, undefined, inputs);
+        setHistory((prev) => addHistoryEntry(prev, createHistoryEntry({ inputs, prompt, structured, model: describeModel(settings), thumbnails, request, reply })));
+        return prompt;
+    };
+
+    /**
+     * Downloads the structured prompt as-is, for automation scripts.
+     */
+    const exportStructuredPrompt = (data) => {
+        downloadFile(`veo3-prompt-${Date.now()}.json`, JSON.stringify(data, null, 2));
+    };
+
+    /**
+     * Loads a history entry back into the form, along with the prompt it produced.
+     */
+    const restoreFromHistory = (entry) => {
+        const inputs = toFormState(entry.inputs);
+        setForm(inputs);
+        setGeneratedPrompt(entry.prompt);
+        setStructuredPrompt(entry.structured || null);
+        setResultThumbnails(entry.thumbnails || []);
+        setResultInputs(inputs);
+        setVariations([]);
+        // Entries saved before requests were recorded fall back to a rebuilt meta-prompt
+        setVersions(startRefinement({
+            request: entry.request || buildPromptText(expandReferences(inputs, bible)),
+            prompt: entry.prompt,
+            structured: entry.structured || null,
+            reply: entry.reply || entry.prompt,
+            inputs,
+            earlierTurns: entry.earlierTurns || [],
+        }));
+        setActiveVersionId(1);
+        setIsStructured(Boolean(entry.structured));
+        setIsStoryboard(false);
+        setError('');
+        setCopyMessage('');
+        window.scrollTo({ top: 0, behavior: 'smooth' });
+    };
+
+    /**
+     * Applies a linter fix to the displayed prompt, like composing from the structured editor.
+     */
+    const fixLintIssue = (issue) => {
+        setGeneratedPrompt((prev) => applyLintFix(prev, issue.fix));
+        setCopyMessage('');
+    };
+
+    /**
+     * Copies a link that restores the current setup (and, if chosen, the prompt) in any browser.
+     * Storyboard links carry the shots but no prompt.
+     */
+    const copyShareLink = () => {
+        try {
+            copyText(buildShareUrl(window.location.href, {
+                form,
+                bible,
+                settings: { storyboard: isStoryboard, structured: isStructured, temperature, variationCount },
+                shots,
+                prompt: includePromptInLink && !isStoryboard ? generatedPrompt : '',
+            }));
+            setCopyMessage(t('messages.linkCopied'));
+            setTimeout(() => setCopyMessage(''), 3000);
+        } catch (err) {
+            console.error('Failed to copy share link:', err);
+            setCopyMessage(t('messages.copyFailed'));
         }
     };
 
     /**
      * Function to copy the generated prompt to the user's clipboard.
-     * Uses document.execCommand for broader compatibility within iframes.
      */
     const copyToClipboard = () => {
         if (generatedPrompt) {
             try {
-                const textArea = document.createElement('textarea');
-                textArea.value = generatedPrompt;
-                document.body.appendChild(textArea);
-                textArea.select();
-                document.execCommand('copy'); // Execute copy command
-                document.body.removeChild(textArea); // Clean up the temporary textarea
-                setCopyMessage('Prompt disalin!'); // Use setCopyMessage consistently
+                copyText(generatedPrompt);
+                setCopyMessage(t('messages.copied')); // Use setCopyMessage consistently
                 setTimeout(() => setCopyMessage(''), 3000); // Clear message after 3 seconds
             } catch (err) {
-                console.error('Gagal menyalin:', err);
-                setCopyMessage('Gagal menyalin prompt.'); // Use setCopyMessage consistently
+                console.error('Failed to copy:', err);
+                setCopyMessage(t('messages.copyFailed')); // Use setCopyMessage consistently
             }
         }
     };
 
+    // Whether any request is running; starting another one waits until it finishes or is cancelled
+    const isBusy = isLoading || isRefining || isPrefilling || variations.some((variation) => variation.status === 'loading');
+
     return (
         // Main container with dark gradient background and centering
         <div className="min-h-screen bg-gradient-to-br from-gray-900 via-purple-950 to-pink-950 flex items-center justify-center p-4 font-sans antialiased text-gray-200">
@@ -174,159 +593,307 @@ const App = () => {
             <div className="bg-gray-800 bg-opacity-90 p-8 rounded-2xl shadow-lg w-full max-w-3xl transform transition-all duration-300 border border-purple-700 hover:shadow-2xl">
                 {/* Application title */}
                 <h1 className="text-4xl font-extrabold text-center text-white mb-8 drop-shadow-lg">
-                    Veo 3 Prompt Generator
+                    {t('app.title')}
                 </h1>
 
+                {/* UI language switch and provider settings toggle */}
+                <div className="flex flex-wrap items-center justify-end gap-4 -mt-4 mb-4">
+                    <select
+                        aria-label={t('app.uiLanguage')}
+                        className="text-sm py-1 pl-2 pr-8 border border-purple-600 rounded-lg bg-gray-700 text-white"
+                        value={language}
+                        onChange={(e) => setLanguage(e.target.value)}
+                    >
+                        {UI_LANGUAGES.map(({ code, label }) => <option key={code} value={code}>{label}</option>)}
+                    </select>
+                    <button
+                        onClick={() => setShowSettings((prev) => !prev)}
+                        aria-expanded={showSettings}
+                        className="text-sm text-purple-300 hover:text-pink-300 font-semibold transition duration-200"
+                    >
+                        {t('app.settingsToggle', { model: describeModel(settings) })}
+                    </button>
+                </div>
+                {showSettings && <SettingsPanel settings={settings} onChange={setSettings} />}
+
                 {/* Error message display */}
                 {error && (
                     <div className="bg-red-800 border border-red-600 text-red-200 px-4 py-3 rounded relative mb-6" role="alert">
-                        <strong className="font-bold">Error!</strong>
+                        <strong className="font-bold">{t('app.errorTitle')}</strong>
                         <span className="block sm:inline"> {error}</span>
                     </div>
                 )}
 
+                {/* Outcome of opening a share link */}
+                {sharedLink && (
+                    <div
+                        className={`${sharedLink.error ? 'bg-red-800 border-red-600 text-red-200' : 'bg-green-900 border-green-600 text-green-200'} border px-4 py-3 rounded mb-6 flex items-start justify-between gap-4`}
+                        role="status"
+                    >
+                        <span>
+                            {sharedLink.error
+                                ? t('share.openFailed', { message: errorMessage(sharedLink.error) })
+                                : t('share.opened')}
+                            {sharedLink.rejected?.length > 0 && ` ${t('share.ignored', {
+                                fields: sharedLink.rejected.map((field) => (FORM_FIELDS.includes(field) ? t(`fields.${field}.label`) : field)).join(', '),
+                            })}`}
+                            {sharedLink.copied?.length > 0 && ` ${t('share.copied', { names: sharedLink.copied.join(', ') })}`}
+                        </span>
+                        <button onClick={() => setSharedLink(null)} aria-label={t('share.dismiss')}>×</button>
+                    </div>
+                )}
+
+                {/* Mode switch between a single prompt and a multi-shot storyboard */}
+                <div className="flex justify-center mb-6">
+                    <div className="inline-flex rounded-lg border border-purple-600 overflow-hidden" role="group">
+                        <button
+                            onClick={() => setIsStoryboard(false)}
+                            aria-pressed={!isStoryboard}
+                            className={`py-2 px-4 font-semibold transition duration-200 ${!isStoryboard ? 'bg-purple-600 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'}`}
+                        >
+                            {t('app.modeSingle')}
+                        </button>
+                        <button
+                            onClick={() => setIsStoryboard(true)}
+                            aria-pressed={isStoryboard}
+                            className={`py-2 px-4 font-semibold transition duration-200 ${isStoryboard ? 'bg-purple-600 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'}`}
+                        >
+                            {t('app.modeStoryboard')}
+                        </button>
+                    </div>
+                </div>
+
+                {/* One-click presets and preset pack import/export */}
+                <PresetPanel
+                    form={form}
+                    presets={presets}
+                    onApply={(preset) => setForm((prev) => applyPreset(prev, preset))}
+                    onChange={setPresets}
+                />
+
+                {/* Recurring characters and locations, referenced by the form */}
+                <BiblePanel bible={bible} form={form} onChange={setBible} onFieldChange={updateField} />
+
+                {/* Reference images sent to multimodal models, and optionally read into the form */}
+                <ReferenceImageInput
+                    images={referenceImages}
+                    setImages={setReferenceImages}
+                    onPrefill={prefillFromImages}
+                    canPrefill={!resolveProvider(settings).provider.offline}
+                    isPrefilling={isPrefilling}
+                    isBusy={isBusy}
+                />
+
                 {/* Grid layout for input fields */}
                 <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-8">
-                    {/* Scene Description input */}
-                    <div className="flex flex-col">
-                        <label htmlFor="sceneDescription" className="text-lg font-semibold text-gray-300 mb-2">Deskripsi Adegan:</label>
-                        <textarea
-                            id="sceneDescription"
-                            className="w-full p-3 border border-purple-600 rounded-lg focus:ring-2 focus:ring-pink-500 focus:border-transparent transition duration-200 resize-y min-h-[60px] bg-gray-700 text-white placeholder-gray-400"
-                            rows="2"
-                            placeholder="Contoh: Sebuah kota yang futuristik dan ramai di malam hari..."
-                            value={sceneDescription}
-                            onChange={(e) => setSceneDescription(e.target.value)}
-                        />
-                    </div>
+                    {/* Scene Description input (per shot in storyboard mode) */}
+                    {!isStoryboard && (
+                        <div className="flex flex-col">
+                            <label htmlFor="sceneDescription" className="text-lg font-semibold text-gray-300 mb-2">{t('fields.sceneDescription.label')}:</label>
+                            <textarea
+                                id="sceneDescription"
+                                className="w-full p-3 border border-purple-600 rounded-lg focus:ring-2 focus:ring-pink-500 focus:border-transparent transition duration-200 resize-y min-h-[60px] bg-gray-700 text-white placeholder-gray-400"
+                                rows="2"
+                                placeholder={t('fields.sceneDescription.placeholder')}
+                                value={form.sceneDescription}
+                                onChange={(e) => updateField('sceneDescription', e.target.value)}
+                            />
+                        </div>
+                    )}
                     {/* Subject Focus input */}
                     <div className="flex flex-col">
-                        <label htmlFor="subjectFocus" className="text-lg font-semibold text-gray-300 mb-2">Fokus Subjek:</label>
+                        <label htmlFor="subjectFocus" className="text-lg font-semibold text-gray-300 mb-2">{t('fields.subjectFocus.label')}:</label>
                         <textarea
                             id="subjectFocus"
                             className="w-full p-3 border border-purple-600 rounded-lg focus:ring-2 focus:ring-pink-500 focus:border-transparent transition duration-200 resize-y min-h-[60px] bg-gray-700 text-white placeholder-gray-400"
                             rows="2"
-                            placeholder="Contoh: Seorang detektif yang kesepian, robot yang sedang berpatroli..."
-                            value={subjectFocus}
-                            onChange={(e) => setSubjectFocus(e.target.value)}
-                        />
-                    </div>
-                    {/* Camera Movements input */}
-                    <div className="flex flex-col">
-                        <label htmlFor="cameraMovements" className="text-lg font-semibold text-gray-300 mb-2">Pergerakan Kamera:</label>
-                        <textarea
-                            id="cameraMovements"
-                            className="w-full p-3 border border-purple-600 rounded-lg focus:ring-2 focus:ring-pink-500 focus:border-transparent transition duration-200 resize-y min-h-[60px] bg-gray-700 text-white placeholder-gray-400"
-                            rows="2"
-                            placeholder="Contoh: Pan perlahan, zoom in cepat, sudut rendah dramatis..."
-                            value={cameraMovements}
-                            onChange={(e) => setCameraMovements(e.target.value)}
+                            placeholder={t('fields.subjectFocus.placeholder')}
+                            value={form.subjectFocus}
+                            onChange={(e) => updateField('subjectFocus', e.target.value)}
                         />
                     </div>
+                    {/* Camera Movements input (per shot in storyboard mode) */}
+                    {!isStoryboard && (
+                        <div className="flex flex-col">
+                            <label htmlFor="cameraMovements" className="text-lg font-semibold text-gray-300 mb-2">{t('fields.cameraMovements.label')}:</label>
+                            <textarea
+                                id="cameraMovements"
+                                className="w-full p-3 border border-purple-600 rounded-lg focus:ring-2 focus:ring-pink-500 focus:border-transparent transition duration-200 resize-y min-h-[60px] bg-gray-700 text-white placeholder-gray-400"
+                                rows="2"
+                                placeholder={t('fields.cameraMovements.placeholder')}
+                                value={form.cameraMovements}
+                                onChange={(e) => updateField('cameraMovements', e.target.value)}
+                            />
+                        </div>
+                    )}
                     {/* Visual Style input */}
                     <div className="flex flex-col">
-                        <label htmlFor="visualStyle" className="text-lg font-semibold text-gray-300 mb-2">Gaya Visual:</label>
+                        <label htmlFor="visualStyle" className="text-lg font-semibold text-gray-300 mb-2">{t('fields.visualStyle.label')}:</label>
                         <textarea
                             id="visualStyle"
                             className="w-full p-3 border border-purple-600 rounded-lg focus:ring-2 focus:ring-pink-500 focus:border-transparent transition duration-200 resize-y min-h-[60px] bg-gray-700 text-white placeholder-gray-400"
                             rows="2"
-                            placeholder="Contoh: Sinematik, cyberpunk, fantasi gelap, seni piksel..."
-                            value={visualStyle}
-                            onChange={(e) => setVisualStyle(e.target.value)}
+                            placeholder={t('fields.visualStyle.placeholder')}
+                            value={form.visualStyle}
+                            onChange={(e) => updateField('visualStyle', e.target.value)}
                         />
                     </div>
                     {/* Time of Day dropdown */}
                     <div className="flex flex-col">
-                        <label htmlFor="timeOfDay" className="text-lg font-semibold text-gray-300 mb-2">Waktu Hari:</label>
+                        <label htmlFor="timeOfDay" className="text-lg font-semibold text-gray-300 mb-2">{t('fields.timeOfDay.label')}:</label>
                         <select
                             id="timeOfDay"
                             className="w-full p-3 border border-purple-600 rounded-lg focus:ring-2 focus:ring-pink-500 focus:border-transparent transition duration-200 bg-gray-700 text-white"
-                            value={timeOfDay}
-                            onChange={(e) => setTimeOfDay(e.target.value)}
+                            value={form.timeOfDay}
+                            onChange={(e) => updateField('timeOfDay', e.target.value)}
                         >
-                            <option value="Day">Siang</option>
-                            <option value="Night">Malam</option>
-                            <option value="Sunset">Matahari Terbenam</option>
-                            <option value="Sunrise">Matahari Terbit</option>
+                            {FIELD_OPTIONS.timeOfDay.map((value) => <option key={value} value={value}>{t(`options.timeOfDay.${value}`)}</option>)}
                         </select>
                     </div>
                     {/* Genre dropdown */}
                     <div className="flex flex-col">
-                        <label htmlFor="genre" className="text-lg font-semibold text-gray-300 mb-2">Genre:</label>
+                        <label htmlFor="genre" className="text-lg font-semibold text-gray-300 mb-2">{t('fields.genre.label')}:</label>
                         <select
                             id="genre"
                             className="w-full p-3 border border-purple-600 rounded-lg focus:ring-2 focus:ring-pink-500 focus:border-transparent transition duration-200 bg-gray-700 text-white"
-                            value={genre}
-                            onChange={(e) => setGenre(e.target.value)}
+                            value={form.genre}
+                            onChange={(e) => updateField('genre', e.target.value)}
                         >
-                            <option value="Sci-fi">Fiksi Ilmiah</option>
-                            <option value="Fantasy">Fantasi</option>
-                            <option value="Horror">Horor</option>
-                            <option value="Comedy">Komedi</option>
-                            <option value="Action">Aksi</option>
-                            <option value="Documentary">Dokumenter</option>
+                            {FIELD_OPTIONS.genre.map((value) => <option key={value} value={value}>{t(`options.genre.${value}`)}</option>)}
                         </select>
                     </div>
                     {/* Lighting Conditions dropdown */}
                     <div className="flex flex-col">
-                        <label htmlFor="lightingConditions" className="text-lg font-semibold text-gray-300 mb-2">Kondisi Pencahayaan:</label>
+                        <label htmlFor="lightingConditions" className="text-lg font-semibold text-gray-300 mb-2">{t('fields.lightingConditions.label')}:</label>
                         <select
                             id="lightingConditions"
                             className="w-full p-3 border border-purple-600 rounded-lg focus:ring-2 focus:ring-pink-500 focus:border-transparent transition duration-200 bg-gray-700 text-white"
-                            value={lightingConditions}
-                            onChange={(e) => setLightingConditions(e.target.value)}
+                            value={form.lightingConditions}
+                            onChange={(e) => updateField('lightingConditions', e.target.value)}
                         >
-                            <option value="Soft">Lembut</option>
-                            <option value="Harsh">Keras</option>
-                            <option value="Dramatic">Dramatis</option>
-                            <option value="Natural">Alami</option>
+                            {FIELD_OPTIONS.lightingConditions.map((value) => <option key={value} value={value}>{t(`options.lightingConditions.${value}`)}</option>)}
                         </select>
                     </div>
                      {/* Video Format dropdown */}
                     <div className="flex flex-col">
-                        <label htmlFor="videoFormat" className="text-lg font-semibold text-gray-300 mb-2">Format Video:</label>
+                        <label htmlFor="videoFormat" className="text-lg font-semibold text-gray-300 mb-2">{t('fields.videoFormat.label')}:</label>
                         <select
                             id="videoFormat"
                             className="w-full p-3 border border-purple-600 rounded-lg focus:ring-2 focus:ring-pink-500 focus:border-transparent transition duration-200 bg-gray-700 text-white"
-                            value={videoFormat}
-                            onChange={(e) => setVideoFormat(e.target.value)}
+                            value={form.videoFormat}
+                            onChange={(e) => updateField('videoFormat', e.target.value)}
                         >
-                            <option value="landscape">Lanskap (16:9)</option>
-                            <option value="portrait">Potret (9:16)</option>
+                            {FIELD_OPTIONS.videoFormat.map((value) => <option key={value} value={value}>{t(`options.videoFormat.${value}`)}</option>)}
                         </select>
                     </div>
-                    {/* Text-to-Speech input (full width on md and above) */}
-                    <div className="md:col-span-2 flex flex-col">
-                        <label htmlFor="textToSpeech" className="text-lg font-semibold text-gray-300 mb-2">kata yang ingin diucapkan (opsional):</label>
-                        <textarea
-                            id="textToSpeech"
-                            className="w-full p-3 border border-purple-600 rounded-lg focus:ring-2 focus:ring-pink-500 focus:border-transparent transition duration-200 resize-y min-h-[60px] bg-gray-700 text-white placeholder-gray-400"
-                            rows="2"
-                            placeholder="Contoh: 'Selamat datang di dunia yang menakjubkan ini!'"
-                            value={textToSpeech}
-                            onChange={(e) => setTextToSpeech(e.target.value)}
-                        />
+                    {/* Output language of the generated prompt and its dialogue */}
+                    <div className="flex flex-col">
+                        <label htmlFor="outputLanguage" className="text-lg font-semibold text-gray-300 mb-2">{t('fields.outputLanguage.label')}:</label>
+                        <select
+                            id="outputLanguage"
+                            className="w-full p-3 border border-purple-600 rounded-lg focus:ring-2 focus:ring-pink-500 focus:border-transparent transition duration-200 bg-gray-700 text-white"
+                            value={form.outputLanguage}
+                            onChange={(e) => updateField('outputLanguage', e.target.value)}
+                        >
+                            {FIELD_OPTIONS.outputLanguage.map((value) => <option key={value} value={value}>{t(`options.outputLanguage.${value}`)}</option>)}
+                        </select>
                     </div>
+                    {/* Cinematography selectors, shared by every shot in storyboard mode */}
+                    <CinematicControls form={form} onChange={updateField} />
+                    {/* Text-to-Speech input (full width on md and above, per shot in storyboard mode) */}
+                    {!isStoryboard && (
+                        <div className="md:col-span-2 flex flex-col">
+                            <label htmlFor="textToSpeech" className="text-lg font-semibold text-gray-300 mb-2">{t('fields.textToSpeech.label')}:</label>
+                            <textarea
+                                id="textToSpeech"
+                                className="w-full p-3 border border-purple-600 rounded-lg focus:ring-2 focus:ring-pink-500 focus:border-transparent transition duration-200 resize-y min-h-[60px] bg-gray-700 text-white placeholder-gray-400"
+                                rows="2"
+                                placeholder={t('fields.textToSpeech.placeholder')}
+                                value={form.textToSpeech}
+                                onChange={(e) => updateField('textToSpeech', e.target.value)}
+                            />
+                        </div>
+                    )}
+                    {/* Speaker lines, ambience, sound effects and music */}
+                    <AudioSection form={form} onChange={updateField} showDialogue={!isStoryboard} />
                     {/* Additional Keywords input (full width on md and above) */}
                     <div className="md:col-span-2 flex flex-col">
-                        <label htmlFor="keywords" className="text-lg font-semibold text-gray-300 mb-2">Kata Kunci Tambahan (opsional):</label>
+                        <label htmlFor="keywords" className="text-lg font-semibold text-gray-300 mb-2">{t('fields.additionalKeywords.label')}:</label>
                         <textarea
                             id="keywords"
                             className="w-full p-3 border border-purple-600 rounded-lg focus:ring-2 focus:ring-pink-500 focus:border-transparent transition duration-200 resize-y min-h-[60px] bg-gray-700 text-white placeholder-gray-400"
                             rows="2"
-                            placeholder="Contoh: Gerakan lambat, cahaya dramatis, pemandangan udara, hujan..."
-                            value={additionalKeywords}
-                            onChange={(e) => setAdditionalKeywords(e.target.value)}
+                            placeholder={t('fields.additionalKeywords.placeholder')}
+                            value={form.additionalKeywords}
+                            onChange={(e) => updateField('additionalKeywords', e.target.value)}
                         />
                     </div>
                 </div>
 
+                {/* Structured (JSON) output toggle, single prompt mode only */}
+                {!isStoryboard && (
+                    <label className="flex items-center gap-2 text-gray-300 mb-6">
+                        <input
+                            type="checkbox"
+                            checked={isStructured}
+                            onChange={(e) => setIsStructured(e.target.checked)}
+                        />
+                        {t('app.structuredToggle')}
+                    </label>
+                )}
+
+                {/* Generation controls: variation count (single prompt mode) and creativity */}
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-6">
+                    {!isStoryboard && (
+                        <div className="flex flex-col">
+                            <label htmlFor="variationCount" className="text-lg font-semibold text-gray-300 mb-2">{t('app.variationCount')}:</label>
+                            <select
+                                id="variationCount"
+                                className="w-full p-3 border border-purple-600 rounded-lg focus:ring-2 focus:ring-pink-500 focus:border-transparent transition duration-200 bg-gray-700 text-white"
+                                value={variationCount}
+                                onChange={(e) => setVariationCount(Number(e.target.value))}
+                            >
+                                {[1, 2, 3, 4, 5, 6].map((count) => <option key={count} value={count}>{count}</option>)}
+                            </select>
+                        </div>
+                    )}
+                    <div className="flex flex-col">
+                        <label htmlFor="temperature" className="text-lg font-semibold text-gray-300 mb-2">
+                            {t('app.temperature', { value: temperature.toFixed(1) })}
+                        </label>
+                        <input
+                            id="temperature"
+                            type="range"
+                            min="0"
+                            max="2"
+                            step="0.1"
+                            className="w-full accent-pink-500 mt-3"
+                            value={temperature}
+                            onChange={(e) => setTemperature(Number(e.target.value))}
+                        />
+                    </div>
+                </div>
+
+                {/* Storyboard shot list, and a share link for the whole storyboard setup */}
+                {isStoryboard && <StoryboardEditor shots={shots} onChange={setShots} />}
+                {isStoryboard && (
+                    <div className="flex items-center justify-end gap-3 mb-6">
+                        {copyMessage && <span className="text-sm text-green-400">{copyMessage}</span>}
+                        <button
+                            onClick={copyShareLink}
+                            className="bg-gray-700 hover:bg-gray-600 text-white font-semibold py-2 px-4 rounded-lg transition duration-200 shadow-md"
+                        >
+                            {t('app.copyShareLink')}
+                        </button>
+                    </div>
+                )}
+
                 {/* Generate Prompt Button */}
                 <button
-                    onClick={generatePrompt}
-                    disabled={isLoading || !isAuthReady} // Disable if loading or not ready
+                    onClick={isStoryboard ? generateStoryboard : generatePrompt}
+                    disabled={isBusy || !isAuthReady} // Disable while any request runs or if not ready
                     className={`w-full py-4 px-6 rounded-lg text-white font-bold text-xl shadow-lg transform transition duration-300
-                                ${isLoading || !isAuthReady ? 'bg-gray-700 cursor-not-allowed' : 'bg-gradient-to-r from-purple-700 to-pink-700 hover:from-purple-800 hover:to-pink-800 active:scale-95'}`}
+                                ${isBusy || !isAuthReady ? 'bg-gray-700 cursor-not-allowed' : 'bg-gradient-to-r from-purple-700 to-pink-700 hover:from-purple-800 hover:to-pink-800 active:scale-95'}`}
                 >
                     {isLoading ? ( // Show loading spinner if loading
                         <div className="flex items-center justify-center">
@@ -334,30 +901,68 @@ const App = () => {
                                 <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
                                 <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
                             </svg>
-                            Membuat Prompt...
+                            {t('app.generating')}
                         </div>
                     ) : (
-                        'Buat Prompt Veo 3' // Button text when not loading
+                        isStoryboard ? t('app.generateStoryboard') : t('app.generate') // Button text when not loading
                     )}
                 </button>
+                {isBusy && (
+                    <button
+                        onClick={cancelRequest}
+                        className="w-full mt-3 py-2 px-6 rounded-lg bg-gray-700 hover:bg-gray-600 text-white font-semibold transition duration-200"
+                    >
+                        {t('app.cancel')}
+                    </button>
+                )}
+
+                {/* Display Area for Generated Storyboard */}
+                {isStoryboard && Object.keys(shotResults).length > 0 && (
+                    <StoryboardOutput shots={shots} results={shotResults} />
+                )}
+
+                {/* Variation comparison grid */}
+                {!isStoryboard && variations.length > 0 && (
+                    <VariationGrid variations={variations} onPick={pickVariation} onRefine={refineVariation} />
+                )}
+
+                {/* Editable structured fields */}
+                {!isStoryboard && structuredPrompt && (
+                    <StructuredPromptEditor
+                        data={structuredPrompt}
+                        onChange={setStructuredPrompt}
+                        onCompose={(data) => setGeneratedPrompt(composeFlatPrompt(data))}
+                        onExport={exportStructuredPrompt}
+                    />
+                )}
 
                 {/* Display Area for Generated Prompt */}
-                {generatedPrompt && (
+                {!isStoryboard && generatedPrompt && (
                     <div className="mt-8 bg-gray-900 bg-opacity-70 p-6 rounded-lg shadow-inner border border-purple-700">
-                        <h2 className="text-2xl font-bold text-white mb-4">Prompt Anda:</h2>
+                        <h2 className="text-2xl font-bold text-white mb-4">{t('app.resultTitle')}</h2>
+                        <ThumbnailStrip thumbnails={resultThumbnails} label={t('images.thumbnails')} />
                         <div className="relative">
                             <textarea
                                 readOnly // Make textarea read-only
                                 className="w-full p-4 border border-pink-500 rounded-lg bg-gray-800 text-white text-lg leading-relaxed font-mono resize-y min-h-[120px] max-h-[300px]"
                                 rows="5"
+                                aria-busy={isLoading || isRefining}
                                 value={generatedPrompt}
                             ></textarea>
-                            <button
-                                onClick={copyToClipboard}
-                                className="absolute top-2 right-2 bg-purple-600 hover:bg-purple-700 text-white font-semibold py-2 px-4 rounded-lg transition duration-200 shadow-md"
-                            >
-                                Salin
-                            </button>
+                            <div className="absolute top-2 right-2 flex gap-2">
+                                <button
+                                    onClick={copyShareLink}
+                                    className="bg-gray-700 hover:bg-gray-600 text-white font-semibold py-2 px-4 rounded-lg transition duration-200 shadow-md"
+                                >
+                                    {t('app.copyShareLink')}
+                                </button>
+                                <button
+                                    onClick={copyToClipboard}
+                                    className="bg-purple-600 hover:bg-purple-700 text-white font-semibold py-2 px-4 rounded-lg transition duration-200 shadow-md"
+                                >
+                                    {t('app.copy')}
+                                </button>
+                            </div>
                             {/* Copy success/error message */}
                             {copyMessage && (
                                 <span className="absolute -top-8 right-2 bg-green-500 text-white text-xs px-2 py-1 rounded shadow-sm animate-fade-in-out">
@@ -365,12 +970,46 @@ const App = () => {
                                 </span>
                             )}
                         </div>
+                        {/* Checked only once the text is final, not while it streams */}
+                        {!isLoading && !isRefining && resultInputs && (
+                            <PromptLintPanel report={lintPrompt(generatedPrompt, resultInputs)} onFix={fixLintIssue} />
+                        )}
+                        <label className="flex items-center gap-2 text-sm text-gray-400 mt-2">
+                            <input
+                                type="checkbox"
+                                checked={includePromptInLink}
+                                onChange={(e) => setIncludePromptInLink(e.target.checked)}
+                            />
+                            {t('app.includePromptInLink')}
+                        </label>
                         <p className="text-sm text-gray-400 mt-4">
-                            Tips: Anda dapat menyalin prompt ini dan memasukkannya langsung ke Veo 3.
+                            {t('app.tips')}
                         </p>
+                        {/* Follow-up instructions and version history */}
+                        {versions.length > 0 && (
+                            <RefinementPanel
+                                versions={versions}
+                                activeVersionId={activeVersionId}
+                                isRefining={isRefining}
+                                isBusy={isBusy}
+                                onRefine={refinePrompt}
+                                onRevert={revertToVersion}
+                            />
+                        )}
                     </div>
                 )}
 
+                {/* Bulk generation from a CSV or JSON file */}
+                <BatchPanel form={form} onGenerate={generateBatchRow} />
+
+                {/* Prompt history */}
+                <HistoryPanel
+                    entries={history}
+                    onRestore={restoreFromHistory}
+                    onToggleStar={(id) => setHistory((prev) => toggleStar(prev, id))}
+                    onDelete={(id) => setHistory((prev) => deleteEntry(prev, id))}
+                />
+
                 {/* YouTube Channel Link */}
                 <div className="mt-8 text-center">
                     <a
@@ -379,7 +1018,7 @@ const App = () => {
                         rel="noopener noreferrer" // Security best practice
                         className="text-purple-400 hover:text-pink-400 text-lg font-medium transition duration-300"
                     >
-                       subscribe my youtube @live_ndeso
+                       {t('app.youtube')}
                     </a>
                 </div>
             </div>
@@ -387,4 +1026,11 @@ const App = () => {
     );
 };
 
-export default App;
+// Wraps the generator in the translation provider so every component can call useTranslation()
+const AppWithI18n = () => (
+    <I18nProvider>
+        <App />
+    </I18nProvider>
+);
+
+export default AppWithI18n;
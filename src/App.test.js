@@ -1,8 +1,413 @@
-import { render, screen } from '@testing-library/react';
+import { fireEvent, render, screen, waitFor, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
 import App from './App';
+import { copyText } from './clipboard';
+
+jest.mock('./clipboard', () => ({ copyText: jest.fn() }));
+// jsdom cannot decode images or draw on a canvas
+jest.mock('./referenceImages', () => ({
+  ...jest.requireActual('./referenceImages'),
+  prepareReferenceImage: async (file) => ({
+    id: `image-${file.name}`, name: file.name, mimeType: 'image/jpeg', data: 'AAAA', thumbnail: 'data:image/jpeg;base64,AAAA',
+  }),
+}));
+
+const OFFLINE = { provider: 'offline', configs: {} };
+const GEMINI = { provider: 'gemini', configs: {}, streaming: false };
+
+// Renders the app with the given provider settings already saved (the default Gemini setup when left out)
+const renderApp = (settings) => {
+  if (settings) localStorage.setItem('veo3-provider-settings', JSON.stringify(settings));
+  return render(<App />);
+};
+
+// A Gemini generateContent response carrying the given text
+const geminiReply = (text) => ({ ok: true, text: async () => JSON.stringify({ candidates: [{ content: { parts: [{ text }] } }] }) });
+
+// Answers every fetch like Gemini; answer receives the 1-based call number and may throw to fail that call
+const mockGemini = (answer) => {
+  let call = 0;
+  global.fetch = jest.fn(async () => {
+    call += 1;
+    return geminiReply(answer(call));
+  });
+};
+
+// Clicks a generate button as soon as the app is ready for it
+const clickGenerate = async (name = 'Buat Prompt Veo 3') => {
+  const button = screen.getByRole('button', { name });
+  await waitFor(() => expect(button).toBeEnabled());
+  fireEvent.click(button);
+};
+
+afterEach(() => {
+  localStorage.clear();
+  delete global.fetch;
+  jest.restoreAllMocks();
+  window.history.replaceState(null, '', '/');
+});
 
 test('renders learn react link', () => {
   render(<App />);
   const linkElement = screen.getByText(/learn react/i);
   expect(linkElement).toBeInTheDocument();
 });
+
+test('generates a prompt offline and saves it to history', async () => {
+  renderApp(OFFLINE);
+  fireEvent.change(screen.getByLabelText(/fokus subjek/i), { target: { value: 'A lonely detective' } });
+  await clickGenerate();
+  expect(await screen.findByDisplayValue(/^A lonely detective\. Time of Day: Day/)).toBeInTheDocument();
+  expect(screen.getByText(/Riwayat Prompt \(1\)/)).toBeInTheDocument();
+});
+
+test('shows parallel variations with per-card failures and saves the picked winner', async () => {
+  mockGemini((call) => {
+    if (call === 2) throw new Error('Network down');
+    return `Variation text ${call}`;
+  });
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  renderApp();
+  fireEvent.change(screen.getByLabelText(/jumlah variasi/i), { target: { value: '3' } });
+  await clickGenerate();
+
+  expect(await screen.findByText('Variation text 1')).toBeInTheDocument();
+  expect(await screen.findByText('Variation text 3')).toBeInTheDocument();
+  expect(screen.getByText(/Network down/)).toBeInTheDocument();
+  expect(screen.queryByRole('alert', { name: /error!/i })).not.toBeInTheDocument();
+  const temperatures = global.fetch.mock.calls.map(([, init]) => JSON.parse(init.body).generationConfig.temperature);
+  expect(temperatures).toEqual([1, 1, 1]);
+
+  fireEvent.click(screen.getAllByRole('button', { name: 'Pilih Pemenang' })[2]);
+  expect(screen.getByDisplayValue('Variation text 3')).toBeInTheDocument();
+  expect(screen.getByText(/Riwayat Prompt \(1\)/)).toBeInTheDocument();
+});
+
+test('refines variation cards independently while blocking a new generation', async () => {
+  const pending = [];
+  let call = 0;
+  global.fetch = jest.fn(() => {
+    call += 1;
+    if (call <= 2) return Promise.resolve(geminiReply(`Variation text ${call}`));
+    return new Promise((resolve) => pending.push(resolve));
+  });
+  renderApp();
+  fireEvent.change(screen.getByLabelText(/jumlah variasi/i), { target: { value: '2' } });
+  await clickGenerate();
+  expect(await screen.findByText('Variation text 2')).toBeInTheDocument();
+
+  const [refineFirst, refineSecond] = screen.getAllByRole('button', { name: 'Perbaiki Ini' });
+  fireEvent.click(refineFirst);
+  fireEvent.click(refineSecond);
+  await waitFor(() => expect(pending).toHaveLength(2));
+  expect(screen.getByRole('button', { name: 'Buat Prompt Veo 3' })).toBeDisabled();
+  expect(screen.getByRole('button', { name: 'Isi Formulir dari Gambar' })).toBeDisabled();
+  expect(screen.getByRole('button', { name: 'Batal' })).toBeInTheDocument();
+
+  pending[1](geminiReply('Refined text 2'));
+  pending[0](geminiReply('Refined text 1'));
+  expect(await screen.findByText('Refined text 1')).toBeInTheDocument();
+  expect(screen.getByText('Refined text 2')).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Buat Prompt Veo 3' })).toBeEnabled();
+  expect(screen.queryByRole('button', { name: 'Batal' })).not.toBeInTheDocument();
+});
+
+test('refines the prompt in several turns and reverts to an earlier version', async () => {
+  renderApp(OFFLINE);
+  fireEvent.change(screen.getByLabelText(/fokus subjek/i), { target: { value: 'A robot' } });
+  await clickGenerate();
+  const original = (await screen.findByDisplayValue(/^A robot\./)).value;
+
+  const refine = (text) => {
+    fireEvent.change(screen.getByLabelText(/instruksi perbaikan/i), { target: { value: text } });
+    fireEvent.click(screen.getByRole('button', { name: 'Kirim' }));
+  };
+  refine('make it moodier');
+  expect(await screen.findByDisplayValue(`${original} Revision: make it moodier.`)).toBeInTheDocument();
+  refine('use a dolly zoom');
+  expect(await screen.findByRole('button', { name: 'v3 (aktif)' })).toBeInTheDocument();
+  expect(screen.getByTestId('version-diff')).toHaveTextContent('Revision: use a dolly zoom.');
+
+  fireEvent.click(screen.getByRole('button', { name: 'v1' }));
+  fireEvent.click(screen.getByRole('button', { name: 'Kembalikan ke v1' }));
+  expect(screen.getByDisplayValue(original)).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'v3' })).toBeInTheDocument();
+});
+
+test('switches the interface to English and remembers the choice', () => {
+  renderApp();
+  fireEvent.change(screen.getByRole('combobox', { name: 'Bahasa UI' }), { target: { value: 'en' } });
+  expect(screen.getByLabelText(/subject focus/i)).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Create Veo 3 Prompt' })).toBeInTheDocument();
+  expect(localStorage.getItem('veo3-ui-language')).toBe('en');
+});
+
+test('attributes speaker lines in the generated prompt', async () => {
+  renderApp(OFFLINE);
+  fireEvent.click(screen.getByRole('button', { name: '+ Tambah Dialog' }));
+  fireEvent.change(screen.getByLabelText('Karakter dialog 1'), { target: { value: 'Mara' } });
+  fireEvent.change(screen.getByLabelText('Teks dialog 1'), { target: { value: 'Did you hear that?' } });
+  fireEvent.change(screen.getByLabelText('Emosi dialog 1'), { target: { value: 'whispering' } });
+  await clickGenerate();
+  expect(await screen.findByDisplayValue(/Dialogue: Mara \(whispering\): "Did you hear that\?"/)).toBeInTheDocument();
+});
+
+test('expands a saved character into every prompt that references it', async () => {
+  renderApp(OFFLINE);
+  fireEvent.click(screen.getByRole('button', { name: '+ Karakter' }));
+  fireEvent.change(screen.getByLabelText('Nama:'), { target: { value: 'Pip' } });
+  fireEvent.change(screen.getByLabelText('Penampilan:'), { target: { value: 'a small round robot' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Simpan' }));
+  fireEvent.click(screen.getByRole('checkbox', { name: 'Pip' }));
+  await clickGenerate();
+  expect(await screen.findByDisplayValue(/Characters: Pip: a small round robot\./)).toBeInTheDocument();
+  expect(JSON.parse(localStorage.getItem('veo3-bible')).characters[0].name).toBe('Pip');
+});
+
+test('cancels a running generation without reporting an error', async () => {
+  global.fetch = jest.fn((url, { signal }) => new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+  }));
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  renderApp();
+  await clickGenerate();
+  fireEvent.click(await screen.findByRole('button', { name: 'Batal' }));
+  expect(await screen.findByRole('button', { name: 'Buat Prompt Veo 3' })).toBeEnabled();
+  expect(screen.queryByRole('button', { name: 'Batal' })).not.toBeInTheDocument();
+  expect(screen.queryByText(/Error!/)).not.toBeInTheDocument();
+});
+
+test('runs a CSV batch offline, reporting invalid rows and saving the rest to history', async () => {
+  renderApp(OFFLINE);
+  const csv = 'subjectFocus,genre\nA lonely detective,horror\nA tired knight,Western\nA street cat,Comedy\n';
+  const file = new File([csv], 'shots.csv', { type: 'text/csv' });
+  file.text = async () => csv; // jsdom's Blob has no text()
+  userEvent.upload(screen.getByTestId('batch-file'), file);
+  expect(await screen.findByText('shots.csv: 3 baris, 1 tidak valid (dilewati).')).toBeInTheDocument();
+  fireEvent.change(screen.getByLabelText('Permintaan paralel:'), { target: { value: '2' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Jalankan Batch' }));
+  expect(await screen.findByText('3/3 selesai, 1 gagal')).toBeInTheDocument();
+  // Shown in the batch results and in the history
+  expect(screen.getAllByText(/^A lonely detective\. Time of Day: Day, Genre: Horror/)).toHaveLength(2);
+  expect(screen.getByText(/Genre "Western" tidak diizinkan/)).toBeInTheDocument();
+  expect(screen.getByText(/Riwayat Prompt \(2\)/)).toBeInTheDocument();
+});
+
+test('scores the generated prompt and applies a linter fix in one click', async () => {
+  renderApp(OFFLINE);
+  fireEvent.change(screen.getByLabelText(/fokus subjek/i), { target: { value: 'A lonely detective' } });
+  await clickGenerate();
+  expect(await screen.findByText('Kesiapan Veo: 80/100')).toBeInTheDocument();
+  expect(screen.getByText('Tidak ada arahan kamera (framing, sudut atau gerakan).')).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: 'Tambah kamera' }));
+  expect(screen.getByDisplayValue(/Video Format: landscape\. Camera: Slow cinematic tracking shot\.$/)).toBeInTheDocument();
+  expect(screen.getByText('Kesiapan Veo: 90/100')).toBeInTheDocument();
+
+  // The report keeps checking the prompt against the inputs that produced it
+  fireEvent.change(screen.getByLabelText('Format Video:'), { target: { value: 'portrait' } });
+  expect(screen.getByText('Kesiapan Veo: 90/100')).toBeInTheDocument();
+  expect(screen.queryByText(/tidak sesuai dengan format video/)).not.toBeInTheDocument();
+});
+
+test('copies a share link that restores the setup and prompt in a new session', async () => {
+  const { unmount } = renderApp(OFFLINE);
+  fireEvent.change(screen.getByLabelText(/fokus subjek/i), { target: { value: 'A lonely detective' } });
+  await clickGenerate();
+  const prompt = (await screen.findByDisplayValue(/^A lonely detective\./)).value;
+  fireEvent.click(screen.getByRole('button', { name: 'Salin Tautan Berbagi' }));
+  expect(screen.getByText('Tautan berbagi disalin!')).toBeInTheDocument();
+  const link = copyText.mock.calls[copyText.mock.calls.length - 1][0];
+  expect(link).toMatch(/^http:\/\/localhost\/#share=1\./);
+  unmount();
+  localStorage.clear();
+
+  window.history.replaceState(null, '', link.replace('http://localhost', ''));
+  renderApp();
+  expect(await screen.findByText('Pengaturan dimuat dari tautan berbagi.')).toBeInTheDocument();
+  expect(screen.getByLabelText(/fokus subjek/i)).toHaveValue('A lonely detective');
+  expect(screen.getByDisplayValue(prompt)).toBeInTheDocument();
+  expect(window.location.hash).toBe('');
+});
+
+test('pre-fills the form from a reference image and sends it with the prompt request', async () => {
+  const answers = [
+    JSON.stringify({ sceneDescription: 'A foggy pier at dawn', subjectFocus: 'An old fisherman', visualStyle: 'Muted film look', lightingConditions: 'Soft' }),
+    'An old fisherman mends his net on a foggy pier.',
+  ];
+  mockGemini((call) => answers[call - 1]);
+  renderApp(GEMINI);
+  userEvent.upload(screen.getByTestId('image-input'), new File(['x'], 'pier.png', { type: 'image/png' }));
+  expect(await screen.findByRole('button', { name: 'Hapus gambar pier.png' })).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Isi Formulir dari Gambar' }));
+  await waitFor(() => expect(screen.getByLabelText(/fokus subjek/i)).toHaveValue('An old fisherman'));
+  const prefill = JSON.parse(global.fetch.mock.calls[0][1].body);
+  expect(prefill.contents[0].parts).toContainEqual({ inlineData: { mimeType: 'image/jpeg', data: 'AAAA' } });
+  expect(prefill.generationConfig.responseSchema.properties.lightingConditions.enum).toContain('Soft');
+
+  await clickGenerate();
+  expect(await screen.findByDisplayValue('An old fisherman mends his net on a foggy pier.')).toBeInTheDocument();
+  const generate = JSON.parse(global.fetch.mock.calls[1][1].body);
+  expect(generate.contents[0].parts).toContainEqual({ inlineData: { mimeType: 'image/jpeg', data: 'AAAA' } });
+  expect(generate.contents[0].parts[0].text).toMatch(/A foggy pier at dawn/);
+  // Thumbnails next to the result and in the history entry
+  expect(screen.getAllByAltText('Gambar referensi 1')).toHaveLength(2);
+});
+
+test('shares a storyboard with its shots and generation settings', () => {
+  const { unmount } = renderApp();
+  fireEvent.click(screen.getByRole('button', { name: 'Storyboard' }));
+  fireEvent.change(screen.getByLabelText('Deskripsi Adegan:'), { target: { value: 'A harbor at dawn' } });
+  fireEvent.change(screen.getByLabelText(/kreativitas/i), { target: { value: '0.4' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Salin Tautan Berbagi' }));
+  const link = copyText.mock.calls[copyText.mock.calls.length - 1][0];
+  unmount();
+
+  window.history.replaceState(null, '', link.replace('http://localhost', ''));
+  renderApp();
+  expect(screen.getByRole('button', { name: 'Storyboard' })).toHaveAttribute('aria-pressed', 'true');
+  expect(screen.getByLabelText('Deskripsi Adegan:')).toHaveValue('A harbor at dawn');
+  expect(screen.getByLabelText(/kreativitas/i)).toHaveValue('0.4');
+});
+
+test('flags an invalid aspect ratio from the model in the structured editor', async () => {
+  const structured = {
+    subject: 'A lonely detective', action: 'walks', setting: 'a rainy alley', camera: 'Tracking shot', lighting: 'Neon', style: 'Noir',
+    aspectRatio: '4:3', duration: 8,
+  };
+  mockGemini(() => JSON.stringify(structured));
+  renderApp(GEMINI);
+  fireEvent.click(screen.getByLabelText(/mode terstruktur/i));
+  await clickGenerate();
+  expect(await screen.findByText('Aspect ratio "4:3" tidak valid.')).toBeInTheDocument();
+  expect(screen.getByDisplayValue(/Aspect ratio: 16:9, duration: 8s\./)).toBeInTheDocument();
+  fireEvent.change(screen.getByLabelText('Aspect Ratio:'), { target: { value: '16:9' } });
+  expect(screen.queryByText('Aspect ratio "4:3" tidak valid.')).not.toBeInTheDocument();
+});
+
+test('saves every generated storyboard shot to history with its inputs', async () => {
+  renderApp(OFFLINE);
+  fireEvent.click(screen.getByRole('button', { name: 'Storyboard' }));
+  fireEvent.change(screen.getByLabelText('Deskripsi Adegan:'), { target: { value: 'A harbor at dawn' } });
+  fireEvent.click(screen.getByRole('button', { name: '+ Tambah Shot' }));
+  fireEvent.change(screen.getAllByLabelText('Deskripsi Adegan:')[1], { target: { value: 'A lighthouse at dusk' } });
+  const generate = screen.getByRole('button', { name: 'Buat Storyboard Veo 3' });
+  await waitFor(() => expect(generate).toBeEnabled());
+  // Offline shots settle right away, so start waiting in the same tick as the click
+  fireEvent.click(generate);
+  expect(await screen.findByText(/Riwayat Prompt \(2\)/)).toBeInTheDocument();
+  await waitFor(() => expect(generate).toBeEnabled());
+
+  const saved = JSON.parse(localStorage.getItem('veo3-prompt-history'));
+  expect(saved.map((entry) => entry.inputs.sceneDescription).sort()).toEqual(['A harbor at dawn', 'A lighthouse at dusk']);
+  expect(saved[0].inputs).not.toHaveProperty('id');
+});
+
+test('continues the refinement thread from the request that produced the picked variation', async () => {
+  mockGemini((call) => `Answer ${call}`);
+  renderApp(GEMINI);
+  fireEvent.change(screen.getByLabelText(/fokus subjek/i), { target: { value: 'A lonely detective' } });
+  fireEvent.change(screen.getByLabelText(/jumlah variasi/i), { target: { value: '2' } });
+  await clickGenerate();
+  expect(await screen.findByText('Answer 2')).toBeInTheDocument();
+
+  // The form changes before a winner is picked
+  fireEvent.change(screen.getByLabelText(/fokus subjek/i), { target: { value: 'A tired knight' } });
+  fireEvent.click(screen.getAllByRole('button', { name: 'Pilih Pemenang' })[0]);
+  fireEvent.change(screen.getByLabelText('Instruksi perbaikan'), { target: { value: 'Make it rain' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Kirim' }));
+  expect(await screen.findByDisplayValue('Answer 3')).toBeInTheDocument();
+
+  const sent = global.fetch.mock.calls.map(([, init]) => JSON.parse(init.body).contents);
+  expect(sent[2].slice(0, 2)).toEqual([sent[0][0], { role: 'model', parts: [{ text: 'Answer 1' }] }]);
+  expect(JSON.parse(localStorage.getItem('veo3-prompt-history'))[1]).toMatchObject({
+    inputs: { subjectFocus: 'A lonely detective' },
+    request: sent[0][0].parts[0].text,
+  });
+});
+
+test('refines a structured result as free text', async () => {
+  renderApp(OFFLINE);
+  fireEvent.change(screen.getByLabelText(/fokus subjek/i), { target: { value: 'A robot' } });
+  fireEvent.click(screen.getByLabelText(/mode terstruktur/i));
+  await clickGenerate();
+  const original = (await screen.findByDisplayValue(/^A robot.*Aspect ratio: 16:9/)).value;
+
+  fireEvent.change(screen.getByLabelText('Instruksi perbaikan'), { target: { value: 'make it moodier' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Kirim' }));
+  expect(await screen.findByDisplayValue(`${original} Revision: make it moodier.`)).toBeInTheDocument();
+  expect(JSON.parse(localStorage.getItem('veo3-prompt-history'))[0].prompt).toBe(`${original} Revision: make it moodier.`);
+});
+
+test('saves a revision with the inputs and conversation behind it and continues it after a restore', async () => {
+  mockGemini((call) => `Answer ${call}`);
+  renderApp(GEMINI);
+  fireEvent.change(screen.getByLabelText(/fokus subjek/i), { target: { value: 'A lonely detective' } });
+  await clickGenerate();
+  expect(await screen.findByDisplayValue('Answer 1')).toBeInTheDocument();
+
+  // The form changes before the result is refined
+  fireEvent.change(screen.getByLabelText(/fokus subjek/i), { target: { value: 'A tired knight' } });
+  fireEvent.change(screen.getByLabelText('Instruksi perbaikan'), { target: { value: 'Make it rain' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Kirim' }));
+  expect(await screen.findByDisplayValue('Answer 2')).toBeInTheDocument();
+
+  const sent = global.fetch.mock.calls.map(([, init]) => JSON.parse(init.body).contents);
+  expect(JSON.parse(localStorage.getItem('veo3-prompt-history'))[0]).toMatchObject({
+    inputs: { subjectFocus: 'A lonely detective' },
+    request: sent[1][2].parts[0].text,
+    reply: 'Answer 2',
+  });
+
+  jest.spyOn(window, 'scrollTo').mockImplementation(() => {}); // Not implemented in jsdom
+  fireEvent.click(screen.getAllByRole('button', { name: 'Muat ke Formulir' })[0]);
+  expect(screen.getByLabelText(/fokus subjek/i)).toHaveValue('A lonely detective');
+  fireEvent.change(screen.getByLabelText('Instruksi perbaikan'), { target: { value: 'Add thunder' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Kirim' }));
+  expect(await screen.findByDisplayValue('Answer 3')).toBeInTheDocument();
+  const [, , restored] = global.fetch.mock.calls.map(([, init]) => JSON.parse(init.body).contents);
+  expect(restored.slice(0, 4)).toEqual([...sent[1], { role: 'model', parts: [{ text: 'Answer 2' }] }]);
+});
+
+test('lets a provider setting be cleared back to its default', () => {
+  renderApp({ provider: 'gemini', configs: { gemini: { model: 'gemini-custom' } } });
+  fireEvent.click(screen.getByRole('button', { name: /Pengaturan/ }));
+  const model = screen.getByLabelText('Model:');
+  expect(model).toHaveValue('gemini-custom');
+  expect(screen.getByLabelText('Base URL:')).toHaveValue('');
+
+  fireEvent.change(model, { target: { value: '' } });
+  expect(model).toHaveValue('');
+  expect(model).toHaveAttribute('placeholder', 'gemini-2.0-flash');
+  expect(screen.getByRole('button', { name: /Pengaturan/ })).toHaveTextContent('gemini/gemini-2.0-flash');
+});
+
+test('clamps the request timeout once the field is left rather than on every keystroke', () => {
+  renderApp();
+  fireEvent.click(screen.getByRole('button', { name: /Pengaturan/ }));
+  const timeout = screen.getByLabelText(/batas waktu/i);
+  fireEvent.change(timeout, { target: { value: '3' } });
+  fireEvent.change(timeout, { target: { value: '30' } });
+  expect(timeout).toHaveValue(30);
+  fireEvent.blur(timeout);
+  expect(JSON.parse(localStorage.getItem('veo3-provider-settings')).timeoutSeconds).toBe(30);
+
+  fireEvent.change(timeout, { target: { value: '1000' } });
+  fireEvent.blur(timeout);
+  expect(timeout).toHaveValue(600);
+});
+
+test('starts a preset from the fields that differ from the defaults by value', () => {
+  const entry = {
+    id: 'gen-1', createdAt: '2026-01-01T00:00:00.000Z', model: 'offline/template', inputs: { subjectFocus: 'A robot', dialogueLines: [] },
+    prompt: 'A robot.', structured: null, thumbnails: [], request: null, reply: null, starred: false,
+  };
+  localStorage.setItem('veo3-prompt-history', JSON.stringify([entry]));
+  jest.spyOn(window, 'scrollTo').mockImplementation(() => {}); // Not implemented in jsdom
+  renderApp(OFFLINE);
+  fireEvent.click(screen.getByRole('button', { name: 'Muat ke Formulir' }));
+  fireEvent.click(screen.getByRole('button', { name: 'Simpan sebagai Preset' }));
+  const fields = within(screen.getByRole('group', { name: /field yang disimpan/i }));
+  expect(fields.getByRole('checkbox', { name: /fokus subjek/i })).toBeChecked();
+  expect(fields.getByRole('checkbox', { name: 'Dialog per Karakter' })).not.toBeChecked();
+});
@@ -0,0 +1,74 @@
+import React from 'react';
+import { DIALOGUE_LINE_FIELDS, createDialogueLine, removeDialogueLine, updateDialogueLine } from './dialogue';
+import { useTranslation } from './i18n';
+
+const inputClass = "w-full p-2 border border-purple-600 rounded-lg focus:ring-2 focus:ring-pink-500 focus:border-transparent bg-gray-700 text-white placeholder-gray-400";
+const textareaClass = "w-full p-3 border border-purple-600 rounded-lg focus:ring-2 focus:ring-pink-500 focus:border-transparent transition duration-200 resize-y min-h-[60px] bg-gray-700 text-white placeholder-gray-400";
+const smallButtonClass = "bg-gray-700 hover:bg-gray-600 text-white text-sm font-semibold py-1 px-3 rounded-lg transition duration-200";
+
+// Soundtrack fields below the speaker lines
+const SOUND_FIELDS = ['ambientSound', 'soundEffects', 'musicMood'];
+
+/**
+ * Audio design: attributed speaker lines plus ambience, sound effects and music mood.
+ * @param {{ form: object, onChange: Function, showDialogue: boolean }} props - onChange(field, value)
+ *   updates one form field. Speaker lines are hidden in storyboard mode, where dialogue is per shot.
+ */
+const AudioSection = ({ form, onChange, showDialogue }) => {
+    const { t } = useTranslation();
+    const lines = form.dialogueLines;
+
+    return (
+        <fieldset className="md:col-span-2 flex flex-col gap-4 border border-purple-700 rounded-lg p-4">
+            <legend className="text-lg font-semibold text-gray-300 px-2">{t('audio.title')}</legend>
+            {showDialogue && (
+                <div className="flex flex-col gap-3">
+                    <div className="flex items-center justify-between">
+                        <span className="text-sm font-semibold text-gray-300">{t('fields.dialogueLines.label')}:</span>
+                        <button className={smallButtonClass} onClick={() => onChange('dialogueLines', [...lines, createDialogueLine()])}>
+                            {t('audio.addLine')}
+                        </button>
+                    </div>
+                    {lines.map((line, index) => (
+                        <div key={line.id} className="grid grid-cols-1 md:grid-cols-5 gap-2 bg-gray-900 bg-opacity-70 p-3 rounded-lg">
+                            {DIALOGUE_LINE_FIELDS.map((field) => (
+                                <input
+                                    key={field}
+                                    type="text"
+                                    className={`${inputClass} ${field === 'line' ? 'md:col-span-2' : ''}`}
+                                    aria-label={t(`audio.line.${field}.label`, { number: index + 1 })}
+                                    placeholder={t(`audio.line.${field}.placeholder`)}
+                                    value={line[field]}
+                                    onChange={(e) => onChange('dialogueLines', updateDialogueLine(lines, line.id, field, e.target.value))}
+                                />
+                            ))}
+                            <button
+                                className={`${smallButtonClass} md:col-span-5 justify-self-end`}
+                                onClick={() => onChange('dialogueLines', removeDialogueLine(lines, line.id))}
+                            >
+                                {t('audio.removeLine', { number: index + 1 })}
+                            </button>
+                        </div>
+                    ))}
+                </div>
+            )}
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                {SOUND_FIELDS.map((field) => (
+                    <div key={field} className="flex flex-col">
+                        <label htmlFor={field} className="text-sm font-semibold text-gray-300 mb-1">{t(`fields.${field}.label`)}:</label>
+                        <textarea
+                            id={field}
+                            className={textareaClass}
+                            rows="2"
+                            placeholder={t(`fields.${field}.placeholder`)}
+                            value={form[field]}
+                            onChange={(e) => onChange(field, e.target.value)}
+                        />
+                    </div>
+                ))}
+            </div>
+        </fieldset>
+    );
+};
+
+export default AudioSection;
@@ -0,0 +1,179 @@
+import React, { useRef, useState } from 'react';
+import {
+    DEFAULT_CONCURRENCY,
+    exportBatchCsv,
+    exportBatchJson,
+    exportBatchMarkdown,
+    parseBatchFile,
+    runWithConcurrency,
+} from './batch';
+import { downloadFile } from './download';
+import { useTranslation } from './i18n';
+
+const smallButtonClass = "bg-gray-700 hover:bg-gray-600 disabled:opacity-40 disabled:cursor-not-allowed text-white text-sm font-semibold py-1 px-3 rounded-lg transition duration-200";
+const CONCURRENCY_OPTIONS = [1, 2, 3, 4, 5];
+
+// Download formats offered once a batch has run
+const EXPORTS = [
+    { format: 'csv', extension: 'csv', mimeType: 'text/csv', serialize: exportBatchCsv },
+    { format: 'json', extension: 'json', mimeType: 'application/json', serialize: exportBatchJson },
+    { format: 'markdown', extension: 'md', mimeType: 'text/markdown', serialize: exportBatchMarkdown },
+];
+
+/**
+ * Bulk generation: loads a CSV or JSON file of form rows (each row overrides the current
+ * form), runs the valid rows with a concurrency limit and exports the results.
+ * @param {{ form: object, onGenerate: Function }} props
+ *   onGenerate(inputs, signal) resolves with the prompt for one row.
+ */
+const BatchPanel = ({ form, onGenerate }) => {
+    const { t, errorMessage } = useTranslation();
+    const [batch, setBatch] = useState(null); // { filename, rows, unknownColumns } once a file is loaded
+    const [message, setMessage] = useState('');
+    const [concurrency, setConcurrency] = useState(DEFAULT_CONCURRENCY);
+    const [results, setResults] = useState([]); // { index, inputs, status, prompt?, error? } per row
+    const [isRunning, setIsRunning] = useState(false);
+    const fileInput = useRef(null);
+    const abortController = useRef(null);
+
+    // Validation errors of a row, in the UI language
+    const describeErrors = (row) => row.errors
+        .map(({ key, params }) => t(key, { ...params, field: t(`fields.${params.field}.label`) }))
+        .join(' ');
+
+    const loadFile = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = ''; // Allow loading the same file again
+        if (!file) return;
+        try {
+            setBatch({ filename: file.name, ...parseBatchFile(await file.text(), file.name, form) });
+            setResults([]);
+            setMessage('');
+        } catch (err) {
+            console.error('Failed to read batch file:', err);
+            setBatch(null);
+            setMessage(t('batch.loadFailed', { message: errorMessage(err) }));
+        }
+    };
+
+    const updateResult = (index, changes) =>
+        setResults((prev) => prev.map((result) => (result.index === index ? { ...result, ...changes } : result)));
+
+    const run = async () => {
+        const controller = new AbortController();
+        abortController.current = controller;
+        const validRows = batch.rows.filter((row) => row.errors.length === 0);
+        // Invalid rows are reported as failures without being sent
+        setResults(batch.rows.map(({ index, inputs, errors }) => (errors.length
+            ? { index, inputs, status: 'error', error: describeErrors({ errors }) }
+            : { index, inputs, status: 'pending' })));
+        setIsRunning(true);
+        try {
+            await runWithConcurrency(validRows, concurrency, async ({ index, inputs }) => {
+                if (controller.signal.aborted) {
+                    updateResult(index, { status: 'error', error: t('batch.cancelled') });
+                    return;
+                }
+                try {
+                    updateResult(index, { status: 'done', prompt: await onGenerate(inputs, controller.signal) });
+                } catch (err) {
+                    console.error(`Error generating batch row ${index + 1}:`, err);
+                    updateResult(index, { status: 'error', error: errorMessage(err) });
+                }
+            });
+        } finally {
+            setIsRunning(false);
+        }
+    };
+
+    const download = ({ extension, mimeType, serialize }) => {
+        const name = batch.filename.replace(/\.[^.]+$/, '');
+        downloadFile(`${name}-prompts.${extension}`, serialize(results), mimeType);
+    };
+
+    const invalidRows = batch ? batch.rows.filter((row) => row.errors.length > 0) : [];
+    const finished = results.filter((result) => result.status !== 'pending').length;
+    const failed = results.filter((result) => result.status === 'error').length;
+
+    return (
+        <details className="mt-8 bg-gray-900 bg-opacity-70 p-4 rounded-lg border border-purple-700">
+            <summary className="text-lg font-semibold text-gray-300 cursor-pointer">{t('batch.title')}</summary>
+            <p className="text-sm text-gray-400 mt-2 mb-4">{t('batch.note')}</p>
+            <div className="flex flex-wrap items-center gap-2">
+                <button className={smallButtonClass} disabled={isRunning} onClick={() => fileInput.current.click()}>
+                    {t('batch.load')}
+                </button>
+                <input
+                    ref={fileInput}
+                    type="file"
+                    accept=".csv,.json,text/csv,application/json"
+                    className="hidden"
+                    data-testid="batch-file"
+                    onChange={loadFile}
+                />
+                <label htmlFor="batchConcurrency" className="text-sm text-gray-300">{t('batch.concurrency')}:</label>
+                <select
+                    id="batchConcurrency"
+                    className="p-1 border border-purple-600 rounded-lg bg-gray-700 text-white text-sm"
+                    value={concurrency}
+                    disabled={isRunning}
+                    onChange={(e) => setConcurrency(Number(e.target.value))}
+                >
+                    {CONCURRENCY_OPTIONS.map((value) => <option key={value} value={value}>{value}</option>)}
+                </select>
+                <button
+                    className="bg-purple-600 hover:bg-purple-700 disabled:opacity-40 disabled:cursor-not-allowed text-white text-sm font-semibold py-1 px-3 rounded-lg transition duration-200"
+                    disabled={!batch || isRunning || invalidRows.length === batch.rows.length}
+                    onClick={run}
+                >
+                    {t('batch.run')}
+                </button>
+                {isRunning && (
+                    <button className={smallButtonClass} onClick={() => abortController.current?.abort()}>{t('batch.cancel')}</button>
+                )}
+            </div>
+            {message && <p className="text-sm text-red-300 mt-2" role="alert">{message}</p>}
+            {batch && (
+                <div className="mt-4 text-sm text-gray-300">
+                    <p>{t('batch.summary', { filename: batch.filename, rows: batch.rows.length, invalid: invalidRows.length })}</p>
+                    {batch.unknownColumns.length > 0 && (
+                        <p className="text-yellow-300">{t('batch.unknownColumns', { columns: batch.unknownColumns.join(', ') })}</p>
+                    )}
+                    {results.length === 0 && invalidRows.length > 0 && (
+                        <ul className="list-disc list-inside text-yellow-300 mt-1">
+                            {invalidRows.map((row) => (
+                                <li key={row.index}>{t('batch.rowLabel', { row: row.index + 1 })}: {describeErrors(row)}</li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+            )}
+            {results.length > 0 && (
+                <div className="mt-4">
+                    <p className="text-sm text-gray-300" role="status">
+                        {t('batch.progress', { done: finished, total: results.length, failed })}
+                    </p>
+                    <ol className="mt-2 space-y-2 max-h-96 overflow-y-auto">
+                        {results.map((result) => (
+                            <li key={result.index} className="p-2 bg-gray-800 rounded-lg text-sm">
+                                <span className="font-semibold text-gray-300">{t('batch.rowLabel', { row: result.index + 1 })}: </span>
+                                {result.status === 'pending' && <span className="text-gray-400">{t('batch.pending')}</span>}
+                                {result.status === 'done' && <span className="text-gray-100 whitespace-pre-wrap">{result.prompt}</span>}
+                                {result.status === 'error' && <span className="text-red-300">{result.error}</span>}
+                            </li>
+                        ))}
+                    </ol>
+                    <div className="flex flex-wrap gap-2 mt-3">
+                        {EXPORTS.map((format) => (
+                            <button key={format.format} className={smallButtonClass} disabled={isRunning} onClick={() => download(format)}>
+                                {t(`batch.export.${format.format}`)}
+                            </button>
+                        ))}
+                    </div>
+                </div>
+            )}
+        </details>
+    );
+};
+
+export default BatchPanel;
@@ -0,0 +1,106 @@
+import React, { useState } from 'react';
+import { BIBLE_FIELDS, REFERENCE_FIELDS, createBibleEntry, deleteBibleEntry, saveBibleEntry } from './bible';
+import { useTranslation } from './i18n';
+
+const inputClass = "w-full p-2 border border-purple-600 rounded-lg focus:ring-2 focus:ring-pink-500 focus:border-transparent bg-gray-700 text-white placeholder-gray-400";
+const smallButtonClass = "bg-gray-700 hover:bg-gray-600 disabled:opacity-40 disabled:cursor-not-allowed text-white text-sm font-semibold py-1 px-3 rounded-lg transition duration-200";
+
+/**
+ * Library of recurring characters and locations. Ticking an entry adds a reference
+ * to the form; the full description is expanded at generation time.
+ * @param {{ bible: object, form: object, onChange: Function, onFieldChange: Function }} props
+ *   onChange receives the new bible; onFieldChange(field, value) updates the form references.
+ */
+const BiblePanel = ({ bible, form, onChange, onFieldChange }) => {
+    const { t } = useTranslation();
+    const [editing, setEditing] = useState(null); // { kind, entry } while the entry form is open
+
+    const toggleReference = (kind, id) => {
+        const field = REFERENCE_FIELDS[kind];
+        const refs = form[field];
+        onFieldChange(field, refs.includes(id) ? refs.filter((item) => item !== id) : [...refs, id]);
+    };
+
+    const remove = (kind, id) => {
+        const field = REFERENCE_FIELDS[kind];
+        onChange(deleteBibleEntry(bible, kind, id));
+        onFieldChange(field, form[field].filter((item) => item !== id));
+    };
+
+    const save = (e) => {
+        e.preventDefault();
+        const { kind, entry } = editing;
+        // createBibleEntry trims the fields; an edited entry keeps its id so references stay valid
+        const saved = createBibleEntry(kind, entry);
+        onChange(saveBibleEntry(bible, kind, entry.id ? { ...saved, id: entry.id } : saved));
+        setEditing(null);
+    };
+
+    const updateDraft = (field, value) => setEditing((prev) => ({ ...prev, entry: { ...prev.entry, [field]: value } }));
+
+    return (
+        <details className="mb-8 bg-gray-900 bg-opacity-70 p-4 rounded-lg border border-purple-700">
+            <summary className="text-lg font-semibold text-gray-300 cursor-pointer">
+                {t('bible.title', { characters: form.characterRefs.length, locations: form.locationRefs.length })}
+            </summary>
+            <p className="text-sm text-gray-400 mt-2 mb-4">{t('bible.note')}</p>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                {Object.keys(BIBLE_FIELDS).map((kind) => (
+                    <div key={kind}>
+                        <div className="flex items-center justify-between mb-2">
+                            <h3 className="text-white font-semibold">{t(`bible.${kind}.title`)}</h3>
+                            <button className={smallButtonClass} onClick={() => setEditing({ kind, entry: {} })}>
+                                {t(`bible.${kind}.add`)}
+                            </button>
+                        </div>
+                        {bible[kind].length === 0 && <p className="text-sm text-gray-500">{t(`bible.${kind}.empty`)}</p>}
+                        <ul className="space-y-2">
+                            {bible[kind].map((entry) => (
+                                <li key={entry.id} className="flex items-center gap-2">
+                                    <label className="flex items-center gap-2 text-gray-200 flex-1 min-w-0">
+                                        <input
+                                            type="checkbox"
+                                            checked={form[REFERENCE_FIELDS[kind]].includes(entry.id)}
+                                            onChange={() => toggleReference(kind, entry.id)}
+                                        />
+                                        <span className="truncate" title={entry[BIBLE_FIELDS[kind][1]]}>{entry.name}</span>
+                                    </label>
+                                    <button className={smallButtonClass} onClick={() => setEditing({ kind, entry })}>{t('bible.edit')}</button>
+                                    <button className={smallButtonClass} onClick={() => remove(kind, entry.id)} aria-label={t('bible.delete', { name: entry.name })}>×</button>
+                                </li>
+                            ))}
+                        </ul>
+                    </div>
+                ))}
+            </div>
+            {editing && (
+                <form onSubmit={save} className="mt-4 grid grid-cols-1 md:grid-cols-2 gap-3 border-t border-purple-700 pt-4">
+                    {BIBLE_FIELDS[editing.kind].map((field) => (
+                        <div key={field} className="flex flex-col">
+                            <label htmlFor={`bible-${field}`} className="text-sm font-semibold text-gray-300 mb-1">{t(`bible.${editing.kind}.fields.${field}.label`)}:</label>
+                            <input
+                                id={`bible-${field}`}
+                                className={inputClass}
+                                placeholder={t(`bible.${editing.kind}.fields.${field}.placeholder`)}
+                                value={editing.entry[field] || ''}
+                                onChange={(e) => updateDraft(field, e.target.value)}
+                            />
+                        </div>
+                    ))}
+                    <div className="md:col-span-2 flex gap-2">
+                        <button
+                            type="submit"
+                            disabled={!editing.entry.name?.trim()}
+                            className="bg-purple-600 hover:bg-purple-700 disabled:opacity-40 disabled:cursor-not-allowed text-white font-semibold py-2 px-4 rounded-lg transition duration-200"
+                        >
+                            {t('bible.save')}
+                        </button>
+                        <button type="button" className={smallButtonClass} onClick={() => setEditing(null)}>{t('bible.cancel')}</button>
+                    </div>
+                </form>
+            )}
+        </details>
+    );
+};
+
+export default BiblePanel;
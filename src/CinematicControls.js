@@ -0,0 +1,61 @@
+import React from 'react';
+import { FIELD_OPTIONS } from './formFields';
+import { useTranslation } from './i18n';
+
+const selectClass = "w-full p-3 border border-purple-600 rounded-lg focus:ring-2 focus:ring-pink-500 focus:border-transparent transition duration-200 bg-gray-700 text-white";
+
+// Single-choice cinematography selectors, in display order
+const SELECT_FIELDS = ['duration', 'shotSize', 'lens', 'frameRate', 'colorGrade'];
+
+/**
+ * Structured cinematography selectors: duration, shot size, lens, camera move types,
+ * frame rate and color grade. They complement the free-text camera description.
+ * @param {{ form: object, onChange: Function }} props - onChange(field, value) updates one form field.
+ */
+const CinematicControls = ({ form, onChange }) => {
+    const { t } = useTranslation();
+
+    const toggleMove = (move) => {
+        const moves = form.cameraMoves.includes(move)
+            ? form.cameraMoves.filter((item) => item !== move)
+            : FIELD_OPTIONS.cameraMoves.filter((item) => item === move || form.cameraMoves.includes(item));
+        onChange('cameraMoves', moves);
+    };
+
+    return (
+        <fieldset className="md:col-span-2 grid grid-cols-1 md:grid-cols-3 gap-4 border border-purple-700 rounded-lg p-4">
+            <legend className="text-lg font-semibold text-gray-300 px-2">{t('cinematic.title')}</legend>
+            {SELECT_FIELDS.map((field) => (
+                <div key={field} className="flex flex-col">
+                    <label htmlFor={field} className="text-sm font-semibold text-gray-300 mb-1">{t(`fields.${field}.label`)}:</label>
+                    <select
+                        id={field}
+                        className={selectClass}
+                        value={form[field]}
+                        onChange={(e) => onChange(field, e.target.value)}
+                    >
+                        {FIELD_OPTIONS[field].map((value) => <option key={value} value={value}>{t(`options.${field}.${value}`)}</option>)}
+                    </select>
+                </div>
+            ))}
+            <div className="md:col-span-3 flex flex-col">
+                <span className="text-sm font-semibold text-gray-300 mb-1">{t('fields.cameraMoves.label')}:</span>
+                <div className="flex flex-wrap gap-4">
+                    {FIELD_OPTIONS.cameraMoves.map((move) => (
+                        <label key={move} className="flex items-center gap-2 text-gray-300 cursor-pointer">
+                            <input
+                                type="checkbox"
+                                className="h-4 w-4 accent-pink-500"
+                                checked={form.cameraMoves.includes(move)}
+                                onChange={() => toggleMove(move)}
+                            />
+                            {t(`options.cameraMoves.${move}`)}
+                        </label>
+                    ))}
+                </div>
+            </div>
+        </fieldset>
+    );
+};
+
+export default CinematicControls;
@@ -0,0 +1,69 @@
+import React, { useState } from 'react';
+import { searchHistory } from './historyStore';
+import { useTranslation } from './i18n';
+import ThumbnailStrip from './ThumbnailStrip';
+
+const smallButtonClass = "bg-gray-700 hover:bg-gray-600 text-white text-sm font-semibold py-1 px-3 rounded-lg transition duration-200";
+
+/**
+ * Searchable list of past generations with star, delete and restore-to-form actions.
+ * @param {{ entries: Array<object>, onRestore: Function, onToggleStar: Function, onDelete: Function }} props
+ */
+const HistoryPanel = ({ entries, onRestore, onToggleStar, onDelete }) => {
+    const { t } = useTranslation();
+    const [query, setQuery] = useState('');
+    const [starredOnly, setStarredOnly] = useState(false);
+
+    const visible = searchHistory(entries, query, { starredOnly });
+
+    return (
+        <div className="mt-8 bg-gray-900 bg-opacity-70 p-6 rounded-lg shadow-inner border border-purple-700">
+            <h2 className="text-2xl font-bold text-white mb-4">{t('history.title', { count: entries.length })}</h2>
+            <div className="flex flex-col sm:flex-row gap-3 mb-4">
+                <input
+                    type="search"
+                    aria-label={t('history.search')}
+                    className="flex-1 p-2 border border-purple-600 rounded-lg focus:ring-2 focus:ring-pink-500 focus:border-transparent bg-gray-700 text-white placeholder-gray-400"
+                    placeholder={t('history.searchPlaceholder')}
+                    value={query}
+                    onChange={(e) => setQuery(e.target.value)}
+                />
+                <label className="flex items-center gap-2 text-gray-300">
+                    <input type="checkbox" checked={starredOnly} onChange={(e) => setStarredOnly(e.target.checked)} />
+                    {t('history.starredOnly')}
+                </label>
+            </div>
+            {visible.length === 0 ? (
+                <p className="text-gray-400">{entries.length === 0 ? t('history.empty') : t('history.noMatch')}</p>
+            ) : (
+                <ul className="space-y-3 max-h-[400px] overflow-y-auto pr-1">
+                    {visible.map((entry) => (
+                        <li key={entry.id} className="bg-gray-800 p-3 rounded-lg border border-gray-700">
+                            <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+                                <span className="text-xs text-gray-400">
+                                    {new Date(entry.createdAt).toLocaleString(t('meta.locale'))} · {entry.model}
+                                </span>
+                                <div className="flex gap-2">
+                                    <button
+                                        className={smallButtonClass}
+                                        onClick={() => onToggleStar(entry.id)}
+                                        aria-pressed={entry.starred}
+                                        aria-label={entry.starred ? t('history.unstar') : t('history.star')}
+                                    >
+                                        {entry.starred ? '★' : '☆'}
+                                    </button>
+                                    <button className={smallButtonClass} onClick={() => onRestore(entry)}>{t('history.restore')}</button>
+                                    <button className={smallButtonClass} onClick={() => onDelete(entry.id)}>{t('history.delete')}</button>
+                                </div>
+                            </div>
+                            <ThumbnailStrip thumbnails={entry.thumbnails} label={t('images.thumbnails')} />
+                            <p className="text-sm text-gray-200 line-clamp-3">{entry.prompt}</p>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default HistoryPanel;
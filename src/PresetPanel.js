@@ -0,0 +1,133 @@
+import React, { useRef, useState } from 'react';
+import { DEFAULT_FORM, FORM_FIELDS } from './formFields';
+import { BUILT_IN_PRESETS, createPreset, deletePreset, exportPresetPack, mergePresets, parsePresetPack } from './presets';
+import { downloadFile } from './download';
+import { useTranslation } from './i18n';
+
+const chipClass = "text-sm py-1 px-3 rounded-full border border-purple-600 bg-gray-800 text-gray-200 hover:bg-purple-700 transition duration-200";
+const smallButtonClass = "bg-gray-700 hover:bg-gray-600 disabled:opacity-40 disabled:cursor-not-allowed text-white text-sm font-semibold py-1 px-3 rounded-lg transition duration-200";
+
+/**
+ * One-click presets (built-in starters and the user's own), plus saving the
+ * current form as a preset and importing/exporting preset packs as JSON files.
+ * @param {{ form: object, presets: Array<object>, onApply: Function, onChange: Function }} props
+ *   presets are the user presets; onChange receives the new user preset list.
+ */
+const PresetPanel = ({ form, presets, onApply, onChange }) => {
+    const { t, errorMessage } = useTranslation();
+    const [isSaving, setIsSaving] = useState(false);
+    const [name, setName] = useState('');
+    const [selectedFields, setSelectedFields] = useState([]);
+    const [message, setMessage] = useState('');
+    const fileInput = useRef(null);
+
+    // Start the save form with every field that differs from its default, comparing list
+    // fields by value since a restored form holds copies of the default lists
+    const openSaveForm = () => {
+        setSelectedFields(FORM_FIELDS.filter((field) => JSON.stringify(form[field]) !== JSON.stringify(DEFAULT_FORM[field])));
+        setName('');
+        setIsSaving(true);
+    };
+
+    const toggleField = (field) =>
+        setSelectedFields((prev) => (prev.includes(field) ? prev.filter((item) => item !== field) : [...prev, field]));
+
+    const save = (e) => {
+        e.preventDefault();
+        onChange(mergePresets(presets, [createPreset(name, form, selectedFields)]));
+        setIsSaving(false);
+        setMessage(t('presets.saved', { name: name.trim() }));
+    };
+
+    const importPack = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = ''; // Allow importing the same file again
+        if (!file) return;
+        try {
+            const imported = parsePresetPack(await file.text());
+            onChange(mergePresets(presets, imported));
+            setMessage(t('presets.imported', { count: imported.length }));
+        } catch (err) {
+            console.error('Failed to import presets:', err);
+            setMessage(t('presets.importFailed', { message: errorMessage(err) }));
+        }
+    };
+
+    return (
+        <div className="mb-8">
+            <div className="flex flex-wrap items-center gap-2 mb-2">
+                <span className="text-lg font-semibold text-gray-300 mr-1">{t('presets.label')}:</span>
+                {BUILT_IN_PRESETS.map((preset) => (
+                    <button key={preset.id} className={chipClass} onClick={() => onApply(preset)} title={preset.fields.genre}>
+                        {preset.name}
+                    </button>
+                ))}
+                {presets.map((preset) => (
+                    <span key={preset.id} className="inline-flex items-center">
+                        <button className={`${chipClass} border-pink-500 rounded-r-none`} onClick={() => onApply(preset)}>
+                            {preset.name}
+                        </button>
+                        <button
+                            className={`${chipClass} border-pink-500 rounded-l-none border-l-0`}
+                            onClick={() => onChange(deletePreset(presets, preset.id))}
+                            aria-label={t('presets.delete', { name: preset.name })}
+                        >
+                            ×
+                        </button>
+                    </span>
+                ))}
+            </div>
+            <div className="flex flex-wrap gap-2">
+                <button className={smallButtonClass} onClick={() => (isSaving ? setIsSaving(false) : openSaveForm())}>
+                    {isSaving ? t('presets.cancel') : t('presets.save')}
+                </button>
+                <button
+                    className={smallButtonClass}
+                    disabled={presets.length === 0}
+                    onClick={() => downloadFile('veo3-presets.json', exportPresetPack(presets))}
+                >
+                    {t('presets.export')}
+                </button>
+                <button className={smallButtonClass} onClick={() => fileInput.current.click()}>{t('presets.import')}</button>
+                <input
+                    ref={fileInput}
+                    type="file"
+                    accept="application/json,.json"
+                    className="hidden"
+                    data-testid="preset-import"
+                    onChange={importPack}
+                />
+            </div>
+            {message && <p className="text-sm text-gray-400 mt-2" role="status">{message}</p>}
+            {isSaving && (
+                <form onSubmit={save} className="mt-4 bg-gray-900 bg-opacity-70 p-4 rounded-lg border border-purple-700">
+                    <label htmlFor="presetName" className="text-sm font-semibold text-gray-300">{t('presets.name')}:</label>
+                    <input
+                        id="presetName"
+                        className="w-full mt-1 mb-3 p-2 border border-purple-600 rounded-lg focus:ring-2 focus:ring-pink-500 focus:border-transparent bg-gray-700 text-white"
+                        value={name}
+                        onChange={(e) => setName(e.target.value)}
+                    />
+                    <fieldset className="grid grid-cols-2 md:grid-cols-3 gap-2 mb-3">
+                        <legend className="text-sm font-semibold text-gray-300 mb-1">{t('presets.fields')}:</legend>
+                        {FORM_FIELDS.map((field) => (
+                            <label key={field} className="flex items-center gap-2 text-sm text-gray-300">
+                                <input type="checkbox" checked={selectedFields.includes(field)} onChange={() => toggleField(field)} />
+                                {t(`fields.${field}.label`)}
+                            </label>
+                        ))}
+                    </fieldset>
+                    <button
+                        type="submit"
+                        disabled={!name.trim() || selectedFields.length === 0}
+                        className="bg-purple-600 hover:bg-purple-700 disabled:opacity-40 disabled:cursor-not-allowed text-white font-semibold py-2 px-4 rounded-lg transition duration-200"
+                    >
+                        {t('presets.submit')}
+                    </button>
+                </form>
+            )}
+        </div>
+    );
+};
+
+export default PresetPanel;
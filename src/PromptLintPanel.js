@@ -0,0 +1,60 @@
+import React from 'react';
+import { useTranslation } from './i18n';
+
+const smallButtonClass = "bg-gray-700 hover:bg-gray-600 text-white text-xs font-semibold py-1 px-2 rounded-lg transition duration-200 shrink-0";
+
+// Badge color per readiness level
+const LEVEL_CLASSES = {
+    ready: 'bg-green-600',
+    review: 'bg-yellow-600',
+    notReady: 'bg-red-600',
+};
+
+/**
+ * Veo-readiness score and the linter's warnings for the current prompt, each with a
+ * one-click fix where one exists.
+ * @param {{ report: object, onFix: Function }} props
+ *   report comes from lintPrompt; onFix receives the issue to fix.
+ */
+const PromptLintPanel = ({ report, onFix }) => {
+    const { t } = useTranslation();
+
+    // Option values in the messages are shown with their translated labels
+    const messageParams = (params) => ({
+        ...params,
+        ...(params.timeOfDay && { timeOfDay: t(`options.timeOfDay.${params.timeOfDay}`) }),
+        ...(params.lighting && { lighting: t(`options.lightingConditions.${params.lighting}`) }),
+    });
+
+    return (
+        <div className="mt-4 p-3 bg-gray-800 rounded-lg border border-purple-700" aria-label={t('lint.title')} role="region">
+            <div className="flex flex-wrap items-center gap-2">
+                <span className="font-semibold text-gray-200">{t('lint.score', { score: report.score })}</span>
+                <span className={`${LEVEL_CLASSES[report.level]} text-white text-xs font-semibold px-2 py-1 rounded`}>
+                    {t(`lint.levels.${report.level}`)}
+                </span>
+                <span className="text-xs text-gray-400">{t('lint.words', { count: report.wordCount })}</span>
+            </div>
+            {report.issues.length === 0 ? (
+                <p className="text-sm text-gray-400 mt-2">{t('lint.clean')}</p>
+            ) : (
+                <ul className="mt-2 space-y-1">
+                    {report.issues.map((issue, i) => (
+                        <li key={`${issue.id}-${i}`} className="flex items-start justify-between gap-2 text-sm">
+                            <span className={issue.severity === 'error' ? 'text-red-300' : 'text-yellow-300'}>
+                                {t(`lint.issues.${issue.id}.message`, messageParams(issue.params))}
+                            </span>
+                            {issue.fix && (
+                                <button className={smallButtonClass} onClick={() => onFix(issue)}>
+                                    {t(`lint.issues.${issue.id}.fix`, issue.params)}
+                                </button>
+                            )}
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default PromptLintPanel;
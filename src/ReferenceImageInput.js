@@ -0,0 +1,129 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { ACCEPTED_IMAGE_TYPES, MAX_REFERENCE_IMAGES, prepareReferenceImage, sortImageFiles } from './referenceImages';
+import { useTranslation } from './i18n';
+
+const smallButtonClass = "bg-gray-700 hover:bg-gray-600 disabled:opacity-40 disabled:cursor-not-allowed text-white text-sm font-semibold py-1 px-3 rounded-lg transition duration-200";
+
+/**
+ * Reference images for the next generation: dropped, pasted (anywhere on the page) or
+ * picked, downscaled in the browser, and optionally read by the model into the form.
+ * @param {{ images: Array<object>, setImages: Function, onPrefill: Function, canPrefill: boolean, isPrefilling: boolean, isBusy: boolean }} props
+ *   setImages is a state setter (it is called with an updater, since images finish processing
+ *   asynchronously); canPrefill is false when the provider cannot see images; isBusy is true
+ *   while any request runs, including the prefill itself.
+ */
+const ReferenceImageInput = ({ images, setImages, onPrefill, canPrefill, isPrefilling, isBusy = isPrefilling }) => {
+    const { t, errorMessage } = useTranslation();
+    const [message, setMessage] = useState('');
+    const [isProcessing, setIsProcessing] = useState(false);
+    const [isDragging, setIsDragging] = useState(false);
+    const fileInput = useRef(null);
+
+    const addFiles = async (files) => {
+        const { images: accepted, rejected } = sortImageFiles(files);
+        const room = MAX_REFERENCE_IMAGES - images.length;
+        const notes = [];
+        if (rejected.length > 0) notes.push(t('images.unsupported', { names: rejected.map((file) => file.name).join(', ') }));
+        if (accepted.length > room) notes.push(t('images.tooMany', { max: MAX_REFERENCE_IMAGES }));
+        const toAdd = accepted.slice(0, Math.max(0, room));
+
+        setIsProcessing(true);
+        const results = await Promise.allSettled(toAdd.map(prepareReferenceImage));
+        setIsProcessing(false);
+        results.filter((result) => result.status === 'rejected').forEach(({ reason }) => {
+            console.error('Failed to read reference image:', reason);
+            notes.push(errorMessage(reason));
+        });
+        const prepared = results.filter((result) => result.status === 'fulfilled').map((result) => result.value);
+        setImages((prev) => [...prev, ...prepared].slice(0, MAX_REFERENCE_IMAGES));
+        setMessage(notes.join(' '));
+    };
+
+    // Pasting an image anywhere adds it; pasting text keeps its normal behaviour
+    const addFilesRef = useRef(addFiles);
+    addFilesRef.current = addFiles;
+    useEffect(() => {
+        const onPaste = (e) => {
+            const files = e.clipboardData?.files;
+            if (files?.length && sortImageFiles(files).images.length > 0) {
+                e.preventDefault();
+                addFilesRef.current(files);
+            }
+        };
+        window.addEventListener('paste', onPaste);
+        return () => window.removeEventListener('paste', onPaste);
+    }, []);
+
+    const drop = (e) => {
+        e.preventDefault();
+        setIsDragging(false);
+        addFiles(e.dataTransfer.files);
+    };
+
+    return (
+        <div className="mb-8">
+            <span className="block text-lg font-semibold text-gray-300 mb-2">{t('images.label')}:</span>
+            <div
+                data-testid="image-drop-zone"
+                className={`p-4 border-2 border-dashed rounded-lg transition duration-200 ${isDragging ? 'border-pink-500 bg-gray-800' : 'border-purple-600 bg-gray-900 bg-opacity-50'}`}
+                onDragOver={(e) => {
+                    e.preventDefault();
+                    setIsDragging(true);
+                }}
+                onDragLeave={() => setIsDragging(false)}
+                onDrop={drop}
+            >
+                <p className="text-sm text-gray-400 mb-3">{t('images.hint', { max: MAX_REFERENCE_IMAGES })}</p>
+                {images.length > 0 && (
+                    <ul className="flex flex-wrap gap-3 mb-3">
+                        {images.map((image) => (
+                            <li key={image.id} className="relative">
+                                <img src={image.thumbnail} alt={image.name} className="h-16 w-16 object-cover rounded border border-purple-700" />
+                                <button
+                                    className="absolute -top-2 -right-2 bg-gray-700 hover:bg-red-600 text-white text-xs rounded-full w-5 h-5"
+                                    onClick={() => setImages((prev) => prev.filter((item) => item.id !== image.id))}
+                                    aria-label={t('images.remove', { name: image.name })}
+                                >
+                                    ×
+                                </button>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+                <div className="flex flex-wrap items-center gap-2">
+                    <button
+                        className={smallButtonClass}
+                        disabled={isProcessing || images.length >= MAX_REFERENCE_IMAGES}
+                        onClick={() => fileInput.current.click()}
+                    >
+                        {isProcessing ? t('images.processing') : t('images.choose')}
+                    </button>
+                    <input
+                        ref={fileInput}
+                        type="file"
+                        multiple
+                        accept={ACCEPTED_IMAGE_TYPES.join(',')}
+                        className="hidden"
+                        data-testid="image-input"
+                        onChange={(e) => {
+                            const { files } = e.target;
+                            addFiles([...files]);
+                            e.target.value = ''; // Allow picking the same file again
+                        }}
+                    />
+                    <button
+                        className={smallButtonClass}
+                        disabled={images.length === 0 || !canPrefill || isBusy}
+                        title={canPrefill ? undefined : t('images.prefillUnavailable')}
+                        onClick={onPrefill}
+                    >
+                        {isPrefilling ? t('images.prefilling') : t('images.prefill')}
+                    </button>
+                </div>
+                {message && <p className="text-sm text-yellow-300 mt-2" role="status">{message}</p>}
+            </div>
+        </div>
+    );
+};
+
+export default ReferenceImageInput;
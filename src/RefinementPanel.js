@@ -0,0 +1,103 @@
+import React, { useState } from 'react';
+import { diffWords } from './textDiff';
+import { useTranslation } from './i18n';
+
+const smallButtonClass = "bg-gray-700 hover:bg-gray-600 disabled:opacity-40 disabled:cursor-not-allowed text-white text-sm font-semibold py-1 px-3 rounded-lg transition duration-200";
+
+// Colors for each kind of diff segment
+const DIFF_CLASSES = {
+    same: 'text-gray-300',
+    added: 'bg-green-900 text-green-200',
+    removed: 'bg-red-900 text-red-300 line-through',
+};
+
+/**
+ * Multi-turn refinement of the generated prompt: send follow-up instructions,
+ * browse every version with a diff against the version it came from, and revert.
+ * @param {{ versions: Array<object>, activeVersionId: number, isRefining: boolean, isBusy: boolean, onRefine: Function, onRevert: Function }} props
+ *   isBusy is true while any request runs (this refinement or another one); sending waits for it.
+ */
+const RefinementPanel = ({ versions, activeVersionId, isRefining, isBusy = isRefining, onRefine, onRevert }) => {
+    const { t } = useTranslation();
+    const [instruction, setInstruction] = useState('');
+    const [viewedId, setViewedId] = useState(null); // Version whose diff is shown; defaults to the active one
+
+    const viewed = versions.find((version) => version.id === (viewedId ?? activeVersionId)) || versions[0];
+    const parent = versions.find((version) => version.id === viewed.parentId);
+
+    const submit = (e) => {
+        e.preventDefault();
+        const text = instruction.trim();
+        if (!text || isBusy) return;
+        onRefine(text);
+        setInstruction('');
+        setViewedId(null);
+    };
+
+    return (
+        <div className="mt-6 pt-6 border-t border-purple-800">
+            <h3 className="text-xl font-bold text-white mb-3">{t('refinement.title')}</h3>
+            <form onSubmit={submit} className="flex flex-col sm:flex-row gap-3 mb-4">
+                <input
+                    aria-label={t('refinement.instruction')}
+                    className="flex-1 p-2 border border-purple-600 rounded-lg focus:ring-2 focus:ring-pink-500 focus:border-transparent bg-gray-700 text-white placeholder-gray-400"
+                    placeholder={t('refinement.placeholder')}
+                    value={instruction}
+                    onChange={(e) => setInstruction(e.target.value)}
+                    disabled={isRefining}
+                />
+                <button
+                    type="submit"
+                    disabled={isBusy || !instruction.trim()}
+                    className="bg-purple-600 hover:bg-purple-700 disabled:opacity-40 disabled:cursor-not-allowed text-white font-semibold py-2 px-4 rounded-lg transition duration-200 shadow-md"
+                >
+                    {isRefining ? t('refinement.sending') : t('refinement.send')}
+                </button>
+            </form>
+
+            {versions.length > 1 && (
+                <>
+                    <ol className="flex flex-wrap gap-2 mb-4">
+                        {versions.map((version) => (
+                            <li key={version.id}>
+                                <button
+                                    onClick={() => setViewedId(version.id)}
+                                    aria-pressed={version.id === viewed.id}
+                                    title={version.instruction || t('refinement.original')}
+                                    className={`text-sm py-1 px-3 rounded-full border transition duration-200 ${version.id === viewed.id ? 'bg-purple-600 border-purple-400 text-white' : 'bg-gray-800 border-gray-600 text-gray-300 hover:bg-gray-700'}`}
+                                >
+                                    v{version.id}{version.id === activeVersionId ? ` ${t('refinement.active')}` : ''}
+                                </button>
+                            </li>
+                        ))}
+                    </ol>
+                    <div className="bg-gray-800 p-4 rounded-lg border border-gray-700">
+                        <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+                            <span className="text-sm text-gray-400">
+                                {parent
+                                    ? t('refinement.fromParent', { version: viewed.id, parent: parent.id, instruction: viewed.instruction })
+                                    : t('refinement.originalVersion', { version: viewed.id })}
+                            </span>
+                            <button
+                                className={smallButtonClass}
+                                disabled={viewed.id === activeVersionId || isRefining}
+                                onClick={() => onRevert(viewed.id)}
+                            >
+                                {t('refinement.revert', { version: viewed.id })}
+                            </button>
+                        </div>
+                        <p className="text-sm leading-relaxed whitespace-pre-wrap" data-testid="version-diff">
+                            {parent
+                                ? diffWords(parent.prompt, viewed.prompt).map((segment, index) => (
+                                    <span key={index} className={DIFF_CLASSES[segment.type]}>{segment.text}</span>
+                                ))
+                                : <span className={DIFF_CLASSES.same}>{viewed.prompt}</span>}
+                        </p>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default RefinementPanel;
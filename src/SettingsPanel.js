@@ -0,0 +1,129 @@
+import React, { useState } from 'react';
+import { PROVIDERS, resolveProvider } from './providers';
+import { updateProviderConfig, updateRequestSetting } from './settingsStore';
+import { useTranslation } from './i18n';
+
+const inputClass = "w-full p-2 border border-purple-600 rounded-lg focus:ring-2 focus:ring-pink-500 focus:border-transparent bg-gray-700 text-white placeholder-gray-400";
+
+/**
+ * Provider selector with the base URL, model name and API key of the selected provider.
+ * Values are saved locally by the parent; empty fields fall back to the provider defaults.
+ * @param {{ settings: object, onChange: Function }} props - Current settings and their setter.
+ */
+const SettingsPanel = ({ settings, onChange }) => {
+    const { t } = useTranslation();
+    const { provider } = resolveProvider(settings);
+    // The fields show the saved overrides only, so clearing one really empties it; the defaults are placeholders
+    const saved = settings.configs?.[provider.id] || {};
+
+    // Timeout and retries are typed as raw text and only clamped once the field is left,
+    // so intermediate values ("3" on the way to "30") are not snapped to the range
+    const [drafts, setDrafts] = useState({});
+
+    const update = (key, value) => onChange(updateProviderConfig(settings, provider.id, key, value));
+    const editRequestSetting = (key, value) => setDrafts((prev) => ({ ...prev, [key]: value }));
+    const commitRequestSetting = (key) => {
+        if (drafts[key] === undefined) return;
+        onChange(updateRequestSetting(settings, key, drafts[key]));
+        setDrafts(({ [key]: _, ...rest }) => rest);
+    };
+
+    return (
+        <div className="mb-8 bg-gray-900 bg-opacity-70 p-6 rounded-lg border border-purple-700">
+            <h2 className="text-2xl font-bold text-white mb-4">{t('settings.title')}</h2>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div className="flex flex-col md:col-span-2">
+                    <label htmlFor="provider" className="text-sm font-semibold text-gray-300 mb-1">{t('settings.provider')}:</label>
+                    <select
+                        id="provider"
+                        className={inputClass}
+                        value={provider.id}
+                        onChange={(e) => onChange({ ...settings, provider: e.target.value })}
+                    >
+                        {Object.keys(PROVIDERS).map((id) => (
+                            <option key={id} value={id}>{t(`providers.${id}`)}</option>
+                        ))}
+                    </select>
+                </div>
+                {!provider.offline && (
+                    <>
+                        <div className="flex flex-col md:col-span-2">
+                            <label htmlFor="providerBaseUrl" className="text-sm font-semibold text-gray-300 mb-1">{t('settings.baseUrl')}:</label>
+                            <input
+                                id="providerBaseUrl"
+                                className={inputClass}
+                                placeholder={provider.defaults.baseUrl}
+                                value={saved.baseUrl ?? ''}
+                                onChange={(e) => update('baseUrl', e.target.value)}
+                            />
+                        </div>
+                        <div className="flex flex-col">
+                            <label htmlFor="providerModel" className="text-sm font-semibold text-gray-300 mb-1">{t('settings.model')}:</label>
+                            <input
+                                id="providerModel"
+                                className={inputClass}
+                                placeholder={provider.defaults.model}
+                                value={saved.model ?? ''}
+                                onChange={(e) => update('model', e.target.value)}
+                            />
+                        </div>
+                        <div className="flex flex-col">
+                            <label htmlFor="providerApiKey" className="text-sm font-semibold text-gray-300 mb-1">{t('settings.apiKey')}:</label>
+                            <input
+                                id="providerApiKey"
+                                type="password"
+                                autoComplete="off"
+                                className={inputClass}
+                                placeholder={t('settings.optional')}
+                                value={saved.apiKey ?? ''}
+                                onChange={(e) => update('apiKey', e.target.value)}
+                            />
+                        </div>
+                        <div className="flex flex-col">
+                            <label htmlFor="requestTimeout" className="text-sm font-semibold text-gray-300 mb-1">{t('settings.timeout')}:</label>
+                            <input
+                                id="requestTimeout"
+                                type="number"
+                                min="5"
+                                max="600"
+                                className={inputClass}
+                                value={drafts.timeoutSeconds ?? settings.timeoutSeconds}
+                                onChange={(e) => editRequestSetting('timeoutSeconds', e.target.value)}
+                                onBlur={() => commitRequestSetting('timeoutSeconds')}
+                            />
+                        </div>
+                        <div className="flex flex-col">
+                            <label htmlFor="requestRetries" className="text-sm font-semibold text-gray-300 mb-1">{t('settings.retries')}:</label>
+                            <input
+                                id="requestRetries"
+                                type="number"
+                                min="0"
+                                max="10"
+                                className={inputClass}
+                                value={drafts.maxRetries ?? settings.maxRetries}
+                                onChange={(e) => editRequestSetting('maxRetries', e.target.value)}
+                                onBlur={() => commitRequestSetting('maxRetries')}
+                            />
+                        </div>
+                        <label className="flex items-center gap-2 text-sm text-gray-300 md:col-span-2 cursor-pointer">
+                            <input
+                                type="checkbox"
+                                className="h-4 w-4 accent-pink-500"
+                                checked={settings.streaming !== false}
+                                onChange={(e) => onChange({ ...settings, streaming: e.target.checked })}
+                            />
+                            {t('settings.streaming')}
+                        </label>
+                    </>
+                )}
+            </div>
+            <p className="text-sm text-gray-400 mt-4">
+                {provider.offline
+                    ? t('settings.offlineNote')
+                    : t('settings.storedLocally')}
+            </p>
+        </div>
+    );
+};
+
+export default SettingsPanel;
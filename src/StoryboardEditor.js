@@ -0,0 +1,63 @@
+import React from 'react';
+import { SHOT_FIELDS, createShot, duplicateShot, moveShot, removeShot, updateShot } from './shots';
+import { useTranslation } from './i18n';
+
+const textareaClass = "w-full p-3 border border-purple-600 rounded-lg focus:ring-2 focus:ring-pink-500 focus:border-transparent transition duration-200 resize-y min-h-[60px] bg-gray-700 text-white placeholder-gray-400";
+const smallButtonClass = "bg-gray-700 hover:bg-gray-600 disabled:opacity-40 disabled:cursor-not-allowed text-white text-sm font-semibold py-1 px-3 rounded-lg transition duration-200";
+
+/**
+ * Editable list of storyboard shots with add, reorder, duplicate and delete controls.
+ * @param {{ shots: Array<object>, onChange: Function }} props - The shot list and its setter.
+ */
+const StoryboardEditor = ({ shots, onChange }) => {
+    const { t } = useTranslation();
+
+    return (
+        <div className="mb-8">
+            <div className="flex items-center justify-between mb-4">
+                <h2 className="text-2xl font-bold text-white">{t('storyboard.title', { count: shots.length })}</h2>
+                <button
+                    onClick={() => onChange([...shots, createShot()])}
+                    className="bg-purple-600 hover:bg-purple-700 text-white font-semibold py-2 px-4 rounded-lg transition duration-200 shadow-md"
+                >
+                    {t('storyboard.addShot')}
+                </button>
+            </div>
+            <p className="text-sm text-gray-400 mb-4">
+                {t('storyboard.sharedNote')}
+            </p>
+            <ol className="space-y-4">
+                {shots.map((shot, index) => (
+                    <li key={shot.id} className="bg-gray-900 bg-opacity-70 p-4 rounded-lg border border-purple-700">
+                        <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+                            <span className="text-lg font-semibold text-white">{t('storyboard.shot', { number: index + 1 })}</span>
+                            <div className="flex gap-2">
+                                <button className={smallButtonClass} disabled={index === 0} onClick={() => onChange(moveShot(shots, index, -1))} aria-label={t('storyboard.moveUp', { number: index + 1 })}>↑</button>
+                                <button className={smallButtonClass} disabled={index === shots.length - 1} onClick={() => onChange(moveShot(shots, index, 1))} aria-label={t('storyboard.moveDown', { number: index + 1 })}>↓</button>
+                                <button className={smallButtonClass} onClick={() => onChange(duplicateShot(shots, index))}>{t('storyboard.duplicate')}</button>
+                                <button className={smallButtonClass} disabled={shots.length === 1} onClick={() => onChange(removeShot(shots, index))}>{t('storyboard.remove')}</button>
+                            </div>
+                        </div>
+                        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                            {SHOT_FIELDS.map((name) => (
+                                <div key={name} className="flex flex-col">
+                                    <label htmlFor={`${shot.id}-${name}`} className="text-sm font-semibold text-gray-300 mb-1">{t(`storyboard.fields.${name}.label`)}:</label>
+                                    <textarea
+                                        id={`${shot.id}-${name}`}
+                                        className={textareaClass}
+                                        rows="2"
+                                        placeholder={t(`storyboard.fields.${name}.placeholder`)}
+                                        value={shot[name]}
+                                        onChange={(e) => onChange(updateShot(shots, shot.id, name, e.target.value))}
+                                    />
+                                </div>
+                            ))}
+                        </div>
+                    </li>
+                ))}
+            </ol>
+        </div>
+    );
+};
+
+export default StoryboardEditor;
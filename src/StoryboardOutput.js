@@ -0,0 +1,89 @@
+import React, { useState } from 'react';
+import { copyText } from './clipboard';
+import { formatScript } from './shots';
+import { useTranslation } from './i18n';
+
+/**
+ * Ordered list of generated shot prompts, each copyable on its own or all together as a numbered script.
+ * @param {{ shots: Array<object>, results: Object<string, { prompt?: string, error?: string }> }} props
+ */
+const StoryboardOutput = ({ shots, results }) => {
+    const { t } = useTranslation();
+    // Copy feedback, keyed by shot id or 'script' for the whole sequence
+    const [copyMessages, setCopyMessages] = useState({});
+
+    const copy = (key, text) => {
+        let message;
+        try {
+            copyText(text);
+            message = t('messages.copied');
+        } catch (err) {
+            console.error('Gagal menyalin:', err);
+            message = t('messages.copyFailed');
+        }
+        setCopyMessages((prev) => ({ ...prev, [key]: message }));
+        setTimeout(() => setCopyMessages((prev) => ({ ...prev, [key]: '' })), 3000); // Clear message after 3 seconds
+    };
+
+    const script = formatScript(shots, results);
+
+    return (
+        <div className="mt-8 bg-gray-900 bg-opacity-70 p-6 rounded-lg shadow-inner border border-purple-700">
+            <div className="flex items-center justify-between mb-4">
+                <h2 className="text-2xl font-bold text-white">{t('storyboard.outputTitle')}</h2>
+                <div className="relative">
+                    <button
+                        onClick={() => copy('script', script)}
+                        disabled={!script}
+                        className="bg-purple-600 hover:bg-purple-700 disabled:opacity-40 text-white font-semibold py-2 px-4 rounded-lg transition duration-200 shadow-md"
+                    >
+                        {t('storyboard.copyAll')}
+                    </button>
+                    {copyMessages.script && (
+                        <span className="absolute -top-8 right-0 bg-green-500 text-white text-xs px-2 py-1 rounded shadow-sm whitespace-nowrap">
+                            {copyMessages.script}
+                        </span>
+                    )}
+                </div>
+            </div>
+            <ol className="space-y-4">
+                {shots.map((shot, index) => {
+                    const result = results[shot.id];
+                    if (!result) return null;
+                    return (
+                        <li key={shot.id}>
+                            <h3 className="text-lg font-semibold text-gray-300 mb-2">{t('storyboard.shot', { number: index + 1 })}</h3>
+                            {result.error ? (
+                                <div className="bg-red-800 border border-red-600 text-red-200 px-4 py-3 rounded" role="alert">
+                                    {result.error}
+                                </div>
+                            ) : (
+                                <div className="relative">
+                                    <textarea
+                                        readOnly
+                                        className="w-full p-4 border border-pink-500 rounded-lg bg-gray-800 text-white leading-relaxed font-mono resize-y min-h-[100px]"
+                                        rows="4"
+                                        value={result.prompt}
+                                    ></textarea>
+                                    <button
+                                        onClick={() => copy(shot.id, result.prompt)}
+                                        className="absolute top-2 right-2 bg-purple-600 hover:bg-purple-700 text-white font-semibold py-2 px-4 rounded-lg transition duration-200 shadow-md"
+                                    >
+                                        {t('app.copy')}
+                                    </button>
+                                    {copyMessages[shot.id] && (
+                                        <span className="absolute -top-8 right-2 bg-green-500 text-white text-xs px-2 py-1 rounded shadow-sm">
+                                            {copyMessages[shot.id]}
+                                        </span>
+                                    )}
+                                </div>
+                            )}
+                        </li>
+                    );
+                })}
+            </ol>
+        </div>
+    );
+};
+
+export default StoryboardOutput;
@@ -0,0 +1,78 @@
+import React from 'react';
+import { ASPECT_RATIOS, STRUCTURED_FIELDS, validateStructuredPrompt } from './structuredPrompt';
+import { useTranslation } from './i18n';
+
+const inputClass = "w-full p-2 border border-purple-600 rounded-lg focus:ring-2 focus:ring-pink-500 focus:border-transparent bg-gray-700 text-white placeholder-gray-400";
+const buttonClass = "bg-purple-600 hover:bg-purple-700 disabled:opacity-40 disabled:cursor-not-allowed text-white font-semibold py-2 px-4 rounded-lg transition duration-200 shadow-md";
+
+/**
+ * Editable view of a structured (JSON mode) prompt. Validation runs on every render
+ * so problems disappear as soon as the user fixes them.
+ * @param {{ data: object, onChange: Function, onCompose: Function, onExport: Function }} props
+ *   onCompose and onExport receive the validated data.
+ */
+const StructuredPromptEditor = ({ data, onChange, onCompose, onExport }) => {
+    const { t } = useTranslation();
+    const { data: validated, errors } = validateStructuredPrompt(data);
+
+    const update = (name, value) => onChange({ ...data, [name]: value });
+
+    return (
+        <div className="mt-8 bg-gray-900 bg-opacity-70 p-6 rounded-lg shadow-inner border border-purple-700">
+            <h2 className="text-2xl font-bold text-white mb-4">{t('structured.title')}</h2>
+            {errors.length > 0 && (
+                <ul className="bg-yellow-900 border border-yellow-600 text-yellow-200 px-4 py-3 rounded mb-4 list-disc list-inside" role="alert">
+                    {errors.map(({ key, params }) => <li key={`${key}-${params.field}`}>{t(key, params)}</li>)}
+                </ul>
+            )}
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                {STRUCTURED_FIELDS.map(({ name }) => (
+                    <div key={name} className="flex flex-col">
+                        <label htmlFor={`structured-${name}`} className="text-sm font-semibold text-gray-300 mb-1">{t(`structured.fields.${name}`)}:</label>
+                        <textarea
+                            id={`structured-${name}`}
+                            className={`${inputClass} resize-y min-h-[60px]`}
+                            rows="2"
+                            value={data[name] ?? ''}
+                            onChange={(e) => update(name, e.target.value)}
+                        />
+                    </div>
+                ))}
+                <div className="flex flex-col">
+                    <label htmlFor="structured-aspectRatio" className="text-sm font-semibold text-gray-300 mb-1">{t('structured.aspectRatio')}:</label>
+                    <select
+                        id="structured-aspectRatio"
+                        className={inputClass}
+                        value={ASPECT_RATIOS.includes(data.aspectRatio) ? data.aspectRatio : ''}
+                        onChange={(e) => update('aspectRatio', e.target.value)}
+                    >
+                        {/* An invalid ratio from the model shows as unset until one is picked */}
+                        {!ASPECT_RATIOS.includes(data.aspectRatio) && <option value="" disabled>—</option>}
+                        {ASPECT_RATIOS.map((ratio) => <option key={ratio} value={ratio}>{ratio}</option>)}
+                    </select>
+                </div>
+                <div className="flex flex-col">
+                    <label htmlFor="structured-duration" className="text-sm font-semibold text-gray-300 mb-1">{t('structured.duration')}:</label>
+                    <input
+                        id="structured-duration"
+                        type="number"
+                        min="1"
+                        className={inputClass}
+                        value={data.duration ?? ''}
+                        onChange={(e) => update('duration', e.target.value)}
+                    />
+                </div>
+            </div>
+            <div className="flex flex-wrap gap-3 mt-4">
+                <button className={buttonClass} disabled={errors.length > 0} onClick={() => onCompose(validated)}>
+                    {t('structured.compose')}
+                </button>
+                <button className={buttonClass} disabled={errors.length > 0} onClick={() => onExport(validated)}>
+                    {t('structured.export')}
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default StructuredPromptEditor;
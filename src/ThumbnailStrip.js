@@ -0,0 +1,20 @@
+import React from 'react';
+
+/**
+ * A row of small reference image thumbnails, or nothing when there are none.
+ * @param {{ thumbnails: string[], label: string }} props - Image data URLs and the accessible name of the row.
+ */
+const ThumbnailStrip = ({ thumbnails = [], label }) => {
+    if (thumbnails.length === 0) return null;
+    return (
+        <ul className="flex flex-wrap gap-2 mb-2" aria-label={label}>
+            {thumbnails.map((src, i) => (
+                <li key={i}>
+                    <img src={src} alt={`${label} ${i + 1}`} className="h-12 w-12 object-cover rounded border border-purple-700" />
+                </li>
+            ))}
+        </ul>
+    );
+};
+
+export default ThumbnailStrip;
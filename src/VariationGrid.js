@@ -0,0 +1,68 @@
+import React, { useState } from 'react';
+import { copyText } from './clipboard';
+import { useTranslation } from './i18n';
+
+const buttonClass = "bg-purple-600 hover:bg-purple-700 disabled:opacity-40 disabled:cursor-not-allowed text-white text-sm font-semibold py-1 px-3 rounded-lg transition duration-200";
+
+/**
+ * Side-by-side comparison of generated variations. Every card shows its own
+ * loading or error state and offers copy, pick-as-winner and refine actions.
+ * @param {{ variations: Array<object>, onPick: Function, onRefine: Function }} props
+ */
+const VariationGrid = ({ variations, onPick, onRefine }) => {
+    const { t } = useTranslation();
+    const [copiedId, setCopiedId] = useState(null);
+
+    const copy = (variation) => {
+        try {
+            copyText(variation.prompt);
+            setCopiedId(variation.id);
+            setTimeout(() => setCopiedId(null), 3000); // Clear message after 3 seconds
+        } catch (err) {
+            console.error('Gagal menyalin:', err);
+        }
+    };
+
+    return (
+        <div className="mt-8">
+            <h2 className="text-2xl font-bold text-white mb-4">{t('variations.title')}</h2>
+            <ol className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                {variations.map((variation) => (
+                    <li
+                        key={variation.id}
+                        className={`flex flex-col bg-gray-900 bg-opacity-70 p-4 rounded-lg border ${variation.winner ? 'border-green-500 ring-2 ring-green-500' : 'border-purple-700'}`}
+                    >
+                        <div className="flex items-center justify-between mb-2">
+                            <span className="font-semibold text-white">{t('variations.card', { number: variation.id + 1 })}</span>
+                            {variation.winner && <span className="text-xs font-bold text-green-400">{t('variations.winner')}</span>}
+                        </div>
+                        {variation.status === 'loading' && (
+                            <p className="flex-1 text-gray-400 animate-pulse">{t('app.generating')}</p>
+                        )}
+                        {variation.status === 'error' && (
+                            <div className="flex-1 bg-red-800 border border-red-600 text-red-200 px-3 py-2 rounded text-sm" role="alert">
+                                {variation.error}
+                            </div>
+                        )}
+                        {variation.status === 'done' && (
+                            <p className="flex-1 text-sm text-gray-200 leading-relaxed whitespace-pre-wrap">{variation.prompt}</p>
+                        )}
+                        <div className="flex flex-wrap gap-2 mt-3">
+                            <button className={buttonClass} disabled={variation.status !== 'done'} onClick={() => copy(variation)}>
+                                {copiedId === variation.id ? t('variations.copied') : t('app.copy')}
+                            </button>
+                            <button className={buttonClass} disabled={variation.status !== 'done'} onClick={() => onPick(variation)}>
+                                {t('variations.pick')}
+                            </button>
+                            <button className={buttonClass} disabled={variation.status !== 'done'} onClick={() => onRefine(variation)}>
+                                {t('variations.refine')}
+                            </button>
+                        </div>
+                    </li>
+                ))}
+            </ol>
+        </div>
+    );
+};
+
+export default VariationGrid;
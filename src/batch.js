@@ -0,0 +1,240 @@
+// Batch generation: reading a CSV or JSON file of form rows, validating each row
+// against the allowed option values, running rows with a concurrency limit, and
+// exporting the results as CSV, JSON or a Markdown script.
+
+import { DEFAULT_FORM, FIELD_OPTIONS, FORM_FIELDS } from './formFields';
+import { LocalizedError } from './i18n';
+
+// Fields a batch row can set: every text and dropdown field, plus list fields of options
+// (written as "Dolly; Drone" in CSV). Speaker lines and bible references stay on the form.
+export const BATCH_FIELDS = FORM_FIELDS.filter((field) =>
+    typeof DEFAULT_FORM[field] === 'string' || (Array.isArray(DEFAULT_FORM[field]) && FIELD_OPTIONS[field]));
+
+export const DEFAULT_CONCURRENCY = 3;
+
+/**
+ * Parses CSV text (RFC 4180: quoted fields, doubled quotes, newlines inside quotes,
+ * CRLF or LF line endings, optional BOM) into rows of cells.
+ * @param {string} text - CSV contents.
+ * @returns {string[][]} The rows; blank lines are skipped.
+ */
+export const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    const input = text.replace(/^\uFEFF/, '');
+
+    const endRow = () => {
+        row.push(cell);
+        if (row.some((value) => value.trim() !== '')) rows.push(row);
+        row = [];
+        cell = '';
+    };
+
+    for (let i = 0; i < input.length; i += 1) {
+        const char = input[i];
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i += 1;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i += 1;
+            endRow();
+        } else {
+            cell += char;
+        }
+    }
+    if (cell !== '' || row.length > 0) endRow();
+    return rows;
+};
+
+/**
+ * Serializes rows of cells as CSV, quoting cells that need it.
+ */
+export const toCsv = (rows) => rows
+    .map((row) => row.map((value) => {
+        const text = String(value ?? '');
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(','))
+    .join('\r\n');
+
+/**
+ * Matches a raw cell against a field's options, ignoring case ("night" → "Night").
+ * @returns {string|undefined} The canonical option, or undefined when it is not allowed.
+ */
+const matchOption = (field, value) =>
+    FIELD_OPTIONS[field].find((option) => option.toLowerCase() === value.toLowerCase());
+
+/**
+ * Normalizes one raw value from the file into a form value.
+ * @returns {{ value?: *, error?: { key: string, params: object } }}
+ */
+const normalizeValue = (field, raw) => {
+    const options = FIELD_OPTIONS[field];
+    if (Array.isArray(DEFAULT_FORM[field])) {
+        const items = Array.isArray(raw) ? raw : String(raw).split(/[;|]/);
+        const values = items.map((item) => String(item).trim()).filter(Boolean);
+        const invalid = values.filter((item) => !matchOption(field, item));
+        if (invalid.length > 0) {
+            return { error: { key: 'batch.errors.invalidOption', params: { field, value: invalid.join(', '), allowed: options.join(', ') } } };
+        }
+        return { value: values.map((item) => matchOption(field, item)) };
+    }
+
+    const text = typeof raw === 'number' ? String(raw) : raw;
+    if (typeof text !== 'string') {
+        return { error: { key: 'batch.errors.invalidValue', params: { field } } };
+    }
+    if (!options) return { value: text.trim() };
+    const option = matchOption(field, text.trim());
+    if (option === undefined) {
+        return { error: { key: 'batch.errors.invalidOption', params: { field, value: text.trim(), allowed: options.filter(Boolean).join(', ') } } };
+    }
+    return { value: option };
+};
+
+/**
+ * Turns a record from the file into a batch row on top of the current form.
+ * Empty cells keep the form's value; invalid values are reported and keep it too.
+ * @param {object} base - The current form, supplying every field the file leaves out.
+ * @param {object} record - Field name → raw value.
+ * @param {number} index - 0-based position in the file.
+ * @returns {{ index: number, inputs: object, errors: Array<{ key: string, params: object }> }}
+ */
+const toBatchRow = (base, record, index) => {
+    const inputs = { ...base };
+    const errors = [];
+    BATCH_FIELDS.forEach((field) => {
+        const raw = record[field];
+        if (raw === undefined || raw === null || raw === '') return;
+        const { value, error } = normalizeValue(field, raw);
+        if (error) {
+            errors.push(error);
+        } else {
+            inputs[field] = value;
+        }
+    });
+    return { index, inputs, errors };
+};
+
+// Maps header names to form fields, ignoring case, spaces and underscores
+const fieldForColumn = (column) => {
+    const key = column.toLowerCase().replace(/[\s_-]/g, '');
+    return BATCH_FIELDS.find((field) => field.toLowerCase() === key);
+};
+
+/**
+ * Reads the records (field → raw value) of a CSV or JSON file.
+ * JSON may be an array of objects or { rows: [...] }; CSV needs a header row.
+ * @returns {{ records: Array<object>, unknownColumns: string[] }}
+ */
+const readRecords = (text, filename) => {
+    const isJson = /\.json$/i.test(filename) || /^\s*[[{]/.test(text);
+    let sources;
+    if (isJson) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (err) {
+            throw new LocalizedError('batch.errors.invalidJson', { message: err.message });
+        }
+        sources = Array.isArray(data) ? data : data?.rows;
+        if (!Array.isArray(sources) || sources.some((item) => !item || typeof item !== 'object' || Array.isArray(item))) {
+            throw new LocalizedError('batch.errors.notRows');
+        }
+    } else {
+        const [header = [], ...lines] = parseCsv(text);
+        sources = lines.map((cells) => Object.fromEntries(header.map((column, i) => [column.trim(), cells[i] ?? ''])));
+    }
+
+    const columns = new Set(sources.flatMap((source) => Object.keys(source)));
+    const unknownColumns = [...columns].filter((column) => !fieldForColumn(column));
+    const records = sources.map((source) => Object.fromEntries(Object.entries(source)
+        .filter(([column]) => fieldForColumn(column))
+        .map(([column, value]) => [fieldForColumn(column), value])));
+    return { records, unknownColumns };
+};
+
+/**
+ * Parses a batch file into rows ready to generate.
+ * @param {string} text - File contents.
+ * @param {string} filename - File name, used to tell JSON from CSV.
+ * @param {object} base - The current form; each row only overrides the columns it sets.
+ * @returns {{ rows: Array<object>, unknownColumns: string[] }} Rows with their validation errors.
+ * @throws {LocalizedError} When the file is not valid JSON, not a list of rows, or has no rows.
+ */
+export const parseBatchFile = (text, filename, base = DEFAULT_FORM) => {
+    const { records, unknownColumns } = readRecords(text, filename);
+    const rows = records
+        .map((record, index) => toBatchRow(base, record, index))
+        .filter((row, index) => Object.values(records[index]).some((value) => value !== '' && value !== null));
+    if (rows.length === 0) {
+        throw new LocalizedError('batch.errors.noRows');
+    }
+    return { rows, unknownColumns };
+};
+
+/**
+ * Runs `worker` over the items with at most `limit` running at once.
+ * The worker is expected to handle its own errors.
+ * @param {Array} items - Work items.
+ * @param {number} limit - Maximum number of concurrent workers.
+ * @param {Function} worker - (item, index) => Promise.
+ * @returns {Promise<void>} Resolves when every item is done.
+ */
+export const runWithConcurrency = async (items, limit, worker) => {
+    let next = 0;
+    const run = async () => {
+        while (next < items.length) {
+            const index = next;
+            next += 1;
+            await worker(items[index], index);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, run));
+};
+
+// A list value as written in the CSV export
+const cellValue = (value) => (Array.isArray(value) ? value.join('; ') : value);
+
+/**
+ * Exports batch results as CSV: the row number, every batch field, the prompt and any error.
+ * @param {Array<{ index: number, inputs: object, prompt?: string, error?: string }>} results
+ */
+export const exportBatchCsv = (results) => toCsv([
+    ['row', ...BATCH_FIELDS, 'prompt', 'error'],
+    ...results.map(({ index, inputs, prompt, error }) =>
+        [index + 1, ...BATCH_FIELDS.map((field) => cellValue(inputs[field])), prompt || '', error || '']),
+]);
+
+/**
+ * Exports batch results as pretty-printed JSON.
+ */
+export const exportBatchJson = (results) => JSON.stringify(results.map(({ index, inputs, prompt, error }) => ({
+    row: index + 1,
+    inputs: Object.fromEntries(BATCH_FIELDS.map((field) => [field, inputs[field]])),
+    prompt: prompt || null,
+    error: error || null,
+})), null, 2);
+
+/**
+ * Exports batch results as a Markdown script, one section per row.
+ */
+export const exportBatchMarkdown = (results) => [
+    '# Veo 3 Batch Prompts',
+    ...results.map(({ index, inputs, prompt, error }) => {
+        const title = inputs.sceneDescription || inputs.subjectFocus || 'Untitled';
+        return `## ${index + 1}. ${title.replace(/\s+/g, ' ').trim()}\n\n${prompt || `> Failed: ${error}`}`;
+    }),
+].join('\n\n') + '\n';
@@ -0,0 +1,95 @@
+import {
+  BATCH_FIELDS,
+  exportBatchCsv,
+  exportBatchJson,
+  exportBatchMarkdown,
+  parseBatchFile,
+  parseCsv,
+  runWithConcurrency,
+} from './batch';
+import { DEFAULT_FORM } from './formFields';
+
+test('parseCsv handles quotes, embedded newlines, CRLF and a BOM', () => {
+  const text = '\uFEFFsceneDescription,genre\r\n"A dragon, ""ancient""\nand proud",Fantasy\r\n\r\nA city,Sci-Fi';
+  expect(parseCsv(text)).toEqual([
+    ['sceneDescription', 'genre'],
+    ['A dragon, "ancient"\nand proud', 'Fantasy'],
+    ['A city', 'Sci-Fi'],
+  ]);
+});
+
+test('CSV rows override the base form and match options case-insensitively', () => {
+  const text = 'Scene Description,time_of_day,camera moves,duration\nA harbor at dawn,sunrise,dolly; DRONE,6\n';
+  const { rows, unknownColumns } = parseBatchFile(text, 'shots.csv', { ...DEFAULT_FORM, genre: 'Drama' });
+  expect(unknownColumns).toEqual([]);
+  expect(rows).toHaveLength(1);
+  expect(rows[0].errors).toEqual([]);
+  expect(rows[0].inputs).toMatchObject({
+    sceneDescription: 'A harbor at dawn',
+    timeOfDay: 'Sunrise',
+    cameraMoves: ['Dolly', 'Drone'],
+    duration: '6',
+    genre: 'Drama',
+  });
+});
+
+test('invalid option values are reported per row and keep the base value', () => {
+  const text = 'sceneDescription,genre,lens,notes\nA forest,Western,35mm,ignored\n';
+  const { rows, unknownColumns } = parseBatchFile(text, 'shots.csv');
+  expect(unknownColumns).toEqual(['notes']);
+  expect(rows[0].inputs.genre).toBe(DEFAULT_FORM.genre);
+  expect(rows[0].errors).toEqual([
+    { key: 'batch.errors.invalidOption', params: expect.objectContaining({ field: 'genre', value: 'Western' }) },
+  ]);
+});
+
+test('JSON files may be an array of rows or { rows }', () => {
+  const rows = [{ sceneDescription: 'A desert', duration: 4 }, { sceneDescription: 'A glacier', visualStyle: ['nope'] }];
+  const fromArray = parseBatchFile(JSON.stringify(rows), 'batch.json');
+  expect(fromArray.rows[0].inputs.duration).toBe('4');
+  expect(fromArray.rows[1].errors).toEqual([{ key: 'batch.errors.invalidValue', params: { field: 'visualStyle' } }]);
+  expect(parseBatchFile(JSON.stringify({ rows }), 'batch.json').rows).toHaveLength(2);
+});
+
+test('unusable files throw localized errors', () => {
+  expect(() => parseBatchFile('[{', 'batch.json')).toThrow(expect.objectContaining({ key: 'batch.errors.invalidJson' }));
+  expect(() => parseBatchFile('{"shots": []}', 'batch.json')).toThrow(expect.objectContaining({ key: 'batch.errors.notRows' }));
+  expect(() => parseBatchFile('sceneDescription,genre\n,\n', 'batch.csv')).toThrow(expect.objectContaining({ key: 'batch.errors.noRows' }));
+});
+
+test('runWithConcurrency never runs more than the limit at once', async () => {
+  let running = 0;
+  let peak = 0;
+  const done = [];
+  await runWithConcurrency([1, 2, 3, 4, 5], 2, async (item) => {
+    running += 1;
+    peak = Math.max(peak, running);
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    running -= 1;
+    done.push(item);
+  });
+  expect(peak).toBe(2);
+  expect(done.sort()).toEqual([1, 2, 3, 4, 5]);
+});
+
+test('results export as CSV, JSON and a Markdown script', () => {
+  const results = [
+    { index: 0, inputs: { ...DEFAULT_FORM, sceneDescription: 'A harbor, at dawn', cameraMoves: ['Dolly', 'Drone'] }, prompt: 'Boats "drift" in.' },
+    { index: 1, inputs: { ...DEFAULT_FORM, sceneDescription: 'A glacier' }, error: 'Quota exceeded' },
+  ];
+
+  const csv = parseCsv(exportBatchCsv(results));
+  expect(csv[0]).toEqual(['row', ...BATCH_FIELDS, 'prompt', 'error']);
+  expect(csv[1][0]).toBe('1');
+  expect(csv[1][1 + BATCH_FIELDS.indexOf('sceneDescription')]).toBe('A harbor, at dawn');
+  expect(csv[1][1 + BATCH_FIELDS.indexOf('cameraMoves')]).toBe('Dolly; Drone');
+  expect(csv[1].slice(-2)).toEqual(['Boats "drift" in.', '']);
+  expect(csv[2].slice(-2)).toEqual(['', 'Quota exceeded']);
+
+  const json = JSON.parse(exportBatchJson(results));
+  expect(json[1]).toMatchObject({ row: 2, prompt: null, error: 'Quota exceeded', inputs: { sceneDescription: 'A glacier' } });
+
+  const markdown = exportBatchMarkdown(results);
+  expect(markdown).toContain('## 1. A harbor, at dawn\n\nBoats "drift" in.');
+  expect(markdown).toContain('## 2. A glacier\n\n> Failed: Quota exceeded');
+});
@@ -0,0 +1,106 @@
+// Character and location "bible": canonical descriptions of recurring subjects and
+// sets. The form only holds references (ids); every generation expands them into the
+// same full description so a mascot or set looks identical from clip to clip.
+
+const STORAGE_KEY = 'veo3-bible';
+
+export const EMPTY_BIBLE = { characters: [], locations: [] };
+
+// Text fields of each kind of entry, in display order
+export const BIBLE_FIELDS = {
+    characters: ['name', 'appearance', 'wardrobe', 'voice'],
+    locations: ['name', 'description', 'props', 'palette'],
+};
+
+// Form field holding the references to each kind of entry
+export const REFERENCE_FIELDS = {
+    characters: 'characterRefs',
+    locations: 'locationRefs',
+};
+
+let entryCounter = 0;
+
+/**
+ * Creates a character or location entry with trimmed text fields.
+ * @param {'characters'|'locations'} kind - Which list the entry belongs to.
+ * @param {object} fields - Values for the kind's BIBLE_FIELDS.
+ * @returns {object} The new entry.
+ */
+export const createBibleEntry = (kind, fields = {}) => {
+    entryCounter += 1;
+    return {
+        ...Object.fromEntries(BIBLE_FIELDS[kind].map((field) => [field, typeof fields[field] === 'string' ? fields[field].trim() : ''])),
+        id: `${kind === 'characters' ? 'character' : 'location'}-${Date.now()}-${entryCounter}`,
+    };
+};
+
+/**
+ * Adds an entry, or replaces the entry with the same id.
+ */
+export const saveBibleEntry = (bible, kind, entry) => {
+    const exists = bible[kind].some((item) => item.id === entry.id);
+    return {
+        ...bible,
+        [kind]: exists ? bible[kind].map((item) => (item.id === entry.id ? entry : item)) : [...bible[kind], entry],
+    };
+};
+
+/**
+ * Removes the entry with the given id.
+ */
+export const deleteBibleEntry = (bible, kind, id) => ({ ...bible, [kind]: bible[kind].filter((item) => item.id !== id) });
+
+/**
+ * Canonical description of a character, e.g.
+ * "Pip: a small round robot with one blue eye; wearing a yellow scarf; voice: cheerful, high-pitched".
+ */
+export const describeCharacter = ({ name, appearance, wardrobe, voice }) =>
+    `${name}: ${[appearance, wardrobe && `wearing ${wardrobe}`, voice && `voice: ${voice}`].filter(Boolean).join('; ')}`;
+
+/**
+ * Canonical description of a location, e.g.
+ * "Pip's workshop: a cluttered attic lab; props: soldering iron, jars of bolts; color palette: warm amber and teal".
+ */
+export const describeLocation = ({ name, description, props, palette }) =>
+    `${name}: ${[description, props && `props: ${props}`, palette && `color palette: ${palette}`].filter(Boolean).join('; ')}`;
+
+/**
+ * Resolves the form's references into full entries for the meta-prompt.
+ * References to deleted entries are dropped.
+ * @param {object} inputs - Form values with characterRefs and locationRefs.
+ * @param {{ characters: Array<object>, locations: Array<object> }} bible - The saved library.
+ * @returns {object} The inputs plus `characters` and `locations` arrays of entries.
+ */
+export const expandReferences = (inputs, bible) => {
+    const resolve = (kind) => (inputs[REFERENCE_FIELDS[kind]] || [])
+        .map((id) => bible[kind].find((entry) => entry.id === id))
+        .filter(Boolean);
+    return { ...inputs, characters: resolve('characters'), locations: resolve('locations') };
+};
+
+/**
+ * Reads the saved bible, returning an empty one when missing or corrupt.
+ */
+export const loadBible = () => {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        return {
+            characters: Array.isArray(saved?.characters) ? saved.characters : [],
+            locations: Array.isArray(saved?.locations) ? saved.locations : [],
+        };
+    } catch (err) {
+        console.error('Failed to load the character bible:', err);
+        return EMPTY_BIBLE;
+    }
+};
+
+/**
+ * Persists the bible. Storage errors are logged, not thrown.
+ */
+export const saveBible = (bible) => {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(bible));
+    } catch (err) {
+        console.error('Failed to save the character bible:', err);
+    }
+};
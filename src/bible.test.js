@@ -0,0 +1,51 @@
+import {
+  EMPTY_BIBLE,
+  createBibleEntry,
+  deleteBibleEntry,
+  describeCharacter,
+  describeLocation,
+  expandReferences,
+  loadBible,
+  saveBible,
+  saveBibleEntry,
+} from './bible';
+
+const pip = createBibleEntry('characters', {
+  name: 'Pip',
+  appearance: 'a small round robot with one blue eye ',
+  wardrobe: 'a yellow scarf',
+  voice: 'cheerful, high-pitched',
+});
+const workshop = createBibleEntry('locations', { name: 'Workshop', description: 'a cluttered attic lab', palette: 'warm amber' });
+
+beforeEach(() => localStorage.clear());
+
+test('entries describe themselves canonically', () => {
+  expect(describeCharacter(pip)).toBe('Pip: a small round robot with one blue eye; wearing a yellow scarf; voice: cheerful, high-pitched');
+  expect(describeLocation(workshop)).toBe('Workshop: a cluttered attic lab; color palette: warm amber');
+});
+
+test('saveBibleEntry adds new entries and replaces edited ones', () => {
+  let bible = saveBibleEntry(EMPTY_BIBLE, 'characters', pip);
+  bible = saveBibleEntry(bible, 'characters', { ...pip, wardrobe: 'a red scarf' });
+  expect(bible.characters).toEqual([{ ...pip, wardrobe: 'a red scarf' }]);
+  expect(EMPTY_BIBLE.characters).toEqual([]);
+  expect(deleteBibleEntry(bible, 'characters', pip.id).characters).toEqual([]);
+});
+
+test('expandReferences resolves ids in order and drops deleted entries', () => {
+  const bible = { characters: [pip], locations: [workshop] };
+  const inputs = expandReferences({ characterRefs: ['character-gone', pip.id], locationRefs: [workshop.id] }, bible);
+  expect(inputs.characters).toEqual([pip]);
+  expect(inputs.locations).toEqual([workshop]);
+});
+
+test('the bible round-trips through localStorage and tolerates corrupt data', () => {
+  const bible = { characters: [pip], locations: [workshop] };
+  saveBible(bible);
+  expect(loadBible()).toEqual(bible);
+  localStorage.setItem('veo3-bible', '{oops');
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  expect(loadBible()).toEqual(EMPTY_BIBLE);
+  console.error.mockRestore();
+});
@@ -0,0 +1,17 @@
+/**
+ * Copies text to the user's clipboard.
+ * Uses document.execCommand for broader compatibility within iframes.
+ * Throws if the browser refuses the copy.
+ * @param {string} text - The text to copy.
+ */
+export const copyText = (text) => {
+    const textArea = document.createElement('textarea');
+    textArea.value = text;
+    document.body.appendChild(textArea);
+    try {
+        textArea.select();
+        document.execCommand('copy'); // Execute copy command
+    } finally {
+        document.body.removeChild(textArea); // Clean up the temporary textarea
+    }
+};
@@ -0,0 +1,63 @@
+// Pure helpers for the speaker lines of the audio section. Every list helper
+// returns a new array so it can be passed straight to a useState setter.
+
+let lineCounter = 0;
+
+// Text fields of a speaker line, in display order
+export const DIALOGUE_LINE_FIELDS = ['character', 'line', 'tone', 'accent', 'timing'];
+
+/**
+ * Creates an empty speaker line.
+ * @param {object} [fields] - Initial values for character, line, tone, accent and timing.
+ * @returns {object} The new line.
+ */
+export const createDialogueLine = (fields = {}) => {
+    lineCounter += 1;
+    return {
+        character: '',
+        line: '',
+        tone: '',
+        accent: '',
+        timing: '',
+        ...fields,
+        id: `line-${Date.now()}-${lineCounter}`,
+    };
+};
+
+/**
+ * Checks that a value has the shape of a speaker line (every text field a string).
+ */
+export const isDialogueLine = (value) =>
+    Boolean(value) && typeof value === 'object' && !Array.isArray(value)
+    && typeof value.id === 'string'
+    && DIALOGUE_LINE_FIELDS.every((field) => typeof value[field] === 'string');
+
+/**
+ * Updates a single field of the line with the given id.
+ */
+export const updateDialogueLine = (lines, id, field, value) =>
+    lines.map((line) => (line.id === id ? { ...line, [field]: value } : line));
+
+/**
+ * Removes the line with the given id.
+ */
+export const removeDialogueLine = (lines, id) => lines.filter((line) => line.id !== id);
+
+/**
+ * Lines that actually contain something to say, in order.
+ */
+export const spokenLines = (lines = []) => lines.filter((line) => line.line.trim());
+
+/**
+ * Formats one line with its speaker and delivery notes, e.g.
+ * `Mara (whispering, Scottish accent, at 0:02): "Did you hear that?"`.
+ * Lines without a character name are attributed to "Unnamed speaker".
+ * @param {object} line - A speaker line.
+ * @returns {string} The attributed line.
+ */
+export const describeDialogueLine = ({ character, line, tone, accent, timing }) => {
+    const notes = [tone.trim(), accent.trim() && `${accent.trim()} accent`, timing.trim() && `at ${timing.trim()}`].filter(Boolean);
+    const speaker = character.trim() || 'Unnamed speaker';
+    const text = line.trim().replace(/^["']|["']$/g, '');
+    return `${speaker}${notes.length ? ` (${notes.join(', ')})` : ''}: "${text}"`;
+};
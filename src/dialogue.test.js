@@ -0,0 +1,39 @@
+import {
+  createDialogueLine,
+  describeDialogueLine,
+  isDialogueLine,
+  removeDialogueLine,
+  spokenLines,
+  updateDialogueLine,
+} from './dialogue';
+
+test('describeDialogueLine attributes the line and lists the delivery notes', () => {
+  const line = createDialogueLine({
+    character: 'Mara',
+    line: '"Did you hear that?"',
+    tone: 'whispering',
+    accent: 'Scottish',
+    timing: '0:02',
+  });
+  expect(describeDialogueLine(line)).toBe('Mara (whispering, Scottish accent, at 0:02): "Did you hear that?"');
+  expect(describeDialogueLine(createDialogueLine({ line: 'Hello' }))).toBe('Unnamed speaker: "Hello"');
+});
+
+test('line helpers update, remove and skip empty lines without mutating', () => {
+  const first = createDialogueLine({ character: 'Mara', line: 'Hi' });
+  const second = createDialogueLine({ character: 'Joe' });
+  const lines = [first, second];
+
+  const updated = updateDialogueLine(lines, second.id, 'line', 'Hey');
+  expect(updated[1].line).toBe('Hey');
+  expect(lines[1].line).toBe('');
+  expect(spokenLines(lines)).toEqual([first]);
+  expect(removeDialogueLine(lines, first.id)).toEqual([second]);
+});
+
+test('isDialogueLine rejects values with missing or non-string fields', () => {
+  expect(isDialogueLine(createDialogueLine())).toBe(true);
+  expect(isDialogueLine({ id: 'x', character: 'Mara', line: 'Hi' })).toBe(false);
+  expect(isDialogueLine({ ...createDialogueLine(), tone: 3 })).toBe(false);
+  expect(isDialogueLine(null)).toBe(false);
+});
@@ -0,0 +1,16 @@
+/**
+ * Offers text content to the user as a file download.
+ * @param {string} filename - Suggested file name.
+ * @param {string} content - File contents.
+ * @param {string} [mimeType] - MIME type of the contents.
+ */
+export const downloadFile = (filename, content, mimeType = 'application/json') => {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+};
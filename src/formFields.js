@@ -0,0 +1,85 @@
+// Shape of the prompt form. Everything that snapshots or restores the form
+// (history, storyboard globals...) goes through these definitions.
+
+import { isDialogueLine } from './dialogue';
+
+// Initial value of every form field
+export const DEFAULT_FORM = {
+    sceneDescription: '',     // Detailed description of the scene
+    subjectFocus: '',         // Main subject of the video
+    characterRefs: [],        // Ids of saved characters in the bible (see bible.js)
+    locationRefs: [],         // Ids of saved locations in the bible
+    cameraMovements: '',      // Desired camera actions
+    visualStyle: '',          // Overall artistic style
+    timeOfDay: 'Day',         // Time of day setting
+    genre: 'Sci-fi',          // Video genre
+    lightingConditions: 'Soft', // Lighting mood
+    additionalKeywords: '',   // Extra descriptive words
+    textToSpeech: '',         // Text to be converted to speech in video
+    dialogueLines: [],        // Speaker lines: character, line, tone, accent and timing hint
+    ambientSound: '',         // Ambient soundscape
+    soundEffects: '',         // Specific sound effects
+    musicMood: '',            // Mood of the music score
+    videoFormat: 'landscape', // Output video aspect ratio
+    duration: '8',            // Clip length in seconds
+    shotSize: '',             // Framing, from extreme close-up to extreme wide ('' lets the model choose)
+    lens: '',                 // Lens / focal length
+    cameraMoves: [],          // Camera move types, any combination
+    frameRate: '',            // Frame rate, including slow-motion rates
+    colorGrade: '',           // Film stock emulation or color grade
+    outputLanguage: 'English', // Language the generated prompt (and its dialogue) is written in
+};
+
+export const FORM_FIELDS = Object.keys(DEFAULT_FORM);
+
+// Allowed values of the dropdown and multi-select fields; every other field is free text.
+// An empty string means "no preference" and leaves the choice to the model.
+export const FIELD_OPTIONS = {
+    timeOfDay: ['Day', 'Night', 'Sunset', 'Sunrise'],
+    genre: ['Sci-fi', 'Fantasy', 'Horror', 'Comedy', 'Action', 'Documentary'],
+    lightingConditions: ['Soft', 'Harsh', 'Dramatic', 'Natural'],
+    videoFormat: ['landscape', 'portrait', 'square', 'vertical', 'ultrawide'],
+    duration: ['4', '6', '8'],
+    shotSize: ['', 'Extreme close-up', 'Close-up', 'Medium close-up', 'Medium shot', 'Medium wide shot', 'Wide shot', 'Extreme wide shot'],
+    lens: ['', '14mm ultra-wide', '24mm wide-angle', '35mm', '50mm standard', '85mm portrait', '135mm telephoto', 'Anamorphic', 'Macro'],
+    cameraMoves: ['Dolly', 'Crane', 'Orbit', 'Handheld', 'Drone'],
+    frameRate: ['', '24 fps', '30 fps', '60 fps', '120 fps slow motion', '240 fps super slow motion'],
+    colorGrade: ['', 'Kodak Portra 400', 'Kodak Vision3 500T', 'Fujifilm Eterna', 'Black-and-white film', 'Teal and orange', 'Bleach bypass', 'Technicolor'],
+    outputLanguage: ['English', 'Indonesian', 'Spanish', 'French', 'German', 'Portuguese', 'Japanese', 'Korean', 'Chinese'],
+};
+
+// Item checks for list fields whose entries are objects rather than options
+const FIELD_ITEM_VALIDATORS = {
+    dialogueLines: isDialogueLine,
+    characterRefs: (item) => typeof item === 'string',
+    locationRefs: (item) => typeof item === 'string',
+};
+
+/**
+ * Checks a value against a field's type and, for dropdowns and list fields, its allowed options or item shape.
+ * @param {string} field - Form field name.
+ * @param {*} value - Candidate value.
+ * @returns {boolean} Whether the value can be put in the form.
+ */
+export const isValidFieldValue = (field, value) => {
+    if (!FORM_FIELDS.includes(field)) return false;
+    const options = FIELD_OPTIONS[field];
+    if (Array.isArray(DEFAULT_FORM[field])) {
+        const isValidItem = FIELD_ITEM_VALIDATORS[field] || ((item) => options.includes(item));
+        return Array.isArray(value) && value.every(isValidItem);
+    }
+    if (typeof value !== typeof DEFAULT_FORM[field]) return false;
+    return !options || options.includes(value);
+};
+
+/**
+ * Builds a complete form state from a (possibly partial or outdated) snapshot.
+ * Unknown keys are dropped and missing or invalid ones fall back to their defaults.
+ * @param {object} [snapshot] - Saved form values.
+ * @returns {object} A full form state.
+ */
+export const toFormState = (snapshot = {}) =>
+    FORM_FIELDS.reduce((form, field) => {
+        form[field] = isValidFieldValue(field, snapshot[field]) ? snapshot[field] : DEFAULT_FORM[field];
+        return form;
+    }, {});
@@ -0,0 +1,15 @@
+import { DEFAULT_FORM, isValidFieldValue, toFormState } from './formFields';
+
+test('isValidFieldValue checks dropdown options and multi-select items', () => {
+  expect(isValidFieldValue('shotSize', 'Close-up')).toBe(true);
+  expect(isValidFieldValue('shotSize', 'Dutch angle')).toBe(false);
+  expect(isValidFieldValue('cameraMoves', ['Dolly', 'Drone'])).toBe(true);
+  expect(isValidFieldValue('cameraMoves', ['Dolly', 'Zoom'])).toBe(false);
+  expect(isValidFieldValue('cameraMoves', 'Dolly')).toBe(false);
+  expect(isValidFieldValue('videoFormat', 'square')).toBe(true);
+});
+
+test('toFormState fills cinematography fields missing from older snapshots', () => {
+  const form = toFormState({ genre: 'Horror', duration: 8, cameraMoves: ['Crane'] });
+  expect(form).toMatchObject({ genre: 'Horror', duration: DEFAULT_FORM.duration, cameraMoves: ['Crane'], lens: '' });
+});
@@ -0,0 +1,106 @@
+// Local prompt history persisted in localStorage.
+// All helpers are pure over the entry list; loadHistory/saveHistory do the I/O.
+
+const STORAGE_KEY = 'veo3-prompt-history';
+const MAX_ENTRIES = 200; // Oldest non-starred entries are dropped past this size
+
+let entryCounter = 0;
+
+/**
+ * Reads the saved history, returning an empty list when nothing is stored or the data is corrupt.
+ * @returns {Array<object>} History entries, newest first.
+ */
+export const loadHistory = () => {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        return Array.isArray(saved) ? saved : [];
+    } catch (err) {
+        console.error('Gagal memuat riwayat:', err);
+        return [];
+    }
+};
+
+/**
+ * Persists the history list. Storage errors (quota, private mode) are logged, not thrown.
+ * @param {Array<object>} entries - History entries to save.
+ */
+export const saveHistory = (entries) => {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+    } catch (err) {
+        console.error('Gagal menyimpan riwayat:', err);
+    }
+};
+
+/**
+ * Creates a history entry for one generation.
+ * @param {{ inputs: object, prompt: string, structured?: object, model: string, thumbnails?: string[],
+ *   request?: string, reply?: string, earlierTurns?: Array<object> }} generation -
+ *   Form snapshot, result (plus its structured fields in JSON mode), model used, thumbnails
+ *   (data URLs) of the reference images sent with it, and the message and raw answer
+ *   exchanged with the model, from which a restored entry continues its refinement thread.
+ *   Refined prompts also keep the conversation that came before their revision request.
+ * @returns {object} The entry, not yet starred.
+ */
+export const createHistoryEntry = ({
+    inputs, prompt, structured = null, model, thumbnails = [], request = null, reply = null, earlierTurns = [],
+}) => {
+    entryCounter += 1;
+    return {
+        id: `gen-${Date.now()}-${entryCounter}`,
+        createdAt: new Date().toISOString(),
+        model,
+        inputs: { ...inputs },
+        prompt,
+        structured,
+        thumbnails: [...thumbnails],
+        request,
+        reply,
+        earlierTurns: [...earlierTurns],
+        starred: false,
+    };
+};
+
+/**
+ * Prepends an entry, trimming the oldest non-starred entries beyond MAX_ENTRIES.
+ */
+export const addHistoryEntry = (entries, entry) => {
+    const next = [entry, ...entries];
+    while (next.length > MAX_ENTRIES) {
+        const oldestUnstarred = next.map((item) => item.starred).lastIndexOf(false);
+        if (oldestUnstarred === -1) break;
+        next.splice(oldestUnstarred, 1);
+    }
+    return next;
+};
+
+/**
+ * Flips the starred flag of the entry with the given id.
+ */
+export const toggleStar = (entries, id) =>
+    entries.map((entry) => (entry.id === id ? { ...entry, starred: !entry.starred } : entry));
+
+/**
+ * Removes the entry with the given id.
+ */
+export const deleteEntry = (entries, id) => entries.filter((entry) => entry.id !== id);
+
+/**
+ * Full-text search over the prompt, the model and every input value.
+ * All whitespace-separated terms must match (case-insensitive).
+ * @param {Array<object>} entries - History entries.
+ * @param {string} query - Search text.
+ * @param {{ starredOnly?: boolean }} [options] - Restrict to starred entries.
+ * @returns {Array<object>} Matching entries, in their original order.
+ */
+export const searchHistory = (entries, query, { starredOnly = false } = {}) => {
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+    return entries.filter((entry) => {
+        if (starredOnly && !entry.starred) return false;
+        const haystack = [entry.prompt, entry.model, ...Object.values(entry.inputs || {}).flat()]
+            .map((value) => (value && typeof value === 'object' ? Object.values(value).join(' ') : value))
+            .join(' ')
+            .toLowerCase();
+        return terms.every((term) => haystack.includes(term));
+    });
+};
@@ -0,0 +1,71 @@
+import {
+  addHistoryEntry,
+  createHistoryEntry,
+  deleteEntry,
+  loadHistory,
+  saveHistory,
+  searchHistory,
+  toggleStar,
+} from './historyStore';
+
+const entry = (prompt, inputs = {}) => createHistoryEntry({ inputs, prompt, model: 'gemini-2.0-flash' });
+
+beforeEach(() => localStorage.clear());
+
+test('history round-trips through localStorage', () => {
+  const entries = [entry('A rainy neon street')];
+  saveHistory(entries);
+  expect(loadHistory()).toEqual(entries);
+});
+
+test('entries keep a copy of the reference image thumbnails', () => {
+  const thumbnails = ['data:image/jpeg;base64,AAAA'];
+  const saved = createHistoryEntry({ inputs: {}, prompt: 'A foggy pier', model: 'gemini-2.0-flash', thumbnails });
+  thumbnails.push('data:image/jpeg;base64,BBBB');
+  expect(saved.thumbnails).toEqual(['data:image/jpeg;base64,AAAA']);
+  expect(entry('No images')).toMatchObject({ thumbnails: [], request: null, reply: null });
+});
+
+test('loadHistory tolerates missing or corrupt data', () => {
+  expect(loadHistory()).toEqual([]);
+  localStorage.setItem('veo3-prompt-history', '{not json');
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  expect(loadHistory()).toEqual([]);
+  console.error.mockRestore();
+});
+
+test('addHistoryEntry prepends and keeps starred entries when trimming', () => {
+  let entries = [{ ...entry('starred'), starred: true }];
+  for (let i = 0; i < 205; i += 1) {
+    entries = addHistoryEntry(entries, entry(`prompt ${i}`));
+  }
+  expect(entries).toHaveLength(200);
+  expect(entries[0].prompt).toBe('prompt 204');
+  expect(entries.some((item) => item.prompt === 'starred')).toBe(true);
+});
+
+test('toggleStar and deleteEntry target a single entry', () => {
+  const [a, b] = [entry('a'), entry('b')];
+  const starred = toggleStar([a, b], b.id);
+  expect(starred.map((item) => item.starred)).toEqual([false, true]);
+  expect(deleteEntry(starred, a.id)).toEqual([starred[1]]);
+});
+
+test('searchHistory matches every term across prompt and inputs', () => {
+  const noir = entry('Detective under flickering neon', { visualStyle: 'neo-noir', genre: 'Action' });
+  const dragon = { ...entry('Golden dragon over a nebula', { genre: 'Fantasy' }), starred: true };
+  const entries = [noir, dragon];
+  expect(searchHistory(entries, 'NEON action')).toEqual([noir]);
+  expect(searchHistory(entries, 'fantasy')).toEqual([dragon]);
+  expect(searchHistory(entries, '')).toEqual(entries);
+  expect(searchHistory(entries, '', { starredOnly: true })).toEqual([dragon]);
+});
+
+test('searchHistory looks inside list inputs such as speaker lines and camera moves', () => {
+  const scene = entry('Two friends at a campfire', {
+    cameraMoves: ['Orbit'],
+    dialogueLines: [{ id: 'line-1', character: 'Mara', line: 'Look up', tone: '', accent: '', timing: '' }],
+  });
+  expect(searchHistory([scene], 'mara orbit')).toEqual([scene]);
+  expect(searchHistory([scene], 'object')).toEqual([]);
+});
@@ -0,0 +1,432 @@
+// English UI catalog. Keys must match id.js (see i18n.test.js).
+
+const en = {
+    meta: {
+        locale: 'en-US',
+    },
+    app: {
+        title: 'Veo 3 Prompt Generator',
+        uiLanguage: 'UI language',
+        settingsToggle: '⚙ Settings ({model})',
+        errorTitle: 'Error!',
+        modeSingle: 'Single Prompt',
+        modeStoryboard: 'Storyboard',
+        structuredToggle: 'Structured mode (JSON): separate subject, camera, dialogue, negative prompt, etc.',
+        variationCount: 'Variations',
+        temperature: 'Creativity (temperature): {value}',
+        generate: 'Create Veo 3 Prompt',
+        generateStoryboard: 'Create Veo 3 Storyboard',
+        generating: 'Creating Prompt...',
+        cancel: 'Cancel',
+        resultTitle: 'Your Prompt:',
+        copy: 'Copy',
+        copyShareLink: 'Copy Share Link',
+        includePromptInLink: 'Include the prompt in the share link',
+        tips: 'Tip: you can copy this prompt and paste it straight into Veo 3.',
+        youtube: 'subscribe my youtube @live_ndeso',
+    },
+    fields: {
+        sceneDescription: {
+            label: 'Scene Description',
+            placeholder: 'e.g. A bustling futuristic city at night...',
+        },
+        subjectFocus: {
+            label: 'Subject Focus',
+            placeholder: 'e.g. A lonely detective, a patrolling robot...',
+        },
+        characterRefs: { label: 'Characters' },
+        locationRefs: { label: 'Locations' },
+        cameraMovements: {
+            label: 'Camera Movements',
+            placeholder: 'e.g. Slow pan, fast zoom in, dramatic low angle...',
+        },
+        visualStyle: {
+            label: 'Visual Style',
+            placeholder: 'e.g. Cinematic, cyberpunk, dark fantasy, pixel art...',
+        },
+        timeOfDay: { label: 'Time of Day' },
+        genre: { label: 'Genre' },
+        lightingConditions: { label: 'Lighting Conditions' },
+        videoFormat: { label: 'Video Format' },
+        outputLanguage: { label: 'Prompt Output Language' },
+        duration: { label: 'Duration' },
+        shotSize: { label: 'Shot Size' },
+        lens: { label: 'Lens' },
+        cameraMoves: { label: 'Camera Move Types' },
+        frameRate: { label: 'Frame Rate' },
+        colorGrade: { label: 'Film Stock / Color Grade' },
+        textToSpeech: {
+            label: 'Spoken words (optional)',
+            placeholder: "e.g. 'Welcome to this amazing world!'",
+        },
+        additionalKeywords: {
+            label: 'Additional Keywords (optional)',
+            placeholder: 'e.g. Slow motion, dramatic light, aerial view, rain...',
+        },
+        dialogueLines: { label: 'Speaker Lines' },
+        ambientSound: {
+            label: 'Ambient Soundscape',
+            placeholder: 'e.g. Rain on tin roofs, distant traffic...',
+        },
+        soundEffects: {
+            label: 'Sound Effects',
+            placeholder: 'e.g. Footsteps in puddles, a door creaking...',
+        },
+        musicMood: {
+            label: 'Music Mood',
+            placeholder: 'e.g. Tense low strings, upbeat synthwave...',
+        },
+    },
+    options: {
+        timeOfDay: {
+            Day: 'Day',
+            Night: 'Night',
+            Sunset: 'Sunset',
+            Sunrise: 'Sunrise',
+        },
+        genre: {
+            'Sci-fi': 'Sci-fi',
+            Fantasy: 'Fantasy',
+            Horror: 'Horror',
+            Comedy: 'Comedy',
+            Action: 'Action',
+            Documentary: 'Documentary',
+        },
+        lightingConditions: {
+            Soft: 'Soft',
+            Harsh: 'Harsh',
+            Dramatic: 'Dramatic',
+            Natural: 'Natural',
+        },
+        videoFormat: {
+            landscape: 'Landscape (16:9)',
+            portrait: 'Portrait (9:16)',
+            square: 'Square (1:1)',
+            vertical: 'Vertical feed (4:5)',
+            ultrawide: 'Ultrawide (21:9)',
+        },
+        outputLanguage: {
+            English: 'English',
+            Indonesian: 'Indonesian',
+            Spanish: 'Spanish',
+            French: 'French',
+            German: 'German',
+            Portuguese: 'Portuguese',
+            Japanese: 'Japanese',
+            Korean: 'Korean',
+            Chinese: 'Chinese',
+        },
+        duration: {
+            4: '4 seconds',
+            6: '6 seconds',
+            8: '8 seconds',
+        },
+        shotSize: {
+            '': 'Auto',
+            'Extreme close-up': 'Extreme close-up (ECU)',
+            'Close-up': 'Close-up',
+            'Medium close-up': 'Medium close-up',
+            'Medium shot': 'Medium shot',
+            'Medium wide shot': 'Medium wide shot',
+            'Wide shot': 'Wide shot',
+            'Extreme wide shot': 'Extreme wide shot',
+        },
+        lens: {
+            '': 'Auto',
+            '14mm ultra-wide': '14mm ultra-wide',
+            '24mm wide-angle': '24mm wide-angle',
+            '35mm': '35mm',
+            '50mm standard': '50mm standard',
+            '85mm portrait': '85mm portrait',
+            '135mm telephoto': '135mm telephoto',
+            Anamorphic: 'Anamorphic',
+            Macro: 'Macro',
+        },
+        cameraMoves: {
+            Dolly: 'Dolly',
+            Crane: 'Crane',
+            Orbit: 'Orbit',
+            Handheld: 'Handheld',
+            Drone: 'Drone',
+        },
+        frameRate: {
+            '': 'Auto',
+            '24 fps': '24 fps (cinematic)',
+            '30 fps': '30 fps',
+            '60 fps': '60 fps',
+            '120 fps slow motion': '120 fps slow motion',
+            '240 fps super slow motion': '240 fps super slow motion',
+        },
+        colorGrade: {
+            '': 'Auto',
+            'Kodak Portra 400': 'Kodak Portra 400',
+            'Kodak Vision3 500T': 'Kodak Vision3 500T',
+            'Fujifilm Eterna': 'Fujifilm Eterna',
+            'Black-and-white film': 'Black-and-white film',
+            'Teal and orange': 'Teal and orange',
+            'Bleach bypass': 'Bleach bypass',
+            Technicolor: 'Technicolor',
+        },
+    },
+    cinematic: {
+        title: 'Cinematography',
+    },
+    audio: {
+        title: 'Audio',
+        addLine: '+ Add Line',
+        removeLine: 'Remove line {number}',
+        line: {
+            character: { label: 'Character of line {number}', placeholder: 'Character' },
+            line: { label: 'Text of line {number}', placeholder: 'What they say' },
+            tone: { label: 'Emotion of line {number}', placeholder: 'Emotion / tone' },
+            accent: { label: 'Accent of line {number}', placeholder: 'Accent' },
+            timing: { label: 'Timing of line {number}', placeholder: 'Timing, e.g. 0:02' },
+        },
+    },
+    bible: {
+        title: 'Characters & Locations ({characters} characters, {locations} locations in use)',
+        note: 'Tick an entry to use it. Its full description is inserted word for word into every prompt, so it looks the same from clip to clip.',
+        edit: 'Edit',
+        delete: 'Delete {name}',
+        save: 'Save',
+        cancel: 'Cancel',
+        characters: {
+            title: 'Characters',
+            add: '+ Character',
+            empty: 'No characters yet.',
+            fields: {
+                name: { label: 'Name', placeholder: 'e.g. Pip' },
+                appearance: { label: 'Appearance', placeholder: 'e.g. a small round robot with one glowing blue eye' },
+                wardrobe: { label: 'Wardrobe', placeholder: 'e.g. a knitted yellow scarf' },
+                voice: { label: 'Voice', placeholder: 'e.g. cheerful, high-pitched, slightly metallic' },
+            },
+        },
+        locations: {
+            title: 'Locations',
+            add: '+ Location',
+            empty: 'No locations yet.',
+            fields: {
+                name: { label: 'Name', placeholder: "e.g. Pip's workshop" },
+                description: { label: 'Description', placeholder: 'e.g. a cluttered attic lab under a slanted roof' },
+                props: { label: 'Props', placeholder: 'e.g. soldering iron, jars of bolts, a hanging bulb' },
+                palette: { label: 'Color Palette', placeholder: 'e.g. warm amber and teal' },
+            },
+        },
+    },
+    api: {
+        errors: {
+            auth: 'The API key was rejected ({status}). Check the key in Settings.',
+            quota: 'Rate limit or quota exceeded ({status}), even after retrying. Wait a moment or check your quota. {detail}',
+            server: 'The model server failed ({status}), even after retrying: {detail}',
+            http: 'API error: {status} {statusText} - {detail}',
+            safety: 'The request was blocked by the safety filters ({reason}). Rephrase the scene and try again.',
+            network: 'Could not reach the model server. Check your connection and the Base URL. ({detail})',
+            timeout: 'The model did not answer within {seconds} seconds.',
+            malformed: 'The model returned a response that could not be read: {detail}',
+            empty: 'The model returned no content.',
+            cancelled: 'Request cancelled.',
+            streamUnsupported: 'This browser or server cannot stream the answer.',
+        },
+    },
+    messages: {
+        copied: 'Prompt copied!',
+        copyFailed: 'Failed to copy prompt.',
+        linkCopied: 'Share link copied!',
+        generateError: 'Error generating prompt: {message}',
+        refineError: 'Error refining prompt: {message}',
+    },
+    storyboard: {
+        title: 'Storyboard ({count} shots)',
+        addShot: '+ Add Shot',
+        sharedNote: 'The visual style, genre, lighting, time, subject and format above are shared by every shot so the look stays consistent.',
+        shot: 'Shot {number}',
+        moveUp: 'Move shot {number} up',
+        moveDown: 'Move shot {number} down',
+        duplicate: 'Duplicate',
+        remove: 'Delete',
+        fields: {
+            sceneDescription: { label: 'Scene Description', placeholder: 'e.g. The detective walks down a wet alley...' },
+            cameraMovements: { label: 'Camera Movements', placeholder: 'e.g. Tracking shot from behind, slowly closing in...' },
+            textToSpeech: { label: 'Dialogue (optional)', placeholder: "e.g. 'I know you're here.'" },
+        },
+        outputTitle: 'Storyboard Prompts:',
+        copyAll: 'Copy All',
+    },
+    history: {
+        title: 'Prompt History ({count})',
+        search: 'Search history',
+        searchPlaceholder: 'Search prompts, scenes, styles...',
+        starredOnly: 'Favorites only',
+        empty: 'No history yet.',
+        noMatch: 'Nothing matches.',
+        star: 'Add to favorites',
+        unstar: 'Remove from favorites',
+        restore: 'Load into Form',
+        delete: 'Delete',
+    },
+    settings: {
+        title: 'Model Settings',
+        provider: 'Provider',
+        baseUrl: 'Base URL',
+        model: 'Model',
+        apiKey: 'API Key',
+        optional: '(optional)',
+        offlineNote: 'Offline mode composes the prompt from a template without any network, handy for demos and tests.',
+        timeout: 'Timeout per attempt (seconds)',
+        retries: 'Retries on rate limit / server error',
+        streaming: 'Stream the prompt as it is written (Gemini; falls back automatically)',
+        storedLocally: 'Settings are stored in this browser only.',
+    },
+    providers: {
+        gemini: 'Google Gemini',
+        openai: 'OpenAI-compatible (Ollama, llama.cpp...)',
+        offline: 'Offline (template, no network)',
+    },
+    structured: {
+        title: 'Structured Prompt:',
+        fields: {
+            subject: 'Subject',
+            action: 'Action',
+            setting: 'Setting',
+            camera: 'Camera',
+            lighting: 'Lighting',
+            style: 'Style',
+            dialogue: 'Audio / Dialogue',
+            ambientSound: 'Ambient Sound',
+            negativePrompt: 'Negative Prompt',
+        },
+        aspectRatio: 'Aspect Ratio',
+        duration: 'Duration (seconds)',
+        compose: 'Compose Prompt',
+        export: 'Export JSON',
+        errors: {
+            notObject: 'The response is not a JSON object.',
+            emptyField: 'Field "{field}" is empty.',
+            invalidAspectRatio: 'Aspect ratio "{value}" is not valid.',
+            invalidDuration: 'Duration "{value}" is not valid.',
+            invalidJson: 'Model did not return valid JSON: {message}',
+        },
+    },
+    variations: {
+        title: 'Compare Variations:',
+        card: 'Variation {number}',
+        winner: '★ Winner',
+        copied: 'Copied!',
+        pick: 'Pick as Winner',
+        refine: 'Refine This One',
+    },
+    refinement: {
+        title: 'Refine Prompt',
+        instruction: 'Refinement instruction',
+        placeholder: 'e.g. make it moodier, change the camera to a dolly zoom...',
+        send: 'Send',
+        sending: 'Refining...',
+        original: 'Original prompt',
+        active: '(active)',
+        fromParent: 'v{version} from v{parent}: "{instruction}"',
+        originalVersion: 'v{version}: original prompt',
+        revert: 'Revert to v{version}',
+    },
+    presets: {
+        label: 'Presets',
+        delete: 'Delete preset {name}',
+        save: 'Save as Preset',
+        cancel: 'Cancel',
+        export: 'Export Presets',
+        import: 'Import Presets',
+        name: 'Preset name',
+        fields: 'Fields to save',
+        submit: 'Save',
+        saved: 'Preset "{name}" saved.',
+        imported: '{count} presets imported.',
+        importFailed: 'Failed to import presets: {message}',
+        errors: {
+            invalidJson: 'File is not valid JSON: {message}',
+            notPack: 'File is not a Veo 3 preset pack.',
+            unsupportedVersion: 'Preset pack version {version} is not supported yet.',
+        },
+    },
+    batch: {
+        title: 'Batch from CSV/JSON',
+        note: 'Each row fills the fields named in its columns (e.g. sceneDescription, genre, timeOfDay, cameraMoves as "Dolly; Drone"); everything else comes from the current form.',
+        load: 'Load File',
+        loadFailed: 'Failed to read the file: {message}',
+        concurrency: 'Parallel requests',
+        run: 'Run Batch',
+        cancel: 'Cancel',
+        cancelled: 'Request cancelled.',
+        summary: '{filename}: {rows} rows, {invalid} invalid (skipped).',
+        unknownColumns: 'Ignored columns: {columns}',
+        rowLabel: 'Row {row}',
+        pending: 'Waiting...',
+        progress: '{done}/{total} done, {failed} failed',
+        export: {
+            csv: 'Download CSV',
+            json: 'Download JSON',
+            markdown: 'Download Markdown Script',
+        },
+        errors: {
+            invalidJson: 'File is not valid JSON: {message}',
+            notRows: 'JSON file must be a list of rows or an object with a "rows" list.',
+            noRows: 'The file has no rows.',
+            invalidOption: '{field} "{value}" is not allowed (choose from {allowed}).',
+            invalidValue: '{field} must be text.',
+        },
+    },
+    lint: {
+        title: 'Prompt check',
+        score: 'Veo readiness: {score}/100',
+        words: '{count} words',
+        clean: 'No issues found.',
+        levels: {
+            ready: 'Ready',
+            review: 'Needs review',
+            notReady: 'Not ready',
+        },
+        issues: {
+            missingSubject: { message: 'The subject "{subject}" is not mentioned.', fix: 'Add subject' },
+            missingAction: { message: 'No clear action: say what the subject does.', fix: 'Add action' },
+            missingCamera: { message: 'No camera direction (framing, angle or movement).', fix: 'Add camera' },
+            missingLighting: { message: 'No lighting is described.', fix: 'Add lighting' },
+            timeConflict: { message: '"{term}" contradicts the chosen time of day ({timeOfDay}).', fix: 'Replace "{term}"' },
+            lightingConflict: { message: '"{term}" contradicts the chosen lighting ({lighting}).', fix: 'Replace "{term}"' },
+            dialogueMissing: { message: 'Dialogue missing: "{expected}"', fix: 'Add line' },
+            dialogueAltered: { message: 'Dialogue altered: "{found}" should read "{expected}".', fix: 'Restore line' },
+            overlong: { message: 'The prompt is long ({count} words); Veo works best with at most {max}.' },
+            aspectRatioMismatch: { message: '"{found}" does not match the chosen video format ({expected}).', fix: 'Use {expected}' },
+            ignoredTerm: { message: '"{term}" is ignored by Veo.', fix: 'Remove' },
+            policyRisk: { message: '"{term}" may trigger a content policy block.', fix: 'Remove' },
+        },
+    },
+    share: {
+        opened: 'Setup loaded from a share link.',
+        ignored: 'Ignored invalid or unknown values: {fields}.',
+        copied: 'Your library already has a different version of {names}; the shared version was added as a separate entry.',
+        openFailed: 'Could not open the share link: {message}',
+        dismiss: 'Dismiss',
+        errors: {
+            corrupt: 'the link is incomplete or damaged.',
+            unsupportedVersion: 'it was made by a newer version of this app (format {version}).',
+        },
+    },
+    images: {
+        label: 'Reference Images',
+        hint: 'Drop or paste up to {max} concept frames or stills here. They are downscaled in your browser and sent to multimodal models with the prompt.',
+        choose: 'Choose Images',
+        processing: 'Processing...',
+        remove: 'Remove image {name}',
+        prefill: 'Fill Form from Images',
+        prefilling: 'Reading images...',
+        prefillUnavailable: 'Needs a multimodal model; the offline template cannot see images.',
+        prefillError: 'Failed to read the images: {message}',
+        unsupported: 'Unsupported files skipped: {names}.',
+        tooMany: 'At most {max} images; the rest were skipped.',
+        thumbnails: 'Reference image',
+        errors: {
+            unreadable: 'Could not read the image {name}.',
+            invalidJson: 'The answer was not valid JSON: {message}',
+        },
+    },
+};
+
+export default en;
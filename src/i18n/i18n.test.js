@@ -0,0 +1,33 @@
+import { CATALOGS, LocalizedError, translate } from './index';
+import { FIELD_OPTIONS } from '../formFields';
+
+// Collects every dotted leaf key in a catalog
+const keysOf = (node, prefix = '') =>
+  Object.entries(node).flatMap(([key, value]) =>
+    typeof value === 'object' ? keysOf(value, `${prefix}${key}.`) : [`${prefix}${key}`]
+  );
+
+test('Indonesian and English catalogs have the same keys', () => {
+  expect(keysOf(CATALOGS.id).sort()).toEqual(keysOf(CATALOGS.en).sort());
+});
+
+test('every field option has a label in both languages', () => {
+  Object.entries(FIELD_OPTIONS).forEach(([field, values]) => {
+    values.forEach((value) => {
+      const key = `options.${field}.${value}`;
+      expect(translate('id', key)).not.toBe(key);
+      expect(translate('en', key)).not.toBe(key);
+    });
+  });
+});
+
+test('translate fills placeholders and falls back to the key', () => {
+  expect(translate('en', 'app.settingsToggle', { model: 'offline/template' })).toContain('offline/template');
+  expect(translate('id', 'no.such.key')).toBe('no.such.key');
+});
+
+test('LocalizedError carries its key and an English message', () => {
+  const err = new LocalizedError('presets.errors.unsupportedVersion', { version: 2 });
+  expect(err.key).toBe('presets.errors.unsupportedVersion');
+  expect(err.message).toMatch(/version 2/);
+});
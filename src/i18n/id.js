@@ -0,0 +1,432 @@
+// Indonesian UI catalog. Keys must match en.js (see i18n.test.js).
+
+const id = {
+    meta: {
+        locale: 'id-ID',
+    },
+    app: {
+        title: 'Veo 3 Prompt Generator',
+        uiLanguage: 'Bahasa UI',
+        settingsToggle: '⚙ Pengaturan ({model})',
+        errorTitle: 'Error!',
+        modeSingle: 'Prompt Tunggal',
+        modeStoryboard: 'Storyboard',
+        structuredToggle: 'Mode terstruktur (JSON): pisahkan subjek, kamera, dialog, negative prompt, dll.',
+        variationCount: 'Jumlah Variasi',
+        temperature: 'Kreativitas (temperature): {value}',
+        generate: 'Buat Prompt Veo 3',
+        generateStoryboard: 'Buat Storyboard Veo 3',
+        generating: 'Membuat Prompt...',
+        cancel: 'Batal',
+        resultTitle: 'Prompt Anda:',
+        copy: 'Salin',
+        copyShareLink: 'Salin Tautan Berbagi',
+        includePromptInLink: 'Sertakan prompt di tautan berbagi',
+        tips: 'Tips: Anda dapat menyalin prompt ini dan memasukkannya langsung ke Veo 3.',
+        youtube: 'subscribe my youtube @live_ndeso',
+    },
+    fields: {
+        sceneDescription: {
+            label: 'Deskripsi Adegan',
+            placeholder: 'Contoh: Sebuah kota yang futuristik dan ramai di malam hari...',
+        },
+        subjectFocus: {
+            label: 'Fokus Subjek',
+            placeholder: 'Contoh: Seorang detektif yang kesepian, robot yang sedang berpatroli...',
+        },
+        characterRefs: { label: 'Karakter' },
+        locationRefs: { label: 'Lokasi' },
+        cameraMovements: {
+            label: 'Pergerakan Kamera',
+            placeholder: 'Contoh: Pan perlahan, zoom in cepat, sudut rendah dramatis...',
+        },
+        visualStyle: {
+            label: 'Gaya Visual',
+            placeholder: 'Contoh: Sinematik, cyberpunk, fantasi gelap, seni piksel...',
+        },
+        timeOfDay: { label: 'Waktu Hari' },
+        genre: { label: 'Genre' },
+        lightingConditions: { label: 'Kondisi Pencahayaan' },
+        videoFormat: { label: 'Format Video' },
+        outputLanguage: { label: 'Bahasa Output Prompt' },
+        duration: { label: 'Durasi' },
+        shotSize: { label: 'Ukuran Shot' },
+        lens: { label: 'Lensa' },
+        cameraMoves: { label: 'Jenis Gerakan Kamera' },
+        frameRate: { label: 'Frame Rate' },
+        colorGrade: { label: 'Film Stock / Color Grade' },
+        textToSpeech: {
+            label: 'kata yang ingin diucapkan (opsional)',
+            placeholder: "Contoh: 'Selamat datang di dunia yang menakjubkan ini!'",
+        },
+        additionalKeywords: {
+            label: 'Kata Kunci Tambahan (opsional)',
+            placeholder: 'Contoh: Gerakan lambat, cahaya dramatis, pemandangan udara, hujan...',
+        },
+        dialogueLines: { label: 'Dialog per Karakter' },
+        ambientSound: {
+            label: 'Suara Latar',
+            placeholder: 'Contoh: Hujan di atap seng, lalu lintas di kejauhan...',
+        },
+        soundEffects: {
+            label: 'Efek Suara',
+            placeholder: 'Contoh: Langkah kaki di genangan, pintu berderit...',
+        },
+        musicMood: {
+            label: 'Suasana Musik',
+            placeholder: 'Contoh: Gesekan senar rendah yang tegang, synthwave ceria...',
+        },
+    },
+    options: {
+        timeOfDay: {
+            Day: 'Siang',
+            Night: 'Malam',
+            Sunset: 'Matahari Terbenam',
+            Sunrise: 'Matahari Terbit',
+        },
+        genre: {
+            'Sci-fi': 'Fiksi Ilmiah',
+            Fantasy: 'Fantasi',
+            Horror: 'Horor',
+            Comedy: 'Komedi',
+            Action: 'Aksi',
+            Documentary: 'Dokumenter',
+        },
+        lightingConditions: {
+            Soft: 'Lembut',
+            Harsh: 'Keras',
+            Dramatic: 'Dramatis',
+            Natural: 'Alami',
+        },
+        videoFormat: {
+            landscape: 'Lanskap (16:9)',
+            portrait: 'Potret (9:16)',
+            square: 'Persegi (1:1)',
+            vertical: 'Feed vertikal (4:5)',
+            ultrawide: 'Ultrawide (21:9)',
+        },
+        outputLanguage: {
+            English: 'Inggris',
+            Indonesian: 'Indonesia',
+            Spanish: 'Spanyol',
+            French: 'Prancis',
+            German: 'Jerman',
+            Portuguese: 'Portugis',
+            Japanese: 'Jepang',
+            Korean: 'Korea',
+            Chinese: 'Mandarin',
+        },
+        duration: {
+            4: '4 detik',
+            6: '6 detik',
+            8: '8 detik',
+        },
+        shotSize: {
+            '': 'Otomatis',
+            'Extreme close-up': 'Extreme close-up (ECU)',
+            'Close-up': 'Close-up',
+            'Medium close-up': 'Medium close-up',
+            'Medium shot': 'Medium shot',
+            'Medium wide shot': 'Medium wide shot',
+            'Wide shot': 'Wide shot',
+            'Extreme wide shot': 'Extreme wide shot',
+        },
+        lens: {
+            '': 'Otomatis',
+            '14mm ultra-wide': '14mm ultra-wide',
+            '24mm wide-angle': '24mm wide-angle',
+            '35mm': '35mm',
+            '50mm standard': '50mm standar',
+            '85mm portrait': '85mm potret',
+            '135mm telephoto': '135mm telefoto',
+            Anamorphic: 'Anamorfik',
+            Macro: 'Makro',
+        },
+        cameraMoves: {
+            Dolly: 'Dolly',
+            Crane: 'Crane',
+            Orbit: 'Orbit (mengitari subjek)',
+            Handheld: 'Handheld',
+            Drone: 'Drone',
+        },
+        frameRate: {
+            '': 'Otomatis',
+            '24 fps': '24 fps (sinematik)',
+            '30 fps': '30 fps',
+            '60 fps': '60 fps',
+            '120 fps slow motion': '120 fps gerak lambat',
+            '240 fps super slow motion': '240 fps gerak super lambat',
+        },
+        colorGrade: {
+            '': 'Otomatis',
+            'Kodak Portra 400': 'Kodak Portra 400',
+            'Kodak Vision3 500T': 'Kodak Vision3 500T',
+            'Fujifilm Eterna': 'Fujifilm Eterna',
+            'Black-and-white film': 'Film hitam-putih',
+            'Teal and orange': 'Teal and orange',
+            'Bleach bypass': 'Bleach bypass',
+            Technicolor: 'Technicolor',
+        },
+    },
+    cinematic: {
+        title: 'Sinematografi',
+    },
+    audio: {
+        title: 'Audio',
+        addLine: '+ Tambah Dialog',
+        removeLine: 'Hapus dialog {number}',
+        line: {
+            character: { label: 'Karakter dialog {number}', placeholder: 'Karakter' },
+            line: { label: 'Teks dialog {number}', placeholder: 'Yang diucapkan' },
+            tone: { label: 'Emosi dialog {number}', placeholder: 'Emosi / nada' },
+            accent: { label: 'Aksen dialog {number}', placeholder: 'Aksen' },
+            timing: { label: 'Waktu dialog {number}', placeholder: 'Waktu, mis. 0:02' },
+        },
+    },
+    bible: {
+        title: 'Karakter & Lokasi ({characters} karakter, {locations} lokasi dipakai)',
+        note: 'Centang entri untuk memakainya. Deskripsi lengkapnya dimasukkan kata per kata ke setiap prompt, jadi tampilannya sama di setiap klip.',
+        edit: 'Ubah',
+        delete: 'Hapus {name}',
+        save: 'Simpan',
+        cancel: 'Batal',
+        characters: {
+            title: 'Karakter',
+            add: '+ Karakter',
+            empty: 'Belum ada karakter.',
+            fields: {
+                name: { label: 'Nama', placeholder: 'Contoh: Pip' },
+                appearance: { label: 'Penampilan', placeholder: 'Contoh: robot kecil bulat dengan satu mata biru menyala' },
+                wardrobe: { label: 'Pakaian', placeholder: 'Contoh: syal rajut kuning' },
+                voice: { label: 'Suara', placeholder: 'Contoh: ceria, bernada tinggi, sedikit metalik' },
+            },
+        },
+        locations: {
+            title: 'Lokasi',
+            add: '+ Lokasi',
+            empty: 'Belum ada lokasi.',
+            fields: {
+                name: { label: 'Nama', placeholder: 'Contoh: Bengkel Pip' },
+                description: { label: 'Deskripsi', placeholder: 'Contoh: lab loteng yang berantakan di bawah atap miring' },
+                props: { label: 'Properti', placeholder: 'Contoh: solder, toples baut, bohlam gantung' },
+                palette: { label: 'Palet Warna', placeholder: 'Contoh: amber hangat dan teal' },
+            },
+        },
+    },
+    api: {
+        errors: {
+            auth: 'API key ditolak ({status}). Periksa key di Pengaturan.',
+            quota: 'Batas permintaan atau kuota terlampaui ({status}), bahkan setelah mencoba ulang. Tunggu sebentar atau periksa kuota Anda. {detail}',
+            server: 'Server model gagal ({status}), bahkan setelah mencoba ulang: {detail}',
+            http: 'Error API: {status} {statusText} - {detail}',
+            safety: 'Permintaan diblokir oleh filter keamanan ({reason}). Ubah deskripsi adegan lalu coba lagi.',
+            network: 'Tidak dapat menghubungi server model. Periksa koneksi dan Base URL. ({detail})',
+            timeout: 'Model tidak menjawab dalam {seconds} detik.',
+            malformed: 'Model mengembalikan respons yang tidak dapat dibaca: {detail}',
+            empty: 'Model tidak mengembalikan konten.',
+            cancelled: 'Permintaan dibatalkan.',
+            streamUnsupported: 'Browser atau server ini tidak dapat melakukan streaming jawaban.',
+        },
+    },
+    messages: {
+        copied: 'Prompt disalin!',
+        copyFailed: 'Gagal menyalin prompt.',
+        linkCopied: 'Tautan berbagi disalin!',
+        generateError: 'Gagal membuat prompt: {message}',
+        refineError: 'Gagal memperbaiki prompt: {message}',
+    },
+    storyboard: {
+        title: 'Storyboard ({count} shot)',
+        addShot: '+ Tambah Shot',
+        sharedNote: 'Gaya visual, genre, pencahayaan, waktu, subjek dan format di atas dipakai bersama oleh semua shot agar tampilan tetap konsisten.',
+        shot: 'Shot {number}',
+        moveUp: 'Pindahkan shot {number} ke atas',
+        moveDown: 'Pindahkan shot {number} ke bawah',
+        duplicate: 'Duplikat',
+        remove: 'Hapus',
+        fields: {
+            sceneDescription: { label: 'Deskripsi Adegan', placeholder: 'Contoh: Detektif berjalan menyusuri gang yang basah...' },
+            cameraMovements: { label: 'Pergerakan Kamera', placeholder: 'Contoh: Tracking shot dari belakang, perlahan mendekat...' },
+            textToSpeech: { label: 'Dialog (opsional)', placeholder: "Contoh: 'Aku tahu kau ada di sini.'" },
+        },
+        outputTitle: 'Prompt Storyboard:',
+        copyAll: 'Salin Semua',
+    },
+    history: {
+        title: 'Riwayat Prompt ({count})',
+        search: 'Cari riwayat',
+        searchPlaceholder: 'Cari prompt, adegan, gaya...',
+        starredOnly: 'Hanya favorit',
+        empty: 'Belum ada riwayat.',
+        noMatch: 'Tidak ada yang cocok.',
+        star: 'Tandai favorit',
+        unstar: 'Hapus dari favorit',
+        restore: 'Muat ke Formulir',
+        delete: 'Hapus',
+    },
+    settings: {
+        title: 'Pengaturan Model',
+        provider: 'Penyedia',
+        baseUrl: 'Base URL',
+        model: 'Model',
+        apiKey: 'API Key',
+        optional: '(opsional)',
+        offlineNote: 'Mode offline menyusun prompt dari template tanpa jaringan, cocok untuk demo dan pengujian.',
+        timeout: 'Batas waktu per percobaan (detik)',
+        retries: 'Percobaan ulang saat rate limit / error server',
+        streaming: 'Tampilkan prompt saat sedang ditulis (Gemini; otomatis kembali ke mode biasa bila tidak didukung)',
+        storedLocally: 'Pengaturan disimpan hanya di browser ini.',
+    },
+    providers: {
+        gemini: 'Google Gemini',
+        openai: 'OpenAI-compatible (Ollama, llama.cpp...)',
+        offline: 'Offline (template, tanpa jaringan)',
+    },
+    structured: {
+        title: 'Prompt Terstruktur:',
+        fields: {
+            subject: 'Subjek',
+            action: 'Aksi',
+            setting: 'Latar',
+            camera: 'Kamera',
+            lighting: 'Pencahayaan',
+            style: 'Gaya',
+            dialogue: 'Audio / Dialog',
+            ambientSound: 'Suara Latar',
+            negativePrompt: 'Negative Prompt',
+        },
+        aspectRatio: 'Aspect Ratio',
+        duration: 'Durasi (detik)',
+        compose: 'Susun Jadi Prompt',
+        export: 'Ekspor JSON',
+        errors: {
+            notObject: 'Respons bukan objek JSON.',
+            emptyField: 'Field "{field}" kosong.',
+            invalidAspectRatio: 'Aspect ratio "{value}" tidak valid.',
+            invalidDuration: 'Durasi "{value}" tidak valid.',
+            invalidJson: 'Model tidak mengembalikan JSON yang valid: {message}',
+        },
+    },
+    variations: {
+        title: 'Bandingkan Variasi:',
+        card: 'Variasi {number}',
+        winner: '★ Pemenang',
+        copied: 'Disalin!',
+        pick: 'Pilih Pemenang',
+        refine: 'Perbaiki Ini',
+    },
+    refinement: {
+        title: 'Perbaiki Prompt',
+        instruction: 'Instruksi perbaikan',
+        placeholder: 'Contoh: buat lebih suram, ganti kamera jadi dolly zoom...',
+        send: 'Kirim',
+        sending: 'Memperbaiki...',
+        original: 'Prompt awal',
+        active: '(aktif)',
+        fromParent: 'v{version} dari v{parent}: "{instruction}"',
+        originalVersion: 'v{version}: prompt awal',
+        revert: 'Kembalikan ke v{version}',
+    },
+    presets: {
+        label: 'Preset',
+        delete: 'Hapus preset {name}',
+        save: 'Simpan sebagai Preset',
+        cancel: 'Batal',
+        export: 'Ekspor Preset',
+        import: 'Impor Preset',
+        name: 'Nama preset',
+        fields: 'Field yang disimpan',
+        submit: 'Simpan',
+        saved: 'Preset "{name}" disimpan.',
+        imported: '{count} preset diimpor.',
+        importFailed: 'Gagal mengimpor preset: {message}',
+        errors: {
+            invalidJson: 'File bukan JSON yang valid: {message}',
+            notPack: 'File bukan paket preset Veo 3.',
+            unsupportedVersion: 'Versi paket preset {version} belum didukung.',
+        },
+    },
+    batch: {
+        title: 'Batch dari CSV/JSON',
+        note: 'Setiap baris mengisi field sesuai nama kolomnya (mis. sceneDescription, genre, timeOfDay, cameraMoves sebagai "Dolly; Drone"); field lainnya diambil dari formulir saat ini.',
+        load: 'Muat File',
+        loadFailed: 'Gagal membaca file: {message}',
+        concurrency: 'Permintaan paralel',
+        run: 'Jalankan Batch',
+        cancel: 'Batal',
+        cancelled: 'Permintaan dibatalkan.',
+        summary: '{filename}: {rows} baris, {invalid} tidak valid (dilewati).',
+        unknownColumns: 'Kolom diabaikan: {columns}',
+        rowLabel: 'Baris {row}',
+        pending: 'Menunggu...',
+        progress: '{done}/{total} selesai, {failed} gagal',
+        export: {
+            csv: 'Unduh CSV',
+            json: 'Unduh JSON',
+            markdown: 'Unduh Skrip Markdown',
+        },
+        errors: {
+            invalidJson: 'File bukan JSON yang valid: {message}',
+            notRows: 'File JSON harus berupa daftar baris atau objek dengan daftar "rows".',
+            noRows: 'File tidak berisi baris.',
+            invalidOption: '{field} "{value}" tidak diizinkan (pilih dari {allowed}).',
+            invalidValue: '{field} harus berupa teks.',
+        },
+    },
+    lint: {
+        title: 'Pemeriksaan prompt',
+        score: 'Kesiapan Veo: {score}/100',
+        words: '{count} kata',
+        clean: 'Tidak ada masalah.',
+        levels: {
+            ready: 'Siap',
+            review: 'Perlu ditinjau',
+            notReady: 'Belum siap',
+        },
+        issues: {
+            missingSubject: { message: 'Subjek "{subject}" tidak disebutkan.', fix: 'Tambah subjek' },
+            missingAction: { message: 'Tidak ada aksi yang jelas: sebutkan apa yang dilakukan subjek.', fix: 'Tambah aksi' },
+            missingCamera: { message: 'Tidak ada arahan kamera (framing, sudut atau gerakan).', fix: 'Tambah kamera' },
+            missingLighting: { message: 'Pencahayaan tidak dijelaskan.', fix: 'Tambah pencahayaan' },
+            timeConflict: { message: '"{term}" bertentangan dengan waktu yang dipilih ({timeOfDay}).', fix: 'Ganti "{term}"' },
+            lightingConflict: { message: '"{term}" bertentangan dengan pencahayaan yang dipilih ({lighting}).', fix: 'Ganti "{term}"' },
+            dialogueMissing: { message: 'Dialog hilang: "{expected}"', fix: 'Tambah kalimat' },
+            dialogueAltered: { message: 'Dialog berubah: "{found}" seharusnya "{expected}".', fix: 'Pulihkan kalimat' },
+            overlong: { message: 'Prompt terlalu panjang ({count} kata); Veo bekerja paling baik dengan maksimal {max}.' },
+            aspectRatioMismatch: { message: '"{found}" tidak sesuai dengan format video yang dipilih ({expected}).', fix: 'Gunakan {expected}' },
+            ignoredTerm: { message: '"{term}" diabaikan oleh Veo.', fix: 'Hapus' },
+            policyRisk: { message: '"{term}" dapat memicu pemblokiran kebijakan konten.', fix: 'Hapus' },
+        },
+    },
+    share: {
+        opened: 'Pengaturan dimuat dari tautan berbagi.',
+        ignored: 'Nilai tidak valid atau tidak dikenal diabaikan: {fields}.',
+        copied: 'Perpustakaan Anda sudah memiliki versi lain dari {names}; versi dari tautan ditambahkan sebagai entri terpisah.',
+        openFailed: 'Tautan berbagi tidak dapat dibuka: {message}',
+        dismiss: 'Tutup',
+        errors: {
+            corrupt: 'tautan tidak lengkap atau rusak.',
+            unsupportedVersion: 'tautan dibuat oleh versi aplikasi yang lebih baru (format {version}).',
+        },
+    },
+    images: {
+        label: 'Gambar Referensi',
+        hint: 'Seret atau tempel hingga {max} concept frame atau still di sini. Gambar diperkecil di browser Anda dan dikirim ke model multimodal bersama prompt.',
+        choose: 'Pilih Gambar',
+        processing: 'Memproses...',
+        remove: 'Hapus gambar {name}',
+        prefill: 'Isi Formulir dari Gambar',
+        prefilling: 'Membaca gambar...',
+        prefillUnavailable: 'Butuh model multimodal; template offline tidak dapat melihat gambar.',
+        prefillError: 'Gagal membaca gambar: {message}',
+        unsupported: 'File tidak didukung dilewati: {names}.',
+        tooMany: 'Maksimal {max} gambar; sisanya dilewati.',
+        thumbnails: 'Gambar referensi',
+        errors: {
+            unreadable: 'Gambar {name} tidak dapat dibaca.',
+            invalidJson: 'Jawaban bukan JSON yang valid: {message}',
+        },
+    },
+};
+
+export default id;
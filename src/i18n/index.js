@@ -0,0 +1,98 @@
+// Translation layer: message catalogs, a translate() helper, and a React context
+// that exposes the persisted UI language to every component.
+
+import React, { createContext, useContext, useEffect, useState } from 'react';
+import en from './en';
+import id from './id';
+
+const STORAGE_KEY = 'veo3-ui-language';
+
+export const CATALOGS = { id, en };
+export const DEFAULT_LANGUAGE = 'id';
+
+// Languages offered in the UI switch, labelled in their own language
+export const UI_LANGUAGES = [
+    { code: 'id', label: 'Bahasa Indonesia' },
+    { code: 'en', label: 'English' },
+];
+
+/**
+ * Looks up a dotted key ("fields.genre.label") in a catalog.
+ */
+const lookup = (catalog, key) =>
+    key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalog);
+
+/**
+ * Translates a key, filling {placeholders} from params. Missing keys fall back to
+ * English, then to the key itself so a gap is visible rather than blank.
+ * @param {string} language - Catalog code ('id' or 'en').
+ * @param {string} key - Dotted message key.
+ * @param {object} [params] - Values for {placeholders}.
+ * @returns {string} The translated message.
+ */
+export const translate = (language, key, params = {}) => {
+    const message = lookup(CATALOGS[language], key) ?? lookup(CATALOGS.en, key);
+    if (typeof message !== 'string') return key;
+    return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+};
+
+/**
+ * Error whose user-facing message comes from the catalogs. The English text is
+ * used as the plain message (logs, tests); the UI translates `key` instead.
+ */
+export class LocalizedError extends Error {
+    constructor(key, params = {}) {
+        super(translate('en', key, params));
+        this.name = 'LocalizedError';
+        this.key = key;
+        this.params = params;
+    }
+}
+
+/**
+ * Reads the saved UI language, falling back to the default.
+ */
+const loadLanguage = () => {
+    try {
+        const saved = localStorage.getItem(STORAGE_KEY);
+        return saved in CATALOGS ? saved : DEFAULT_LANGUAGE;
+    } catch (err) {
+        return DEFAULT_LANGUAGE;
+    }
+};
+
+const makeValue = (language, setLanguage) => {
+    const t = (key, params) => translate(language, key, params);
+    return {
+        language,
+        setLanguage,
+        t,
+        // Translates LocalizedErrors and passes other errors' messages through
+        errorMessage: (err) => (err instanceof LocalizedError ? t(err.key, err.params) : err.message),
+    };
+};
+
+const I18nContext = createContext(makeValue(DEFAULT_LANGUAGE, () => {}));
+
+/**
+ * Provides the UI language to the tree and persists changes to it.
+ */
+export const I18nProvider = ({ children }) => {
+    const [language, setLanguage] = useState(loadLanguage);
+
+    useEffect(() => {
+        try {
+            localStorage.setItem(STORAGE_KEY, language);
+        } catch (err) {
+            console.error('Failed to save language:', err);
+        }
+        document.documentElement.lang = language;
+    }, [language]);
+
+    return <I18nContext.Provider value={makeValue(language, setLanguage)}>{children}</I18nContext.Provider>;
+};
+
+/**
+ * Returns { language, setLanguage, t, errorMessage } for the current UI language.
+ */
+export const useTranslation = () => useContext(I18nContext);
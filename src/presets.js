@@ -0,0 +1,200 @@
+// Named presets: reusable subsets of the form fields. Built-in starters cover each
+// genre; user presets live in localStorage and travel between teammates as JSON packs.
+
+import { FORM_FIELDS, isValidFieldValue } from './formFields';
+import { LocalizedError } from './i18n';
+
+const STORAGE_KEY = 'veo3-presets';
+const PACK_FORMAT = 'veo3-preset-pack';
+const PACK_VERSION = 1;
+
+let presetCounter = 0;
+
+const nextPresetId = () => {
+    presetCounter += 1;
+    return `preset-${Date.now()}-${presetCounter}`;
+};
+
+// One starter preset per genre option; read-only in the UI
+export const BUILT_IN_PRESETS = [
+    {
+        id: 'builtin-sci-fi',
+        name: 'Neo-noir Rainy City',
+        fields: {
+            visualStyle: 'Neo-noir cyberpunk, neon signs reflected on wet asphalt',
+            timeOfDay: 'Night',
+            genre: 'Sci-fi',
+            lightingConditions: 'Dramatic',
+            videoFormat: 'portrait',
+            additionalKeywords: 'heavy rain, volumetric fog, holographic billboards',
+        },
+    },
+    {
+        id: 'builtin-fantasy',
+        name: 'Enchanted Forest',
+        fields: {
+            visualStyle: 'Ethereal painterly fantasy with glowing particles',
+            timeOfDay: 'Sunrise',
+            genre: 'Fantasy',
+            lightingConditions: 'Soft',
+            additionalKeywords: 'god rays through ancient trees, floating dust motes',
+        },
+    },
+    {
+        id: 'builtin-horror',
+        name: 'Abandoned Asylum',
+        fields: {
+            cameraMovements: 'Shaky handheld POV creeping forward',
+            visualStyle: 'Desaturated found-footage horror',
+            timeOfDay: 'Night',
+            genre: 'Horror',
+            lightingConditions: 'Harsh',
+            lens: '24mm wide-angle',
+            cameraMoves: ['Handheld'],
+            colorGrade: 'Bleach bypass',
+            additionalKeywords: 'flickering fluorescent lights, peeling walls',
+        },
+    },
+    {
+        id: 'builtin-comedy',
+        name: 'Sunny Sitcom',
+        fields: {
+            cameraMovements: 'Static medium shot with a quick punch-in for the joke',
+            visualStyle: 'Bright, saturated sitcom look',
+            timeOfDay: 'Day',
+            genre: 'Comedy',
+            lightingConditions: 'Natural',
+        },
+    },
+    {
+        id: 'builtin-action',
+        name: 'Rooftop Chase',
+        fields: {
+            cameraMovements: 'Fast drone follow shot weaving between buildings',
+            visualStyle: 'Gritty blockbuster action, high contrast',
+            timeOfDay: 'Sunset',
+            genre: 'Action',
+            lightingConditions: 'Dramatic',
+            cameraMoves: ['Drone'],
+            frameRate: '120 fps slow motion',
+            colorGrade: 'Teal and orange',
+        },
+    },
+    {
+        id: 'builtin-documentary',
+        name: 'Nature Documentary',
+        fields: {
+            cameraMovements: 'Slow telephoto pan from a hidden position',
+            visualStyle: 'Natural documentary realism',
+            timeOfDay: 'Sunrise',
+            genre: 'Documentary',
+            lightingConditions: 'Natural',
+            additionalKeywords: 'shallow depth of field, morning mist',
+        },
+    },
+];
+
+/**
+ * Keeps only known form fields with valid values.
+ * @param {object} fields - Candidate preset fields.
+ * @returns {object} The valid subset.
+ */
+const sanitizeFields = (fields) =>
+    Object.fromEntries(Object.entries(fields || {}).filter(([field, value]) => isValidFieldValue(field, value)));
+
+/**
+ * Creates a user preset capturing the chosen fields of the form.
+ * @param {string} name - Display name.
+ * @param {object} form - Current form state.
+ * @param {string[]} fields - Names of the fields to capture.
+ * @returns {object} The new preset.
+ */
+export const createPreset = (name, form, fields) => ({
+    id: nextPresetId(),
+    name: name.trim(),
+    fields: Object.fromEntries(fields.filter((field) => FORM_FIELDS.includes(field)).map((field) => [field, form[field]])),
+});
+
+/**
+ * Applies a preset on top of the form. Only the fields the preset defines are overwritten.
+ * @param {object} form - Current form state.
+ * @param {object} preset - The preset to apply.
+ * @returns {object} The new form state.
+ */
+export const applyPreset = (form, preset) => ({ ...form, ...sanitizeFields(preset.fields) });
+
+/**
+ * Adds presets to the list, replacing existing presets with the same name.
+ */
+export const mergePresets = (presets, incoming) => {
+    const names = new Set(incoming.map((preset) => preset.name.toLowerCase()));
+    return [...presets.filter((preset) => !names.has(preset.name.toLowerCase())), ...incoming];
+};
+
+/**
+ * Removes the preset with the given id.
+ */
+export const deletePreset = (presets, id) => presets.filter((preset) => preset.id !== id);
+
+/**
+ * Reads the saved user presets, returning an empty list when missing or corrupt.
+ */
+export const loadPresets = () => {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        return Array.isArray(saved) ? saved : [];
+    } catch (err) {
+        console.error('Gagal memuat preset:', err);
+        return [];
+    }
+};
+
+/**
+ * Persists the user presets. Storage errors are logged, not thrown.
+ */
+export const savePresets = (presets) => {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(presets));
+    } catch (err) {
+        console.error('Gagal menyimpan preset:', err);
+    }
+};
+
+/**
+ * Serializes presets as a shareable, versioned JSON pack.
+ * @param {Array<object>} presets - Presets to export.
+ * @returns {string} Pretty-printed JSON.
+ */
+export const exportPresetPack = (presets) => JSON.stringify({
+    format: PACK_FORMAT,
+    version: PACK_VERSION,
+    presets: presets.map(({ name, fields }) => ({ name, fields })),
+}, null, 2);
+
+/**
+ * Parses a preset pack. Invalid fields are dropped; presets left without a name or
+ * any valid field are skipped. Throws when the file is not a preset pack at all.
+ * @param {string} text - File contents.
+ * @returns {Array<object>} Presets with fresh ids, ready to merge.
+ */
+export const parsePresetPack = (text) => {
+    let pack;
+    try {
+        pack = JSON.parse(text);
+    } catch (err) {
+        throw new LocalizedError('presets.errors.invalidJson', { message: err.message });
+    }
+    if (pack?.format !== PACK_FORMAT || !Array.isArray(pack.presets)) {
+        throw new LocalizedError('presets.errors.notPack');
+    }
+    if (pack.version > PACK_VERSION) {
+        throw new LocalizedError('presets.errors.unsupportedVersion', { version: pack.version });
+    }
+    return pack.presets
+        .map((preset) => ({
+            id: nextPresetId(),
+            name: typeof preset?.name === 'string' ? preset.name.trim() : '',
+            fields: sanitizeFields(preset?.fields),
+        }))
+        .filter((preset) => preset.name && Object.keys(preset.fields).length > 0);
+};
@@ -0,0 +1,52 @@
+import { DEFAULT_FORM, FIELD_OPTIONS } from './formFields';
+import {
+  BUILT_IN_PRESETS,
+  applyPreset,
+  createPreset,
+  exportPresetPack,
+  mergePresets,
+  parsePresetPack,
+} from './presets';
+
+test('there is a built-in starter preset for every genre option', () => {
+  expect(BUILT_IN_PRESETS.map((preset) => preset.fields.genre)).toEqual(FIELD_OPTIONS.genre);
+});
+
+test('applyPreset only overwrites the fields the preset defines', () => {
+  const form = { ...DEFAULT_FORM, sceneDescription: 'A busy market', visualStyle: 'Anime' };
+  const next = applyPreset(form, { name: 'Night', fields: { timeOfDay: 'Night', visualStyle: 'Neo-noir' } });
+  expect(next).toEqual({ ...form, timeOfDay: 'Night', visualStyle: 'Neo-noir' });
+});
+
+test('applyPreset ignores unknown fields and invalid option values', () => {
+  const next = applyPreset(DEFAULT_FORM, { fields: { genre: 'Western', mood: 'happy', lightingConditions: 'Harsh' } });
+  expect(next).toEqual({ ...DEFAULT_FORM, lightingConditions: 'Harsh' });
+});
+
+test('createPreset captures a subset of the form', () => {
+  const form = { ...DEFAULT_FORM, visualStyle: 'Neo-noir', genre: 'Action' };
+  expect(createPreset('  Noir  ', form, ['visualStyle', 'genre', 'bogus'])).toMatchObject({
+    name: 'Noir',
+    fields: { visualStyle: 'Neo-noir', genre: 'Action' },
+  });
+});
+
+test('preset packs round-trip and replace presets with the same name', () => {
+  const existing = [createPreset('Noir', DEFAULT_FORM, ['genre']), createPreset('Keep', DEFAULT_FORM, ['genre'])];
+  const shared = [createPreset('noir', { ...DEFAULT_FORM, genre: 'Horror' }, ['genre'])];
+  const imported = parsePresetPack(exportPresetPack(shared));
+  expect(imported).toEqual([{ id: expect.any(String), name: 'noir', fields: { genre: 'Horror' } }]);
+  expect(mergePresets(existing, imported).map((preset) => preset.name)).toEqual(['Keep', 'noir']);
+});
+
+test('parsePresetPack drops invalid presets and rejects foreign files', () => {
+  const pack = JSON.stringify({
+    format: 'veo3-preset-pack',
+    version: 1,
+    presets: [{ name: 'Empty', fields: { genre: 'Western' } }, { fields: { genre: 'Comedy' } }, { name: 'Ok', fields: { genre: 'Comedy' } }],
+  });
+  expect(parsePresetPack(pack).map((preset) => preset.name)).toEqual(['Ok']);
+  expect(() => parsePresetPack('{"presets": []}')).toThrow(/not a Veo 3 preset pack/);
+  expect(() => parsePresetPack('not json')).toThrow(/JSON/);
+  expect(() => parsePresetPack(JSON.stringify({ format: 'veo3-preset-pack', version: 2, presets: [] }))).toThrow(/version 2/);
+});
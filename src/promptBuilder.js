@@ -0,0 +1,175 @@
+// Builds the meta-prompt that asks the model to write a Veo 3 video prompt.
+
+import { describeCharacter, describeLocation } from './bible';
+import { describeDialogueLine, spokenLines } from './dialogue';
+import { IMAGE_FORM_FIELDS } from './referenceImages';
+import { DEFAULT_DURATION, FORMAT_ASPECT_RATIOS, STRUCTURED_FIELDS } from './structuredPrompt';
+
+/**
+ * Closing instructions for the default free-text output.
+ */
+const buildFlatInstructions = (outputLanguage) => `
+        The final prompt should be a concise yet powerful single sentence or short paragraph, directly usable for a video generation model. It should focus on actionable visual and auditory elements, camera direction, and overall mood. Prioritize visual fidelity and artistic depth. Name the character who speaks each quoted line and describe the soundtrack (ambience, sound effects, music). Write the entire final prompt, including any dialogue, in ${outputLanguage}.
+
+        Example output format: "A majestic golden dragon soaring gracefully through a swirling nebula, seen from a sweeping cinematic drone shot, in a fantastical and ethereal style. Time of Day: Night, Genre: Fantasy, Lighting: Dramatic. Incorporate glowing particles and shimmering stardust. Text-to-speech: 'Witness the ancient power!' Video Format: landscape."
+        `;
+
+/**
+ * Closing instructions for structured mode: the prompt is split into Veo-specific JSON fields.
+ */
+const buildStructuredInstructions = (videoFormat, duration, outputLanguage) => `
+        Return the prompt as a single JSON object instead of a paragraph, with these fields:
+${STRUCTURED_FIELDS.map(({ name, description }) => `        - ${name}: ${description}`).join('\n')}
+        - aspectRatio: "${FORMAT_ASPECT_RATIOS[videoFormat] || FORMAT_ASPECT_RATIOS.landscape}"
+        - duration: ${duration}
+
+        Each field should be vivid and directly usable by a video generation model. Write every text field in ${outputLanguage}; keep the meaning of any dialogue exactly as given. Keep the JSON keys in English. Output only the JSON object.
+        `;
+
+/**
+ * Describes where a shot sits inside a storyboard so the model keeps the
+ * sequence visually continuous.
+ * @param {{ index: number, shots: Array<object> }} sequence - Position of the shot and the full shot list.
+ * @returns {string} The sequence block appended to the meta-prompt.
+ */
+const buildSequenceContext = ({ index, shots }) => {
+    const outline = shots
+        .map((shot, i) => `        ${i + 1}. ${shot.sceneDescription || 'Untitled shot'}${i === index ? ' (this shot)' : ''}`)
+        .join('\n');
+
+    return `
+        Sequence context: this prompt is shot ${index + 1} of ${shots.length} in a continuous multi-shot video. Keep the subject's appearance and wardrobe, the visual style, genre, lighting and color palette identical to the other shots so the clips cut together seamlessly. Describe only this shot.
+        Sequence outline:
+${outline}
+`;
+};
+
+/**
+ * Describes the cinematography selectors. Unset selectors leave the choice to the model.
+ * @param {object} inputs - Form values.
+ * @returns {string} The input lines for shot size, lens, moves, frame rate, grade and duration.
+ */
+const buildCinematography = ({ shotSize, lens, cameraMoves = [], frameRate, colorGrade, duration }) => `
+        - Shot Size: ${shotSize || 'Choose the framing that best serves the scene'}
+        - Lens: ${lens || 'Choose a focal length that suits the shot'}
+        - Camera Move Types: ${cameraMoves.length ? cameraMoves.join(', ') : 'Any that suits the described camera movements'}
+        - Frame Rate: ${frameRate || 'A natural cinematic frame rate'}
+        - Film Stock / Color Grade: ${colorGrade || 'A grade that matches the visual style'}
+        - Duration: ${duration} seconds (the action must fit this length)`;
+
+/**
+ * Lists the referenced bible entries with their canonical descriptions, or '' when none are used.
+ * @param {{ characters?: Array<object>, locations?: Array<object> }} inputs - Expanded references (see expandReferences).
+ * @returns {string} The recurring characters and locations input lines.
+ */
+const buildBibleContext = ({ characters = [], locations = [] }) => {
+    const list = (entries, describe) => entries.map((entry) => `\n            - ${describe(entry)}`).join('');
+    return [
+        characters.length ? `
+        - Recurring Characters (describe each one exactly as written here, without changing any detail):${list(characters, describeCharacter)}` : '',
+        locations.length ? `
+        - Recurring Locations (describe each one exactly as written here, without changing any detail):${list(locations, describeLocation)}` : '',
+    ].join('');
+};
+
+/**
+ * Describes the soundtrack: attributed speaker lines, ambience, effects and music.
+ * @param {object} inputs - Form values.
+ * @param {string} outputLanguage - Language the dialogue is spoken in.
+ * @returns {string} The audio input lines.
+ */
+const buildAudio = ({ dialogueLines = [], ambientSound, soundEffects, musicMood }, outputLanguage) => {
+    const lines = spokenLines(dialogueLines);
+    const speakers = lines.length
+        ? `Attribute every line to its character by name, in this order, with the given delivery, spoken in ${outputLanguage}:
+${lines.map((line, i) => `            ${i + 1}. ${describeDialogueLine(line)}`).join('\n')}`
+        : 'No attributed speaker lines.';
+
+    return `
+        - Speaker Lines: ${speakers}
+        - Ambient Soundscape: ${ambientSound || 'Natural ambience that fits the scene'}
+        - Sound Effects: ${soundEffects || 'Sound effects that match the on-screen action'}
+        - Music: ${musicMood || 'Music only if it suits the scene'}`;
+};
+
+/**
+ * Describes how to use the attached reference images, or '' when there are none.
+ */
+const buildImageContext = (imageCount) => (imageCount > 0 ? `
+        - Reference Images: ${imageCount} attached. Match the subject, composition, color palette and lighting they show; where they disagree with the inputs above, follow the inputs.` : '');
+
+/**
+ * Asks a multimodal model to read the attached reference images into form fields.
+ * @param {string} outputLanguage - Language the field values are written in.
+ * @returns {string} The request text, answered with JSON (see IMAGE_FIELDS_SCHEMA).
+ */
+export const buildImageAnalysisText = (outputLanguage = 'English') => `Study the attached reference image(s), which are frames for an AI-generated video, and describe them as the starting point of a video prompt. Return a single JSON object with these fields:
+${IMAGE_FORM_FIELDS.map(({ name, description }) => `- ${name}: ${description}`).join('\n')}
+
+Write every value in ${outputLanguage} (the lighting value stays one of the listed options). Output only the JSON object.`;
+
+/**
+ * Follow-up message for the refinement chat. The conversation already holds the
+ * previous prompt, so only the change is described.
+ * @param {string} instruction - The user's follow-up instruction (e.g. "make it moodier").
+ * @returns {string} The message sent as the next user turn.
+ */
+export const buildRefinementText = (instruction) =>
+    `Revise the video prompt you just wrote according to this instruction: "${instruction}". Keep everything else the same unless the instruction says otherwise. Reply with only the full revised prompt as plain text, in the same language, without commentary or quotes.`;
+
+/**
+ * Asks the model to improve an earlier result rather than write a new one.
+ */
+const buildDraftContext = (draft) => `
+        Refine this draft prompt. Keep its core idea, subject and any dialogue, but make it more vivid, precise and cinematic:
+        "${draft}"
+`;
+
+/**
+ * Constructs the detailed prompt for the AI model from all user inputs.
+ * Empty inputs fall back to rich defaults so the model always gets full guidance.
+ * @param {object} inputs - Form values (sceneDescription, subjectFocus, cameraMovements, visualStyle,
+ *   timeOfDay, genre, lightingConditions, additionalKeywords, textToSpeech, videoFormat, outputLanguage,
+ *   the cinematography selectors duration, shotSize, lens, cameraMoves, frameRate, colorGrade,
+ *   the audio fields dialogueLines, ambientSound, soundEffects, musicMood, and the expanded
+ *   bible references characters and locations).
+ * @param {object} [options]
+ * @param {{ index: number, shots: Array<object> }} [options.sequence] - Storyboard context when generating one shot of many.
+ * @param {boolean} [options.structured] - Ask for the structured JSON fields instead of a flat paragraph.
+ * @param {string} [options.draft] - An earlier result to refine instead of starting from scratch.
+ * @param {number} [options.imageCount] - Number of reference images sent with the request.
+ * @returns {string} The meta-prompt text.
+ */
+export const buildPromptText = (inputs, { sequence, structured = false, draft, imageCount = 0 } = {}) => {
+    const {
+        sceneDescription,
+        subjectFocus,
+        cameraMovements,
+        visualStyle,
+        timeOfDay,
+        genre,
+        lightingConditions,
+        additionalKeywords,
+        textToSpeech,
+        videoFormat,
+        outputLanguage = 'English',
+        duration = String(DEFAULT_DURATION),
+    } = inputs;
+    const aspectRatio = FORMAT_ASPECT_RATIOS[videoFormat] || FORMAT_ASPECT_RATIOS.landscape;
+
+    return `Generate a highly creative, detailed, and visually rich text prompt for an AI video generator like Veo 3. The prompt should aim for maximum video quality and artistic expression, incorporating all specified elements.
+
+        Here are the inputs:
+        - Scene Description: ${sceneDescription || 'A captivating and dynamic scene'}
+        - Subject Focus: ${subjectFocus || 'A central, engaging figure or object'}${buildBibleContext(inputs)}
+        - Camera Movements: ${cameraMovements || 'Sophisticated and fluid camera work (e.g., cinematic tracking shot, slow push-in, dynamic drone view)'}
+        - Visual Style: ${visualStyle || 'A visually stunning and coherent artistic style (e.g., hyperrealistic, fantastical, neo-noir, intricate anime)'}
+        - Time of Day: ${timeOfDay}
+        - Genre: ${genre}
+        - Lighting Conditions: ${lightingConditions || 'Artful and evocative lighting'}${buildCinematography({ ...inputs, duration })}
+        - Additional Keywords: ${additionalKeywords || 'Incorporate rich textures, vibrant colors, atmospheric effects (e.g., volumetric fog, lens flares), detailed reflections, high fidelity, highly detailed'}
+        - Text-to-Speech: ${textToSpeech ? `Integrate the following dialogue naturally into the video concept, spoken in ${outputLanguage} (translate it faithfully if it is written in another language): "${textToSpeech}"` : 'No spoken dialogue specified.'}${buildAudio(inputs, outputLanguage)}
+        - Video Format: ${videoFormat} (${aspectRatio} aspect ratio)
+        - Output Language: ${outputLanguage}${buildImageContext(imageCount)}
+${sequence ? buildSequenceContext(sequence) : ''}${draft ? buildDraftContext(draft) : ''}${structured ? buildStructuredInstructions(videoFormat, Number(duration), outputLanguage) : buildFlatInstructions(outputLanguage)}`;
+};
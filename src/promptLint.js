@@ -0,0 +1,263 @@
+// Rule-based quality checks for a generated prompt, run locally before it is copied.
+// Each issue may carry a fix that applyLintFix turns into an edited prompt, and the
+// issues add up to a Veo-readiness score.
+
+import { describeDialogueLine, spokenLines } from './dialogue';
+import { FORMAT_ASPECT_RATIOS } from './structuredPrompt';
+
+// Longer prompts dilute the shot description; Veo follows a focused paragraph best
+export const MAX_PROMPT_WORDS = 200;
+
+// Points taken off the score of 100 per issue
+const PENALTIES = { error: 25, warning: 10 };
+
+// Quality boosters from image models that Veo ignores
+export const IGNORED_TERMS = ['8K', '4K', '16K', 'photorealistic render', 'octane render', 'unreal engine', 'trending on artstation', 'masterpiece', 'best quality', 'ultra HD'];
+
+// Words likely to trip the provider's content policy and block the generation
+export const POLICY_RISK_TERMS = ['gore', 'gory', 'nude', 'naked', 'nsfw', 'beheading', 'dismembered', 'bloodbath', 'deepfake'];
+
+// Words that place a scene at a time of day, split into the time itself and its light.
+// The first entry of each list is what a fix puts in place of a conflicting word.
+const TIME_TERMS = {
+    Day: { time: ['midday', 'noon', 'afternoon', 'daytime'], light: ['daylight', 'bright sun', 'sunny'] },
+    Night: { time: ['night', 'nighttime', 'midnight'], light: ['moonlight', 'moonlit', 'starlight', 'starlit', 'starry'] },
+    Sunset: { time: ['sunset', 'dusk', 'evening', 'twilight'], light: ['setting sun'] },
+    Sunrise: { time: ['sunrise', 'dawn', 'daybreak', 'morning'], light: ['first light', 'rising sun'] },
+};
+
+// Lighting words that contradict each lighting choice, and the phrase a fix uses instead
+const LIGHTING_TERMS = {
+    Soft: { replacement: 'soft light', conflicts: ['harsh light', 'hard light', 'high-contrast'] },
+    Harsh: { replacement: 'harsh light', conflicts: ['soft light', 'softly lit', 'diffused light', 'gentle light'] },
+    Dramatic: { replacement: 'dramatic lighting', conflicts: ['flat lighting', 'even lighting'] },
+    Natural: { replacement: 'natural light', conflicts: ['neon light', 'studio lighting', 'artificial light'] },
+};
+
+// Vocabulary for the ingredients every shot description needs
+const CAMERA_PATTERN = /\b(camera|shot|close-up|closeup|wide|dolly|pan|pans|tilt|tracking|crane|drone|zoom|handheld|orbit\w*|push-in|pull-back|angle|lens|pov|framing|framed)\b/i;
+const LIGHTING_PATTERN = /\b(light\w*|lit|glow\w*|shadow\w*|illuminat\w*|backlit|silhouett\w*|neon|sunlight|moonlight|candlelight)\b/i;
+const ACTION_PATTERN = /\b(walk|run|fly|flies|move|turn|look|speak|say|jump|fall|rise|drift|glide|stand|sit|hold|reach|open|smile|cry|fight|race|swim|climb|enter|leave|dance|soar|float|stare|wave)(s|es|ed)?\b/i;
+// Words ending in -ing that are not actions
+const NON_ACTION_ING = new Set(['lighting', 'evening', 'morning', 'building', 'ceiling', 'clothing', 'painting', 'something', 'nothing', 'anything', 'everything', 'during', 'string', 'thing', 'king', 'ring', 'wing', 'spring', 'setting', 'framing', 'tracking', 'grading', 'recording']);
+
+// Known aspect ratios, written as in prompts ("16:9", "2.39:1")
+const RATIO_PATTERN = /\b(16:9|9:16|1:1|4:5|5:4|4:3|3:4|21:9|2\.39:1|2\.35:1|1\.85:1)\b/g;
+// Orientation words that name a video format, and the form values they can stand for
+// ("vertical" is commonly used for 9:16 as well as for the 4:5 vertical format)
+const FORMAT_WORDS = {
+    landscape: ['landscape'],
+    widescreen: ['landscape'],
+    horizontal: ['landscape'],
+    portrait: ['portrait'],
+    square: ['square'],
+    vertical: ['portrait', 'vertical'],
+    ultrawide: ['ultrawide'],
+};
+// The word is group 1 ("portrait format") or group 3 ("Video Format: portrait").
+// No lookbehind anywhere in this file: Safari before 16.4 cannot parse it, and Babel cannot transpile it.
+const FORMAT_PATTERN = /\b(landscape|widescreen|horizontal|portrait|square|vertical|ultrawide)(?=\s+(?:format|orientation|aspect|video|frame)\b)|(video format:\s*)(landscape|widescreen|horizontal|portrait|square|vertical|ultrawide)\b/gi;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Matches a word or phrase on word boundaries, ignoring case. The character before the
+// term is captured as group 1, so replacements must put it back (see replaceTerm).
+const termPattern = (term) => new RegExp(`(^|[^\\w-])${escapeRegExp(term)}(?![\\w-])`, 'gi');
+
+const replaceTerm = (text, term, replacement) => text.replace(termPattern(term), (match, before) => `${before}${replacement}`);
+
+const mentions = (text, term) => termPattern(term).test(text);
+
+// Lowercase words with punctuation stripped, for comparing dialogue
+const words = (text) => text.toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, ' ').split(/\s+/).filter(Boolean);
+const normalize = (text) => words(text).join(' ');
+
+// Passages in double, curly or single quotes (apostrophes inside words are not quotes)
+const quotedPassages = (text) =>
+    [...text.matchAll(/"([^"]+)"|“([^”]+)”|(?:^|[^\p{L}\p{N}])'([^']+)'(?![\p{L}\p{N}])/gu)].map((match) => match[1] || match[2] || match[3]);
+
+// Share of the original's words that the candidate keeps
+const overlap = (original, candidate) => {
+    const kept = new Set(words(candidate));
+    const originalWords = words(original);
+    return originalWords.filter((word) => kept.has(word)).length / originalWords.length;
+};
+
+const hasAction = (prompt) =>
+    ACTION_PATTERN.test(prompt) || words(prompt).some((word) => word.length > 5 && word.endsWith('ing') && !NON_ACTION_ING.has(word));
+
+/**
+ * Checks that the subject, action, camera and lighting are described.
+ */
+const checkIngredients = (prompt, { subjectFocus = '', lightingConditions, cameraMovements = '' }) => {
+    const issues = [];
+    const subject = subjectFocus.trim().replace(/[.\s]+$/, '');
+    // Any significant word of the chosen subject will do, since models paraphrase
+    const subjectWords = words(subject).filter((word) => word.length > 3);
+    if (subjectWords.length > 0 && !subjectWords.some((word) => words(prompt).includes(word))) {
+        issues.push({ id: 'missingSubject', severity: 'error', params: { subject }, fix: { type: 'prepend', text: `${subject}.` } });
+    }
+    if (!hasAction(prompt)) {
+        issues.push({ id: 'missingAction', severity: 'warning', params: {}, fix: { type: 'append', text: 'The subject moves naturally through the scene.' } });
+    }
+    if (!CAMERA_PATTERN.test(prompt)) {
+        const camera = cameraMovements.trim().replace(/[.\s]+$/, '') || 'Slow cinematic tracking shot';
+        issues.push({ id: 'missingCamera', severity: 'warning', params: {}, fix: { type: 'append', text: `Camera: ${camera}.` } });
+    }
+    if (!LIGHTING_PATTERN.test(prompt)) {
+        issues.push({ id: 'missingLighting', severity: 'warning', params: {}, fix: { type: 'append', text: `Lighting: ${(lightingConditions || 'Natural').toLowerCase()} light.` } });
+    }
+    return issues;
+};
+
+/**
+ * Flags time-of-day and lighting words that contradict the chosen time and lighting.
+ * A time word is only a conflict when the prompt never mentions the chosen time.
+ */
+const checkConflicts = (prompt, { timeOfDay, lightingConditions }) => {
+    const issues = [];
+    const chosen = TIME_TERMS[timeOfDay];
+    if (chosen) {
+        const statesTime = new RegExp(`time of day:\\s*${escapeRegExp(timeOfDay)}\\b`, 'i').test(prompt)
+            || [...chosen.time, ...chosen.light].some((term) => mentions(prompt, term));
+        if (!statesTime) {
+            Object.entries(TIME_TERMS).filter(([time]) => time !== timeOfDay).forEach(([, terms]) => {
+                ['time', 'light'].forEach((kind) => terms[kind].filter((term) => mentions(prompt, term)).forEach((term) => {
+                    issues.push({ id: 'timeConflict', severity: 'warning', params: { term, timeOfDay }, fix: { type: 'replace', find: term, replace: chosen[kind][0] } });
+                }));
+            });
+        }
+    }
+    const lighting = LIGHTING_TERMS[lightingConditions];
+    if (lighting) {
+        lighting.conflicts.filter((term) => mentions(prompt, term)).forEach((term) => {
+            issues.push({ id: 'lightingConflict', severity: 'warning', params: { term, lighting: lightingConditions }, fix: { type: 'replace', find: term, replace: lighting.replacement } });
+        });
+    }
+    return issues;
+};
+
+/**
+ * Checks that every line of dialogue made it into the prompt word for word.
+ * A quoted passage sharing most of a line's words counts as an altered line. When the
+ * prompt is written in another language, a missing line may simply have been translated,
+ * so it is only reported if the prompt quotes nothing at all.
+ */
+const checkDialogue = (prompt, { textToSpeech = '', dialogueLines = [] }, english) => {
+    const expected = [
+        ...(textToSpeech.trim() ? [{ text: textToSpeech.trim().replace(/^["']|["']$/g, ''), append: `Dialogue: "${textToSpeech.trim().replace(/^["']|["']$/g, '')}"` }] : []),
+        ...spokenLines(dialogueLines).map((line) => ({ text: line.line.trim().replace(/^["']|["']$/g, ''), append: describeDialogueLine(line) })),
+    ];
+    const quotes = quotedPassages(prompt);
+    const promptText = normalize(prompt);
+    const issues = [];
+    expected.forEach(({ text, append }) => {
+        if (promptText.includes(normalize(text))) return;
+        const closest = quotes
+            .map((quote) => ({ quote, score: overlap(text, quote) }))
+            .sort((a, b) => b.score - a.score)[0];
+        if (closest && closest.score >= 0.5) {
+            issues.push({ id: 'dialogueAltered', severity: 'error', params: { expected: text, found: closest.quote }, fix: { type: 'replace', find: closest.quote, replace: text } });
+        } else if (english || quotes.length === 0) {
+            issues.push({ id: 'dialogueMissing', severity: 'error', params: { expected: text }, fix: { type: 'append', text: append } });
+        }
+    });
+    return issues;
+};
+
+/**
+ * Flags aspect ratios and format words that disagree with the chosen video format.
+ */
+const checkFormat = (prompt, { videoFormat }) => {
+    const expected = FORMAT_ASPECT_RATIOS[videoFormat];
+    if (!expected) return [];
+    const ratios = [...new Set([...prompt.matchAll(RATIO_PATTERN)].map((match) => match[1]))]
+        .filter((ratio) => ratio !== expected)
+        .map((ratio) => ({ id: 'aspectRatioMismatch', severity: 'error', params: { found: ratio, expected }, fix: { type: 'replace', find: ratio, replace: expected } }));
+    const formats = [...new Set([...prompt.matchAll(FORMAT_PATTERN)].map((match) => match[1] || match[3]))]
+        .filter((word) => !FORMAT_WORDS[word.toLowerCase()].includes(videoFormat))
+        .map((word) => ({ id: 'aspectRatioMismatch', severity: 'error', params: { found: word, expected: videoFormat }, fix: { type: 'replace', find: word, replace: videoFormat } }));
+    return [...ratios, ...formats];
+};
+
+/**
+ * Flags terms Veo ignores and terms that risk a policy block. Both are fixed by removing them.
+ */
+const checkTerms = (prompt) => [
+    ...IGNORED_TERMS.filter((term) => mentions(prompt, term))
+        .map((term) => ({ id: 'ignoredTerm', severity: 'warning', params: { term }, fix: { type: 'remove', find: term } })),
+    ...POLICY_RISK_TERMS.filter((term) => mentions(prompt, term))
+        .map((term) => ({ id: 'policyRisk', severity: 'error', params: { term }, fix: { type: 'remove', find: term } })),
+];
+
+/**
+ * Scores a prompt out of 100 from its issues.
+ * @param {Array<{ severity: string }>} issues - Lint issues.
+ * @returns {number} 100 minus the penalty of each issue, never below 0.
+ */
+export const scoreIssues = (issues) =>
+    Math.max(0, issues.reduce((score, issue) => score - PENALTIES[issue.severity], 100));
+
+/**
+ * How ready a score is for Veo: 'ready' (80+), 'review' (50+) or 'notReady'.
+ */
+export const readinessLevel = (score) => {
+    if (score >= 80) return 'ready';
+    if (score >= 50) return 'review';
+    return 'notReady';
+};
+
+/**
+ * Analyzes a generated prompt against the form it was generated from.
+ * Checks that rely on English vocabulary (subject, action, camera, lighting, time words)
+ * only run when the output language is English.
+ * @param {string} prompt - The generated prompt.
+ * @param {object} inputs - Form values.
+ * @returns {{ score: number, level: string, wordCount: number,
+ *   issues: Array<{ id: string, severity: 'error'|'warning', params: object, fix?: object }> }}
+ *   Issue ids map to the lint.issues.* translations.
+ */
+export const lintPrompt = (prompt, inputs) => {
+    const english = (inputs.outputLanguage || 'English') === 'English';
+    const wordCount = prompt.trim() ? prompt.trim().split(/\s+/).length : 0;
+    const issues = [
+        ...(english ? checkIngredients(prompt, inputs) : []),
+        ...(english ? checkConflicts(prompt, inputs) : []),
+        ...checkDialogue(prompt, inputs, english),
+        ...(wordCount > MAX_PROMPT_WORDS ? [{ id: 'overlong', severity: 'warning', params: { count: wordCount, max: MAX_PROMPT_WORDS } }] : []),
+        ...checkFormat(prompt, inputs),
+        ...checkTerms(prompt),
+    ];
+    const score = scoreIssues(issues);
+    return { score, level: readinessLevel(score), wordCount, issues };
+};
+
+// Cleans up the punctuation and spacing left behind after a word is removed
+const tidy = (text) => text
+    .replace(/\(\s*\)/g, '')
+    .replace(/\s+([,.;:!?)])/g, '$1')
+    .replace(/([,;:])(?=[,.;:!?])/g, '')
+    .replace(/[ \t]{2,}/g, ' ')
+    .replace(/^[\s,;:]+/, '')
+    .trim();
+
+/**
+ * Applies an issue's fix to the prompt.
+ * @param {string} prompt - The prompt to fix.
+ * @param {{ type: 'replace'|'remove'|'append'|'prepend', find?: string, replace?: string, text?: string }} fix
+ * @returns {string} The fixed prompt.
+ */
+export const applyLintFix = (prompt, fix) => {
+    switch (fix.type) {
+        case 'replace':
+            return replaceTerm(prompt, fix.find, fix.replace);
+        case 'remove':
+            return tidy(replaceTerm(prompt, fix.find, ''));
+        case 'append':
+            return `${prompt.trim()} ${fix.text}`;
+        case 'prepend':
+            return `${fix.text} ${prompt.trim()}`;
+        default:
+            return prompt;
+    }
+};
@@ -0,0 +1,117 @@
+import { applyLintFix, lintPrompt, readinessLevel, scoreIssues } from './promptLint';
+import { createDialogueLine } from './dialogue';
+import { DEFAULT_FORM } from './formFields';
+
+const form = { ...DEFAULT_FORM, subjectFocus: 'A lonely detective', timeOfDay: 'Night', lightingConditions: 'Dramatic' };
+const goodPrompt = 'A lonely detective walks through rain-soaked alleys at night, slow tracking shot at eye level, dramatic neon lighting and deep shadows. Video Format: landscape (16:9).';
+
+const ids = (report) => report.issues.map((issue) => issue.id);
+const fixIssue = (prompt, report, id) => applyLintFix(prompt, report.issues.find((issue) => issue.id === id).fix);
+
+test('a complete prompt is ready with no issues', () => {
+  expect(lintPrompt(goodPrompt, form)).toEqual({ score: 100, level: 'ready', wordCount: 25, issues: [] });
+});
+
+test('reports missing subject, action, camera and lighting with fixes', () => {
+  const prompt = 'A quiet harbor at night.';
+  const report = lintPrompt(prompt, { ...form, cameraMovements: 'Slow push-in' });
+  expect(ids(report)).toEqual(['missingSubject', 'missingAction', 'missingCamera', 'missingLighting']);
+  expect(report.score).toBe(45);
+  expect(report.level).toBe('notReady');
+
+  expect(fixIssue(prompt, report, 'missingSubject')).toBe('A lonely detective. A quiet harbor at night.');
+  expect(fixIssue(prompt, report, 'missingCamera')).toBe('A quiet harbor at night. Camera: Slow push-in.');
+  expect(fixIssue(prompt, report, 'missingLighting')).toBe('A quiet harbor at night. Lighting: dramatic light.');
+  const fixed = report.issues.reduce((text, issue) => applyLintFix(text, issue.fix), prompt);
+  expect(lintPrompt(fixed, { ...form, cameraMovements: 'Slow push-in' }).issues).toEqual([]);
+});
+
+test('flags time words that contradict the chosen time of day, unless the time is stated', () => {
+  const prompt = 'A lonely detective walks at midday, tracking shot, harsh daylight and dramatic lighting.';
+  const report = lintPrompt(prompt, form);
+  expect(ids(report)).toEqual(['timeConflict', 'timeConflict']);
+  expect(report.issues[0].params).toEqual({ term: 'midday', timeOfDay: 'Night' });
+  expect(fixIssue(prompt, report, 'timeConflict')).toBe('A lonely detective walks at night, tracking shot, harsh daylight and dramatic lighting.');
+  expect(applyLintFix(prompt, report.issues[1].fix)).toContain('harsh moonlight');
+
+  expect(ids(lintPrompt(`${prompt} Time of Day: Night.`, form))).toEqual([]);
+});
+
+test('flags lighting words that contradict the chosen lighting', () => {
+  const prompt = 'A lonely detective walks at night, tracking shot, soft light and gentle light on his face.';
+  const report = lintPrompt(prompt, { ...form, lightingConditions: 'Harsh' });
+  expect(ids(report)).toEqual(['lightingConflict', 'lightingConflict']);
+  expect(fixIssue(prompt, report, 'lightingConflict')).toBe('A lonely detective walks at night, tracking shot, harsh light and gentle light on his face.');
+});
+
+test('reports dialogue that is missing or altered', () => {
+  const inputs = {
+    ...form,
+    textToSpeech: 'The rain never stops here.',
+    dialogueLines: [createDialogueLine({ character: 'Mara', line: 'Did you hear that?', tone: 'whispering' })],
+  };
+  const prompt = `${goodPrompt.slice(0, -1)} He mutters: "The rain never ends here."`;
+  const report = lintPrompt(prompt, inputs);
+  expect(ids(report)).toEqual(['dialogueAltered', 'dialogueMissing']);
+  expect(report.issues[0].params).toEqual({ expected: 'The rain never stops here.', found: 'The rain never ends here.' });
+
+  const fixed = report.issues.reduce((text, issue) => applyLintFix(text, issue.fix), prompt);
+  expect(fixed).toContain('He mutters: "The rain never stops here."');
+  expect(fixed).toMatch(/Mara \(whispering\): "Did you hear that\?"$/);
+  expect(lintPrompt(fixed, inputs).issues).toEqual([]);
+});
+
+test('dialogue quoted in another output language counts as translated', () => {
+  const inputs = { ...form, outputLanguage: 'Indonesian', textToSpeech: 'Follow me.' };
+  expect(ids(lintPrompt('Seorang detektif kesepian berkata: "Ikuti aku."', inputs))).toEqual([]);
+  expect(ids(lintPrompt('Seorang detektif kesepian berjalan.', inputs))).toEqual(['dialogueMissing']);
+});
+
+test('flags overlong prompts', () => {
+  const prompt = `${goodPrompt} ${'Rain falls. '.repeat(100)}`;
+  const report = lintPrompt(prompt, form);
+  expect(report.issues).toEqual([{ id: 'overlong', severity: 'warning', params: { count: 225, max: 200 } }]);
+});
+
+test('flags aspect ratios and formats that disagree with the video format', () => {
+  const report = lintPrompt(goodPrompt, { ...form, videoFormat: 'portrait' });
+  expect(report.issues.map((issue) => issue.params)).toEqual([
+    { found: '16:9', expected: '9:16' },
+    { found: 'landscape', expected: 'portrait' },
+  ]);
+  const fixed = report.issues.reduce((text, issue) => applyLintFix(text, issue.fix), goodPrompt);
+  expect(fixed).toMatch(/Video Format: portrait \(9:16\)\.$/);
+  expect(lintPrompt('A lonely detective walks, vertical video in 4:5, neon lighting, close-up.', { ...form, videoFormat: 'vertical' }).issues).toEqual([]);
+  expect(lintPrompt('A lonely detective walks, neon lighting, slow tracking shot, vertical format for mobile.', { ...form, videoFormat: 'portrait' }).issues).toEqual([]);
+  expect(lintPrompt('A lonely detective walks, neon lighting, close-up, vertical format.', { ...form, videoFormat: 'square' }).issues.map((issue) => issue.params))
+    .toEqual([{ found: 'vertical', expected: 'square' }]);
+});
+
+test('removes terms Veo ignores and policy-risky words', () => {
+  const prompt = goodPrompt.replace('deep shadows.', 'deep shadows, gore, 8K, photorealistic render.');
+  const report = lintPrompt(prompt, form);
+  expect(report.issues.map(({ id, params }) => [id, params.term])).toEqual([
+    ['ignoredTerm', '8K'],
+    ['ignoredTerm', 'photorealistic render'],
+    ['policyRisk', 'gore'],
+  ]);
+  expect(report.score).toBe(55);
+  const fixed = report.issues.reduce((text, issue) => applyLintFix(text, issue.fix), prompt);
+  expect(fixed).toBe(goodPrompt);
+});
+
+test('fixes keep the text around a term, including at the start of the prompt', () => {
+  expect(applyLintFix('8K 8K, neon-8K and 8K.', { type: 'replace', find: '8K', replace: '$1' })).toBe('$1 $1, neon-8K and $1.');
+  expect(applyLintFix('Gore, rain and gore.', { type: 'remove', find: 'gore' })).toBe('rain and.');
+  const report = lintPrompt("'Keep walking,' the detective says.", { ...form, textToSpeech: 'Keep moving' });
+  expect(report.issues.find((issue) => issue.id === 'dialogueAltered').params)
+    .toEqual({ expected: 'Keep moving', found: 'Keep walking,' });
+});
+
+test('scores and readiness levels', () => {
+  expect(scoreIssues([])).toBe(100);
+  expect(scoreIssues(Array(5).fill({ severity: 'error' }))).toBe(0);
+  expect(readinessLevel(80)).toBe('ready');
+  expect(readinessLevel(79)).toBe('review');
+  expect(readinessLevel(49)).toBe('notReady');
+});
@@ -0,0 +1,118 @@
+// Google Gemini provider (generateContent endpoint, or streamGenerateContent over SSE
+// when the caller wants progress updates).
+// With an empty API key the request only succeeds inside Canvas, which injects the key at runtime.
+
+import { ApiError, postJson, postStream, streamEventError } from './http';
+
+// finishReason values meaning the candidate was withheld by Gemini's filters
+const BLOCKED_FINISH_REASONS = ['SAFETY', 'PROHIBITED_CONTENT', 'BLOCKLIST', 'SPII', 'RECITATION'];
+
+// Status codes of a gateway or proxy that does not offer the streaming endpoint
+const STREAM_UNAVAILABLE_STATUSES = [404, 405, 501];
+
+/**
+ * Builds the generateContent payload: earlier turns, the new user turn (with any reference
+ * images as inline data parts) and generation config.
+ */
+const buildPayload = ({ prompt, history = [], images = [], temperature, responseSchema }) => {
+    // Prepare chat history for the Gemini API call
+    const chatHistory = [
+        ...history.map(({ role, text }) => ({ role, parts: [{ text }] })),
+        { role: "user", parts: [{ text: prompt }, ...images.map(({ mimeType, data }) => ({ inlineData: { mimeType, data } }))] },
+    ];
+
+    // Construct the API payload
+    const payload = { contents: chatHistory };
+    const generationConfig = {};
+    if (temperature !== undefined) {
+        generationConfig.temperature = temperature;
+    }
+    if (responseSchema) {
+        generationConfig.responseMimeType = 'application/json';
+        generationConfig.responseSchema = responseSchema;
+    }
+    if (Object.keys(generationConfig).length > 0) {
+        payload.generationConfig = generationConfig;
+    }
+    return payload;
+};
+
+/**
+ * Returns the text of the first candidate in a response or stream chunk, throwing a
+ * `safety` error when the prompt or the answer was blocked.
+ * A blocked prompt has no candidates at all; a blocked answer has a telling finishReason.
+ */
+const candidateText = (result) => {
+    if (result?.promptFeedback?.blockReason) {
+        throw new ApiError('safety', { reason: result.promptFeedback.blockReason });
+    }
+    const candidate = result?.candidates?.[0];
+    if (BLOCKED_FINISH_REASONS.includes(candidate?.finishReason)) {
+        throw new ApiError('safety', { reason: candidate.finishReason });
+    }
+    return (candidate?.content?.parts || []).map((part) => part.text || '').join('');
+};
+
+/**
+ * Streams the answer, calling onProgress with the text received so far after every chunk.
+ * @returns {Promise<string>} The complete text.
+ */
+const streamText = async (payload, { baseUrl, model, apiKey }, { onProgress, ...options }) => {
+    let text = '';
+    await postStream(`${baseUrl}/models/${model}:streamGenerateContent?alt=sse&key=${apiKey}`, { body: payload }, (event) => {
+        if (event?.error) throw streamEventError(event); // Errors can arrive after a 200
+        const chunk = candidateText(event);
+        if (chunk) {
+            text += chunk;
+            onProgress(text);
+        }
+    }, options);
+    return text;
+};
+
+export const geminiProvider = {
+    id: 'gemini',
+    defaults: {
+        baseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+        model: 'gemini-2.0-flash',
+        apiKey: '',
+    },
+
+    /**
+     * Sends the conversation so far plus a new user turn to Gemini and returns the text of the first candidate.
+     * With a responseSchema the model is constrained to JSON matching that schema.
+     * With options.onProgress the answer is streamed; when streaming is unavailable the
+     * request silently falls back to a regular generateContent call.
+     * @param {{ prompt: string, history?: Array<object>, images?: Array<object>, temperature?: number, responseSchema?: object }} request -
+     *   The new user message, its reference images and any earlier turns.
+     * @param {{ baseUrl: string, model: string, apiKey: string }} config - Provider settings.
+     * @param {object} [options] - Request options (signal, timeout, retries, onProgress), see postJson.
+     * @returns {Promise<string>} The generated text.
+     * @throws {ApiError} Including a `safety` error when the prompt or the answer was blocked.
+     */
+    async generate(request, config, options = {}) {
+        const payload = buildPayload(request);
+        const { onProgress, ...requestOptions } = options;
+
+        let text;
+        if (onProgress) {
+            try {
+                text = await streamText(payload, config, options);
+            } catch (err) {
+                const unavailable = err.kind === 'streamUnsupported'
+                    || (err.kind === 'http' && STREAM_UNAVAILABLE_STATUSES.includes(err.status));
+                if (!unavailable) throw err;
+            }
+        }
+
+        if (text === undefined) {
+            // Make the API call to Gemini (retries, timeout and error classification live in postJson)
+            const { baseUrl, model, apiKey } = config;
+            text = candidateText(await postJson(`${baseUrl}/models/${model}:generateContent?key=${apiKey}`, { body: payload }, requestOptions));
+        }
+        if (!text) {
+            throw new ApiError('empty');
+        }
+        return text;
+    },
+};
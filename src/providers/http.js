@@ -0,0 +1,300 @@
+// Shared request layer for the online providers: timeouts, cancellation through an
+// AbortSignal, exponential backoff on 429/5xx (honoring Retry-After), server-sent event
+// streaming, and classification of failures into ApiErrors whose messages come from the
+// i18n catalogs (api.errors.*).
+
+import { LocalizedError } from '../i18n';
+
+export const DEFAULT_TIMEOUT = 60000; // Milliseconds per attempt
+export const DEFAULT_RETRIES = 3;     // Extra attempts after a 429 or 5xx
+const BASE_DELAY = 1000;              // First backoff delay, doubled on every retry
+const MAX_DELAY = 30000;              // Upper bound for backoff and Retry-After waits
+
+/**
+ * A classified provider failure. `kind` is one of auth, quota, server, safety, network,
+ * timeout, malformed, empty, cancelled, streamUnsupported or http; the message is
+ * translated from api.errors.<kind>.
+ */
+export class ApiError extends LocalizedError {
+    constructor(kind, params = {}) {
+        super(`api.errors.${kind}`, params);
+        this.name = 'ApiError';
+        this.kind = kind;
+        this.status = params.status;
+    }
+}
+
+/**
+ * Resolves after `ms`, or rejects with a cancelled ApiError as soon as the signal aborts.
+ */
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+        reject(new ApiError('cancelled'));
+        return;
+    }
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(new ApiError('cancelled'));
+    }, { once: true });
+});
+
+/**
+ * Reads a Retry-After header (delay in seconds or an HTTP date) as milliseconds.
+ * @param {string|null} value - Header value.
+ * @param {number} [now] - Current time, for tests.
+ * @returns {number|null} The delay, or null when missing or unreadable.
+ */
+export const parseRetryAfter = (value, now = Date.now()) => {
+    if (!value) return null;
+    if (/^\d+(\.\d+)?$/.test(value.trim())) return Number(value) * 1000;
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - now);
+};
+
+/**
+ * Delay before retry number `attempt` (0-based): the server's Retry-After when given,
+ * otherwise exponential backoff. Both are capped at MAX_DELAY.
+ */
+export const retryDelay = (attempt, retryAfter) =>
+    Math.min(retryAfter ?? BASE_DELAY * 2 ** attempt, MAX_DELAY);
+
+/**
+ * Short, readable detail from an error body: the JSON error message when there is one,
+ * otherwise the text with any HTML tags removed.
+ */
+const errorDetail = (text, json) => {
+    if (json?.error?.message) return json.error.message;
+    if (typeof json?.error === 'string') return json.error;
+    const plain = text.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+    return plain.length > 200 ? `${plain.slice(0, 200)}…` : plain || 'Unknown error';
+};
+
+// Gemini answers a bad key with 400 and reason API_KEY_INVALID rather than 401
+const isInvalidKey = (json) =>
+    json?.error?.details?.some?.((detail) => detail?.reason === 'API_KEY_INVALID') || /api key/i.test(json?.error?.message || '');
+
+/**
+ * Maps an HTTP status (and error body) to an ApiError.
+ * @returns {ApiError} The classified error; `retryable` is set for 429 and 5xx.
+ */
+const classifyStatus = (status, statusText, json, detail) => {
+    const params = { status, statusText, detail };
+    let error;
+    if (status === 401 || status === 403 || (status === 400 && isInvalidKey(json))) {
+        error = new ApiError('auth', params);
+    } else if (status === 429) {
+        error = new ApiError('quota', params);
+    } else if (status >= 500) {
+        error = new ApiError('server', params);
+    } else {
+        error = new ApiError('http', params);
+    }
+    error.retryable = status === 429 || status >= 500;
+    return error;
+};
+
+/**
+ * Classifies an error object sent inside a stream ({ error: { code, status, message } }).
+ * @param {object} body - The event carrying the error.
+ * @returns {ApiError} The classified error.
+ */
+export const streamEventError = (body) =>
+    classifyStatus(Number(body.error?.code) || 500, body.error?.status || '', body, errorDetail('', body));
+
+/**
+ * Turns a non-OK response into an ApiError.
+ * @param {Response} response - The failed response.
+ * @param {string} text - Its body, already read.
+ * @returns {ApiError} The classified error; `retryable` is set for 429 and 5xx.
+ */
+const classifyResponse = (response, text) => {
+    let json = null;
+    try {
+        json = JSON.parse(text);
+    } catch (err) {
+        // HTML or plain-text error pages are common behind proxies
+    }
+    return classifyStatus(response.status, response.statusText, json, errorDetail(text, json));
+};
+
+// Reads the whole body as text
+const readText = (response) => response.text();
+
+/**
+ * Runs one attempt: the fetch and the body read share a timeout, and an abort of the
+ * caller's signal cancels both. `read` may call `touch()` to restart the timeout while
+ * data keeps arriving, so a long stream only times out when it stalls.
+ * @param {Function} [read] - (response, touch) => Promise<string>, the body reader.
+ * @returns {Promise<{ response: Response, text: string }>}
+ */
+const attempt = async (url, init, signal, timeout, read = readText) => {
+    if (signal?.aborted) throw new ApiError('cancelled');
+    const controller = new AbortController();
+    let timedOut = false;
+    let timer;
+    const touch = () => {
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeout);
+    };
+    const cancel = () => controller.abort();
+    signal?.addEventListener('abort', cancel);
+    touch();
+
+    try {
+        const response = await fetch(url, { ...init, signal: controller.signal });
+        return { response, text: await read(response, touch) };
+    } catch (err) {
+        if (signal?.aborted) throw new ApiError('cancelled');
+        if (timedOut) throw new ApiError('timeout', { seconds: Math.round(timeout / 1000) });
+        if (err instanceof ApiError) throw err;
+        throw new ApiError('network', { detail: err.message });
+    } finally {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', cancel);
+    }
+};
+
+/**
+ * Runs attempts until one succeeds, retrying rate-limited and server errors with backoff.
+ * @returns {Promise<string>} The body of the successful response, as read by `read`.
+ */
+const withRetries = async (url, { headers = {}, body }, { signal, timeout, retries, sleep }, read) => {
+    const init = {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body),
+    };
+
+    for (let retry = 0; ; retry += 1) {
+        const { response, text } = await attempt(url, init, signal, timeout, read);
+        if (response.ok) return text;
+        const error = classifyResponse(response, text);
+        if (!error.retryable || retry >= retries) throw error;
+        await sleep(retryDelay(retry, parseRetryAfter(response.headers?.get?.('Retry-After'))), signal);
+    }
+};
+
+/**
+ * Incremental parser for a text/event-stream body. Text may be pushed in arbitrary
+ * chunks; every complete event's data (multi-line data joined with "\n") goes to onEvent.
+ * @param {Function} onEvent - Called with the data string of each event.
+ * @returns {{ push: Function, end: Function }} push(text) feeds a chunk; end() flushes the last event.
+ */
+export const createSseParser = (onEvent) => {
+    let buffer = '';
+    let data = [];
+
+    const dispatch = () => {
+        if (data.length > 0) onEvent(data.join('\n'));
+        data = [];
+    };
+
+    const processLine = (line) => {
+        if (line === '') {
+            dispatch();
+            return;
+        }
+        if (line.startsWith(':')) return; // Comment / keep-alive
+        const colon = line.indexOf(':');
+        const field = colon === -1 ? line : line.slice(0, colon);
+        const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+        if (field === 'data') data.push(value);
+    };
+
+    return {
+        push(text) {
+            buffer += text;
+            const lines = buffer.split(/\r?\n/);
+            buffer = lines.pop(); // Incomplete line, finished by a later chunk
+            lines.forEach(processLine);
+        },
+        end() {
+            if (buffer) processLine(buffer.replace(/\r$/, ''));
+            buffer = '';
+            dispatch();
+        },
+    };
+};
+
+/**
+ * POSTs a JSON payload and resolves with the parsed JSON response, retrying rate-limited
+ * and server errors with backoff.
+ * @param {string} url - Endpoint.
+ * @param {{ headers?: object, body: object }} request - Extra headers and the payload to serialize.
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the request, including any backoff wait.
+ * @param {number} [options.timeout] - Milliseconds allowed per attempt.
+ * @param {number} [options.retries] - Extra attempts after a 429 or 5xx.
+ * @param {Function} [options.sleep] - (ms, signal) => Promise, replaceable in tests.
+ * @returns {Promise<object>} The parsed response body.
+ * @throws {ApiError} When the request fails, times out, is cancelled or returns invalid JSON.
+ */
+export const postJson = async (url, request, {
+    signal,
+    timeout = DEFAULT_TIMEOUT,
+    retries = DEFAULT_RETRIES,
+    sleep = wait,
+} = {}) => {
+    const text = await withRetries(url, request, { signal, timeout, retries, sleep }, readText);
+    try {
+        return JSON.parse(text);
+    } catch (err) {
+        throw new ApiError('malformed', { detail: err.message });
+    }
+};
+
+/**
+ * POSTs a JSON payload to a server-sent events endpoint and hands every event's parsed
+ * JSON to onEvent as it arrives. Errors before the stream starts are retried like postJson;
+ * a failure mid-stream is not, since part of the answer has already been delivered.
+ * The timeout restarts with every chunk.
+ * @param {string} url - Endpoint.
+ * @param {{ headers?: object, body: object }} request - Extra headers and the payload to serialize.
+ * @param {Function} onEvent - Called with each event's parsed JSON; may throw an ApiError to stop.
+ * @param {object} [options] - signal, timeout, retries and sleep, as for postJson.
+ * @returns {Promise<void>} Resolves when the stream ends.
+ * @throws {ApiError} streamUnsupported when the response body cannot be read incrementally.
+ */
+export const postStream = async (url, request, onEvent, {
+    signal,
+    timeout = DEFAULT_TIMEOUT,
+    retries = DEFAULT_RETRIES,
+    sleep = wait,
+} = {}) => {
+    const readEvents = async (response, touch) => {
+        if (!response.ok) return response.text();
+        const reader = response.body?.getReader?.();
+        if (!reader) throw new ApiError('streamUnsupported');
+
+        const parser = createSseParser((data) => {
+            let event;
+            try {
+                event = JSON.parse(data);
+            } catch (err) {
+                throw new ApiError('malformed', { detail: err.message });
+            }
+            onEvent(event);
+        });
+        const decoder = new TextDecoder();
+        try {
+            for (;;) {
+                const { done, value } = await reader.read();
+                if (done) break;
+                touch();
+                parser.push(decoder.decode(value, { stream: true }));
+            }
+            parser.push(decoder.decode());
+            parser.end();
+        } catch (err) {
+            reader.cancel?.().catch(() => {}); // Stop downloading once the answer is unusable
+            throw err;
+        }
+        return '';
+    };
+
+    await withRetries(url, request, { signal, timeout, retries, sleep }, readEvents);
+};
@@ -0,0 +1,168 @@
+import { TextDecoder, TextEncoder } from 'util';
+import { ApiError, createSseParser, parseRetryAfter, postJson, postStream, retryDelay } from './http';
+
+// jsdom has no text codecs; browsers do
+global.TextDecoder = global.TextDecoder || TextDecoder;
+global.TextEncoder = global.TextEncoder || TextEncoder;
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+const response = (status, body, headers = {}) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  statusText: { 200: 'OK', 401: 'Unauthorized', 429: 'Too Many Requests', 502: 'Bad Gateway' }[status] || '',
+  headers: { get: (name) => headers[name] ?? null },
+  text: async () => (typeof body === 'string' ? body : JSON.stringify(body)),
+});
+
+const noSleep = jest.fn(async () => {});
+
+beforeEach(() => noSleep.mockClear());
+
+test('postJson posts the JSON payload and parses the answer', async () => {
+  global.fetch = jest.fn().mockResolvedValue(response(200, { ok: 1 }));
+  await expect(postJson('https://api.test/x', { headers: { 'X-Key': 'k' }, body: { a: 1 } })).resolves.toEqual({ ok: 1 });
+  const [url, init] = global.fetch.mock.calls[0];
+  expect(url).toBe('https://api.test/x');
+  expect(init).toMatchObject({ method: 'POST', body: '{"a":1}', headers: { 'Content-Type': 'application/json', 'X-Key': 'k' } });
+});
+
+test('postJson retries 429 and 5xx with exponential backoff, honoring Retry-After', async () => {
+  global.fetch = jest.fn()
+    .mockResolvedValueOnce(response(429, { error: { message: 'slow down' } }, { 'Retry-After': '7' }))
+    .mockResolvedValueOnce(response(502, '<html><body><h1>Bad gateway</h1></body></html>'))
+    .mockResolvedValueOnce(response(502, 'still bad'))
+    .mockResolvedValueOnce(response(200, { done: true }));
+  await expect(postJson('u', { body: {} }, { sleep: noSleep })).resolves.toEqual({ done: true });
+  expect(noSleep.mock.calls.map(([ms]) => ms)).toEqual([7000, 2000, 4000]);
+});
+
+test('postJson gives up after the configured retries with a classified error', async () => {
+  global.fetch = jest.fn().mockResolvedValue(response(502, '<html><body><h1>Bad gateway</h1></body></html>'));
+  const error = await postJson('u', { body: {} }, { retries: 2, sleep: noSleep }).catch((err) => err);
+  expect(global.fetch).toHaveBeenCalledTimes(3);
+  expect(error).toBeInstanceOf(ApiError);
+  expect(error).toMatchObject({ kind: 'server', status: 502, params: { detail: 'Bad gateway' } });
+});
+
+test('postJson classifies auth errors without retrying, including Gemini\'s invalid key 400', async () => {
+  global.fetch = jest.fn()
+    .mockResolvedValueOnce(response(401, { error: { message: 'no key' } }))
+    .mockResolvedValueOnce(response(400, { error: { message: 'API key not valid.', details: [{ reason: 'API_KEY_INVALID' }] } }));
+  await expect(postJson('u', { body: {} }, { sleep: noSleep })).rejects.toMatchObject({ kind: 'auth', status: 401 });
+  await expect(postJson('u', { body: {} }, { sleep: noSleep })).rejects.toMatchObject({ kind: 'auth', status: 400 });
+  expect(noSleep).not.toHaveBeenCalled();
+});
+
+test('postJson reports quota exhaustion once retries run out', async () => {
+  global.fetch = jest.fn().mockResolvedValue(response(429, { error: { message: 'Quota exceeded' } }));
+  await expect(postJson('u', { body: {} }, { retries: 1, sleep: noSleep }))
+    .rejects.toMatchObject({ kind: 'quota', params: { detail: 'Quota exceeded' } });
+});
+
+test('postJson reports network failures and unreadable bodies', async () => {
+  global.fetch = jest.fn()
+    .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+    .mockResolvedValueOnce(response(200, '<html>proxy login</html>'));
+  await expect(postJson('u', { body: {} })).rejects.toMatchObject({ kind: 'network', params: { detail: 'Failed to fetch' } });
+  await expect(postJson('u', { body: {} })).rejects.toMatchObject({ kind: 'malformed' });
+});
+
+// A fetch that only settles when its signal aborts, like a hung server
+const hangingFetch = () => jest.fn((url, { signal }) => new Promise((resolve, reject) => {
+  signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+}));
+
+// Polls until the mock has been called `count` times
+const waitForCalls = async (mock, count) => {
+  while (mock.mock.calls.length < count) {
+    await new Promise((resolve) => setTimeout(resolve, 0));
+  }
+};
+
+test('postJson times out a hung request', async () => {
+  global.fetch = hangingFetch();
+  await expect(postJson('u', { body: {} }, { timeout: 20 })).rejects.toMatchObject({ kind: 'timeout' });
+});
+
+test('postJson stops when the caller aborts, including during a backoff wait', async () => {
+  global.fetch = hangingFetch();
+  const controller = new AbortController();
+  const pending = postJson('u', { body: {} }, { signal: controller.signal });
+  controller.abort();
+  await expect(pending).rejects.toMatchObject({ kind: 'cancelled' });
+
+  global.fetch = jest.fn().mockResolvedValue(response(502, 'down'));
+  const waiting = new AbortController();
+  const retrying = postJson('u', { body: {} }, { signal: waiting.signal });
+  await waitForCalls(global.fetch, 1);
+  waiting.abort();
+  await expect(retrying).rejects.toMatchObject({ kind: 'cancelled' });
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+});
+
+test('parseRetryAfter reads seconds and HTTP dates; retryDelay caps the wait', () => {
+  const now = Date.parse('2025-01-01T00:00:00Z');
+  expect(parseRetryAfter('3', now)).toBe(3000);
+  expect(parseRetryAfter('Wed, 01 Jan 2025 00:00:10 GMT', now)).toBe(10000);
+  expect(parseRetryAfter('soon', now)).toBeNull();
+  expect(retryDelay(0, null)).toBe(1000);
+  expect(retryDelay(3, null)).toBe(8000);
+  expect(retryDelay(0, 120000)).toBe(30000);
+});
+
+test('createSseParser reassembles events split across arbitrary chunks', () => {
+  const events = [];
+  const parser = createSseParser((data) => events.push(data));
+  parser.push(': keep-alive\r\ndata: {"a"');
+  parser.push(':1}\r');
+  parser.push('\n\r\nevent: message\ndata: line one\ndata: line two\n');
+  parser.push('\ndata: last');
+  parser.end();
+  expect(events).toEqual(['{"a":1}', 'line one\nline two', 'last']);
+});
+
+// Response whose body yields the given text chunks; a chunk that is an Error makes read() reject
+const streamResponse = (chunks) => {
+  const encoder = new TextEncoder();
+  const queue = [...chunks];
+  return {
+    ok: true,
+    status: 200,
+    headers: { get: () => null },
+    body: {
+      getReader: () => ({
+        read: async () => {
+          if (queue.length === 0) return { done: true };
+          const chunk = queue.shift();
+          if (chunk instanceof Error) throw chunk;
+          return { done: false, value: encoder.encode(chunk) };
+        },
+        cancel: jest.fn(async () => {}),
+      }),
+    },
+  };
+};
+
+test('postStream delivers each parsed event as it arrives', async () => {
+  global.fetch = jest.fn().mockResolvedValue(streamResponse(['data: {"n":1}\n\nda', 'ta: {"n":2}\n\n']));
+  const events = [];
+  await postStream('u', { body: {} }, (event) => events.push(event.n));
+  expect(events).toEqual([1, 2]);
+});
+
+test('postStream reports a connection dropped mid-stream and does not retry it', async () => {
+  global.fetch = jest.fn().mockResolvedValue(streamResponse(['data: {"n":1}\n\n', new TypeError('network lost')]));
+  const events = [];
+  await expect(postStream('u', { body: {} }, (event) => events.push(event.n), { sleep: noSleep }))
+    .rejects.toMatchObject({ kind: 'network', params: { detail: 'network lost' } });
+  expect(events).toEqual([1]);
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+});
+
+test('postStream flags responses that cannot be streamed', async () => {
+  global.fetch = jest.fn().mockResolvedValue(response(200, 'data: {}\n\n'));
+  await expect(postStream('u', { body: {} }, () => {})).rejects.toMatchObject({ kind: 'streamUnsupported' });
+});
@@ -0,0 +1,63 @@
+// Registry of the LLM backends the generator can talk to.
+// Every provider exposes the same shape:
+//   { id, defaults: { baseUrl, model, apiKey }, generate(request, config, options) }
+// (display names live in the i18n catalogs under providers.<id>)
+// where `request` is { prompt, inputs, history?, instruction?, images?, temperature?, responseSchema? } and `generate`
+// resolves with the prompt text (a JSON string when a responseSchema is given). `history` holds earlier
+// { role: 'user'|'model', text } turns; `instruction` is the raw refinement request, for providers that
+// cannot follow a conversation; `images` are { mimeType, data (base64) } reference images sent with the
+// new user turn (the offline template ignores them). `options` is { signal, timeout, retries } for the request layer (http.js),
+// plus an optional onProgress(textSoFar) callback that providers able to stream call as text arrives.
+
+import { geminiProvider } from './gemini';
+import { openaiProvider } from './openai';
+import { offlineProvider } from './offline';
+import { DEFAULT_RETRIES, DEFAULT_TIMEOUT } from './http';
+
+export const PROVIDERS = {
+    [geminiProvider.id]: geminiProvider,
+    [openaiProvider.id]: openaiProvider,
+    [offlineProvider.id]: offlineProvider,
+};
+
+export const DEFAULT_PROVIDER = geminiProvider.id;
+
+/**
+ * Returns the provider and its effective config (non-empty saved values over provider defaults).
+ * Unknown provider ids fall back to the default provider.
+ * @param {{ provider: string, configs: object }} settings - Saved provider settings.
+ */
+export const resolveProvider = (settings) => {
+    const provider = PROVIDERS[settings.provider] || PROVIDERS[DEFAULT_PROVIDER];
+    const saved = Object.entries(settings.configs?.[provider.id] || {}).filter(([, value]) => value !== '');
+    const config = { ...provider.defaults, ...Object.fromEntries(saved) };
+    return { provider, config };
+};
+
+/**
+ * Generates text with the currently selected provider.
+ * @param {object} request - Meta-prompt, the inputs it was built from and optional history, instruction,
+ *   sampling temperature and JSON response schema (see the shape above).
+ * @param {{ provider: string, configs: object, timeoutSeconds?: number, maxRetries?: number, streaming?: boolean }} settings -
+ *   Saved provider settings.
+ * @param {{ signal?: AbortSignal, onProgress?: Function }} [options] - Aborting the signal cancels the request;
+ *   onProgress receives the partial text while streaming (ignored when streaming is switched off).
+ * @returns {Promise<string>} The generated text.
+ */
+export const generateText = (request, settings, { signal, onProgress } = {}) => {
+    const { provider, config } = resolveProvider(settings);
+    return provider.generate(request, config, {
+        signal,
+        timeout: (settings.timeoutSeconds ?? DEFAULT_TIMEOUT / 1000) * 1000,
+        retries: settings.maxRetries ?? DEFAULT_RETRIES,
+        onProgress: settings.streaming === false ? undefined : onProgress,
+    });
+};
+
+/**
+ * Human-readable "provider/model" label stored with each history entry.
+ */
+export const describeModel = (settings) => {
+    const { provider, config } = resolveProvider(settings);
+    return `${provider.id}/${config.model}`;
+};
@@ -0,0 +1,195 @@
+import { TextDecoder, TextEncoder } from 'util';
+import { describeModel, generateText, resolveProvider } from './index';
+
+// jsdom has no text codecs; browsers do
+global.TextDecoder = global.TextDecoder || TextDecoder;
+global.TextEncoder = global.TextEncoder || TextEncoder;
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+const jsonResponse = (body, init = {}) => ({
+  ok: true,
+  status: 200,
+  statusText: 'OK',
+  text: async () => JSON.stringify(body),
+  ...init,
+});
+
+test('resolveProvider merges non-empty saved values over the provider defaults', () => {
+  const { provider, config } = resolveProvider({
+    provider: 'openai',
+    configs: { openai: { model: 'qwen2.5', baseUrl: '' } },
+  });
+  expect(provider.id).toBe('openai');
+  expect(config).toEqual({ baseUrl: 'http://localhost:11434/v1', model: 'qwen2.5', apiKey: '' });
+});
+
+test('resolveProvider falls back to Gemini for unknown providers', () => {
+  expect(resolveProvider({ provider: 'nope', configs: {} }).provider.id).toBe('gemini');
+  expect(describeModel({ provider: 'gemini', configs: {} })).toBe('gemini/gemini-2.0-flash');
+});
+
+test('the Gemini provider posts to generateContent with the configured model and key', async () => {
+  global.fetch = jest.fn().mockResolvedValue(jsonResponse({
+    candidates: [{ content: { parts: [{ text: 'A dragon.' }] } }],
+  }));
+  const settings = { provider: 'gemini', configs: { gemini: { model: 'gemini-1.5-pro', apiKey: 'k' } } };
+  await expect(generateText({ prompt: 'meta', inputs: {} }, settings)).resolves.toBe('A dragon.');
+  const [url, init] = global.fetch.mock.calls[0];
+  expect(url).toBe('https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-pro:generateContent?key=k');
+  expect(JSON.parse(init.body)).toEqual({ contents: [{ role: 'user', parts: [{ text: 'meta' }] }] });
+});
+
+test('the OpenAI-compatible provider posts chat completions with a bearer key', async () => {
+  global.fetch = jest.fn().mockResolvedValue(jsonResponse({
+    choices: [{ message: { content: 'A robot.' } }],
+  }));
+  const settings = { provider: 'openai', configs: { openai: { baseUrl: 'http://127.0.0.1:8080/v1/', apiKey: 'sk' } } };
+  await expect(generateText({ prompt: 'meta', inputs: {} }, settings)).resolves.toBe('A robot.');
+  const [url, init] = global.fetch.mock.calls[0];
+  expect(url).toBe('http://127.0.0.1:8080/v1/chat/completions');
+  expect(init.headers.Authorization).toBe('Bearer sk');
+  expect(JSON.parse(init.body)).toEqual({ model: 'llama3.1', messages: [{ role: 'user', content: 'meta' }] });
+});
+
+test('providers surface API error messages', async () => {
+  global.fetch = jest.fn().mockResolvedValue(jsonResponse(
+    { error: { message: 'model not found' } },
+    { ok: false, status: 404, statusText: 'Not Found' }
+  ));
+  await expect(generateText({ prompt: 'meta', inputs: {} }, { provider: 'openai', configs: {} }))
+    .rejects.toThrow('API error: 404 Not Found - model not found');
+});
+
+test('providers replay the conversation history before the new turn', async () => {
+  const history = [{ role: 'user', text: 'meta' }, { role: 'model', text: 'v1' }];
+  global.fetch = jest.fn().mockResolvedValue(jsonResponse({
+    candidates: [{ content: { parts: [{ text: 'v2' }] } }],
+    choices: [{ message: { content: 'v2' } }],
+  }));
+  await generateText({ prompt: 'moodier', history, inputs: {} }, { provider: 'gemini', configs: {} });
+  await generateText({ prompt: 'moodier', history, inputs: {} }, { provider: 'openai', configs: {} });
+  const [gemini, openai] = global.fetch.mock.calls.map(([, init]) => JSON.parse(init.body));
+  expect(gemini.contents.map((turn) => [turn.role, turn.parts[0].text]))
+    .toEqual([['user', 'meta'], ['model', 'v1'], ['user', 'moodier']]);
+  expect(openai.messages).toEqual([
+    { role: 'user', content: 'meta' },
+    { role: 'assistant', content: 'v1' },
+    { role: 'user', content: 'moodier' },
+  ]);
+});
+
+test('providers send reference images as inline image parts of the new turn', async () => {
+  const images = [{ mimeType: 'image/jpeg', data: 'AAAA' }, { mimeType: 'image/png', data: 'BBBB' }];
+  global.fetch = jest.fn().mockResolvedValue(jsonResponse({
+    candidates: [{ content: { parts: [{ text: 'A frame.' }] } }],
+    choices: [{ message: { content: 'A frame.' } }],
+  }));
+  await generateText({ prompt: 'meta', images, inputs: {} }, { provider: 'gemini', configs: {} });
+  await generateText({ prompt: 'meta', images, inputs: {} }, { provider: 'openai', configs: {} });
+  const [gemini, openai] = global.fetch.mock.calls.map(([, init]) => JSON.parse(init.body));
+  expect(gemini.contents).toEqual([{
+    role: 'user',
+    parts: [{ text: 'meta' }, { inlineData: { mimeType: 'image/jpeg', data: 'AAAA' } }, { inlineData: { mimeType: 'image/png', data: 'BBBB' } }],
+  }]);
+  expect(openai.messages).toEqual([{
+    role: 'user',
+    content: [
+      { type: 'text', text: 'meta' },
+      { type: 'image_url', image_url: { url: 'data:image/jpeg;base64,AAAA' } },
+      { type: 'image_url', image_url: { url: 'data:image/png;base64,BBBB' } },
+    ],
+  }]);
+});
+
+test('the Gemini provider reports blocked prompts and blocked answers as safety errors', async () => {
+  global.fetch = jest.fn()
+    .mockResolvedValueOnce(jsonResponse({ promptFeedback: { blockReason: 'SAFETY' } }))
+    .mockResolvedValueOnce(jsonResponse({ candidates: [{ finishReason: 'PROHIBITED_CONTENT' }] }));
+  const settings = { provider: 'gemini', configs: {} };
+  await expect(generateText({ prompt: 'meta', inputs: {} }, settings)).rejects.toMatchObject({ kind: 'safety', params: { reason: 'SAFETY' } });
+  await expect(generateText({ prompt: 'meta', inputs: {} }, settings)).rejects.toMatchObject({ kind: 'safety', params: { reason: 'PROHIBITED_CONTENT' } });
+});
+
+test('the OpenAI-compatible provider reports filtered and empty answers', async () => {
+  global.fetch = jest.fn()
+    .mockResolvedValueOnce(jsonResponse({ choices: [{ finish_reason: 'content_filter', message: { content: null } }] }))
+    .mockResolvedValueOnce(jsonResponse({ choices: [] }));
+  const settings = { provider: 'openai', configs: {} };
+  await expect(generateText({ prompt: 'meta', inputs: {} }, settings)).rejects.toMatchObject({ kind: 'safety' });
+  await expect(generateText({ prompt: 'meta', inputs: {} }, settings)).rejects.toMatchObject({ kind: 'empty' });
+});
+
+test('generateText passes the timeout, retry count and signal from the settings', async () => {
+  global.fetch = jest.fn().mockResolvedValue(jsonResponse({}, { ok: false, status: 503, statusText: 'Unavailable' }));
+  const controller = new AbortController();
+  const settings = { provider: 'gemini', configs: {}, timeoutSeconds: 5, maxRetries: 0 };
+  await expect(generateText({ prompt: 'meta', inputs: {} }, settings, { signal: controller.signal }))
+    .rejects.toMatchObject({ kind: 'server', status: 503 });
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+});
+
+// Server-sent events response carrying one Gemini chunk per event
+const sseResponse = (events) => {
+  const chunks = events.map((event) => new TextEncoder().encode(`data: ${JSON.stringify(event)}\r\n\r\n`));
+  return {
+    ok: true,
+    status: 200,
+    body: {
+      getReader: () => ({
+        read: async () => (chunks.length ? { done: false, value: chunks.shift() } : { done: true }),
+        cancel: async () => {},
+      }),
+    },
+  };
+};
+
+const textChunk = (text, finishReason) => ({ candidates: [{ content: { parts: [{ text }] }, finishReason }] });
+
+test('the Gemini provider streams the answer and reports the text so far', async () => {
+  global.fetch = jest.fn().mockResolvedValue(sseResponse([textChunk('A golden '), textChunk('dragon.', 'STOP')]));
+  const onProgress = jest.fn();
+  const settings = { provider: 'gemini', configs: { gemini: { apiKey: 'k' } } };
+  await expect(generateText({ prompt: 'meta', inputs: {} }, settings, { onProgress })).resolves.toBe('A golden dragon.');
+  expect(onProgress.mock.calls).toEqual([['A golden '], ['A golden dragon.']]);
+  expect(global.fetch.mock.calls[0][0])
+    .toBe('https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:streamGenerateContent?alt=sse&key=k');
+});
+
+test('the Gemini provider falls back to generateContent when streaming is unavailable', async () => {
+  global.fetch = jest.fn()
+    .mockResolvedValueOnce(jsonResponse({ error: { message: 'no such method' } }, { ok: false, status: 404, statusText: 'Not Found' }))
+    .mockResolvedValueOnce(jsonResponse({ candidates: [{ content: { parts: [{ text: 'A dragon.' }] } }] }));
+  const onProgress = jest.fn();
+  await expect(generateText({ prompt: 'meta', inputs: {} }, { provider: 'gemini', configs: {} }, { onProgress }))
+    .resolves.toBe('A dragon.');
+  expect(global.fetch.mock.calls[1][0]).toMatch(/:generateContent\?key=$/);
+  expect(onProgress).not.toHaveBeenCalled();
+});
+
+test('the Gemini provider surfaces errors and safety blocks that arrive mid-stream', async () => {
+  const onProgress = jest.fn();
+  const settings = { provider: 'gemini', configs: {} };
+  global.fetch = jest.fn().mockResolvedValueOnce(sseResponse([
+    textChunk('A golden '),
+    { error: { code: 503, status: 'UNAVAILABLE', message: 'The model is overloaded.' } },
+  ]));
+  await expect(generateText({ prompt: 'meta', inputs: {} }, settings, { onProgress }))
+    .rejects.toMatchObject({ kind: 'server', params: { detail: 'The model is overloaded.' } });
+  expect(global.fetch).toHaveBeenCalledTimes(1); // Not retried once text has arrived
+
+  global.fetch = jest.fn().mockResolvedValueOnce(sseResponse([textChunk('A golden '), textChunk('', 'SAFETY')]));
+  await expect(generateText({ prompt: 'meta', inputs: {} }, settings, { onProgress }))
+    .rejects.toMatchObject({ kind: 'safety', params: { reason: 'SAFETY' } });
+});
+
+test('switching streaming off in the settings uses generateContent directly', async () => {
+  global.fetch = jest.fn().mockResolvedValue(jsonResponse({ candidates: [{ content: { parts: [{ text: 'A dragon.' }] } }] }));
+  const onProgress = jest.fn();
+  await generateText({ prompt: 'meta', inputs: {} }, { provider: 'gemini', configs: {}, streaming: false }, { onProgress });
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+  expect(global.fetch.mock.calls[0][0]).toMatch(/:generateContent/);
+  expect(onProgress).not.toHaveBeenCalled();
+});
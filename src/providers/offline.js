@@ -0,0 +1,139 @@
+// Deterministic offline provider. Composes the final prompt straight from the form
+// inputs with a fixed template, so it needs no network and always returns the same
+// text for the same inputs. Used for demos, local development and tests.
+
+import { describeCharacter, describeLocation } from '../bible';
+import { describeDialogueLine, spokenLines } from '../dialogue';
+import { DEFAULT_DURATION, FORMAT_ASPECT_RATIOS } from '../structuredPrompt';
+
+// Lowercases the first character so a field reads naturally mid-sentence
+const lowerFirst = (text) => text.charAt(0).toLowerCase() + text.slice(1);
+
+// Trims trailing punctuation so fields can be joined into one sentence
+const clean = (text = '') => text.trim().replace(/[.,;:\s]+$/, '');
+
+/**
+ * Joins the chosen cinematography selectors into one phrase, or '' when none are set.
+ * @param {object} inputs - Form values.
+ * @returns {string} e.g. "close-up, 35mm lens, dolly and orbit moves, 120 fps slow motion, Kodak Portra 400".
+ */
+const describeCinematography = ({ shotSize, lens, cameraMoves = [], frameRate, colorGrade }) => [
+    shotSize && lowerFirst(shotSize),
+    lens && `${lens} lens`,
+    cameraMoves.length > 0 && `${cameraMoves.map(lowerFirst).join(' and ')} ${cameraMoves.length > 1 ? 'moves' : 'move'}`,
+    frameRate,
+    colorGrade,
+].filter(Boolean).join(', ');
+
+/**
+ * Joins the ambience, sound effects and music fields, or '' when none are set.
+ * @param {object} inputs - Form values.
+ * @returns {string} e.g. "ambient distant thunder, sound effects dripping water, music tense strings".
+ */
+const describeSoundtrack = ({ ambientSound, soundEffects, musicMood }) => [
+    clean(ambientSound) && `ambient ${lowerFirst(clean(ambientSound))}`,
+    clean(soundEffects) && `sound effects ${lowerFirst(clean(soundEffects))}`,
+    clean(musicMood) && `music ${lowerFirst(clean(musicMood))}`,
+].filter(Boolean).join(', ');
+
+// Attributed speaker lines, space-separated
+const describeSpeakers = (inputs) => spokenLines(inputs.dialogueLines).map(describeDialogueLine).join(' ');
+
+// Canonical descriptions of the referenced characters and locations, '; '-separated
+const describeCast = ({ characters = [] }) => characters.map(describeCharacter).join('; ');
+const describeSets = ({ locations = [] }) => locations.map(describeLocation).join('; ');
+
+// Clip length from the form, falling back to the Veo default
+const clipDuration = (inputs) => Number(inputs.duration) || DEFAULT_DURATION;
+
+/**
+ * Renders the prompt for a set of inputs, following the same shape as the
+ * example output the meta-prompt asks the online models for.
+ * @param {object} inputs - Form values.
+ * @returns {string} The composed prompt.
+ */
+export const renderOfflinePrompt = (inputs) => {
+    const subject = clean(inputs.subjectFocus) || 'A central, engaging figure';
+    const scene = clean(inputs.sceneDescription);
+    const camera = clean(inputs.cameraMovements);
+    const style = clean(inputs.visualStyle);
+    const keywords = clean(inputs.additionalKeywords);
+    const dialogue = clean(inputs.textToSpeech);
+    const cinematography = describeCinematography(inputs);
+    const speakers = describeSpeakers(inputs);
+    const soundtrack = describeSoundtrack(inputs);
+    const cast = describeCast(inputs);
+    const sets = describeSets(inputs);
+
+    let sentence = subject;
+    if (scene) sentence += `, ${lowerFirst(scene)}`;
+    if (camera) sentence += `, seen from ${lowerFirst(camera)}`;
+    if (style) sentence += `, in a ${lowerFirst(style)} style`;
+
+    const parts = [
+        `${sentence}.`,
+        `Time of Day: ${inputs.timeOfDay}, Genre: ${inputs.genre}, Lighting: ${inputs.lightingConditions}.`,
+    ];
+    if (cast) parts.push(`Characters: ${cast}.`);
+    if (sets) parts.push(`Locations: ${sets}.`);
+    if (cinematography) parts.push(`Shot: ${cinematography}.`);
+    if (keywords) parts.push(`${keywords}.`);
+    if (dialogue) parts.push(`Text-to-speech: '${dialogue.replace(/^['"]|['"]$/g, '')}'`);
+    if (speakers) parts.push(`Dialogue: ${speakers}`);
+    if (soundtrack) parts.push(`Audio: ${soundtrack}.`);
+    parts.push(`Video Format: ${inputs.videoFormat}.`);
+    return parts.join(' ');
+};
+
+/**
+ * Renders the structured (JSON mode) fields for a set of inputs.
+ * @param {object} inputs - Form values.
+ * @returns {object} An object matching the structured prompt schema.
+ */
+export const renderOfflineStructured = (inputs) => ({
+    subject: [clean(inputs.subjectFocus), describeCast(inputs)].filter(Boolean).join('; ') || 'A central, engaging figure',
+    action: 'moving naturally through the scene',
+    setting: [clean(inputs.sceneDescription) || 'A captivating and dynamic scene', describeSets(inputs), `at ${inputs.timeOfDay.toLowerCase()}`].filter(Boolean).join(', '),
+    camera: [clean(inputs.cameraMovements), describeCinematography(inputs)].filter(Boolean).join(', ') || 'Smooth cinematic tracking shot',
+    lighting: `${inputs.lightingConditions} lighting`,
+    style: [clean(inputs.visualStyle), inputs.genre].filter(Boolean).join(', '),
+    dialogue: [clean(inputs.textToSpeech).replace(/^['"]|['"]$/g, ''), describeSpeakers(inputs)].filter(Boolean).join(' '),
+    ambientSound: describeSoundtrack(inputs) || clean(inputs.additionalKeywords),
+    negativePrompt: '',
+    aspectRatio: FORMAT_ASPECT_RATIOS[inputs.videoFormat] || FORMAT_ASPECT_RATIOS.landscape,
+    duration: clipDuration(inputs),
+});
+
+/**
+ * Applies a refinement instruction to the previous prompt by appending it as a revision note.
+ * @param {string} previous - The prompt being refined.
+ * @param {string} instruction - The user's follow-up instruction.
+ * @returns {string} The revised prompt.
+ */
+export const renderOfflineRevision = (previous, instruction) =>
+    `${previous.trim()} Revision: ${clean(instruction)}.`;
+
+export const offlineProvider = {
+    id: 'offline',
+    defaults: {
+        baseUrl: '',
+        model: 'offline-template',
+        apiKey: '',
+    },
+    offline: true, // No base URL or API key to configure
+
+    /**
+     * Resolves with the template prompt for the request inputs, or its JSON fields
+     * when the request asks for a response schema. Refinement turns (a history plus
+     * the raw instruction) revise the last model turn instead.
+     * @param {{ inputs: object, history?: Array<object>, instruction?: string, responseSchema?: object }} request
+     * @returns {Promise<string>} The composed prompt.
+     */
+    async generate({ inputs, history = [], instruction, responseSchema }) {
+        const previous = history.filter((turn) => turn.role === 'model').pop();
+        if (previous && instruction) {
+            return renderOfflineRevision(previous.text, instruction);
+        }
+        return responseSchema ? JSON.stringify(renderOfflineStructured(inputs)) : renderOfflinePrompt(inputs);
+    },
+};
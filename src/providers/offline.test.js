@@ -0,0 +1,82 @@
+import { offlineProvider, renderOfflinePrompt, renderOfflineStructured } from './offline';
+import { DEFAULT_FORM } from '../formFields';
+import { createDialogueLine } from '../dialogue';
+import { createBibleEntry } from '../bible';
+
+test('renderOfflinePrompt composes a single deterministic prompt', () => {
+  const inputs = {
+    ...DEFAULT_FORM,
+    subjectFocus: 'A lonely detective.',
+    sceneDescription: 'Walking down a rain-soaked alley',
+    cameraMovements: 'A slow tracking shot',
+    visualStyle: 'Neo-noir',
+    additionalKeywords: 'volumetric fog, neon reflections',
+    textToSpeech: '"I know you are here."',
+    timeOfDay: 'Night',
+    lightingConditions: 'Dramatic',
+  };
+  const expected = "A lonely detective, walking down a rain-soaked alley, seen from a slow tracking shot, in a neo-noir style. "
+    + 'Time of Day: Night, Genre: Sci-fi, Lighting: Dramatic. volumetric fog, neon reflections. '
+    + "Text-to-speech: 'I know you are here.' Video Format: landscape.";
+  expect(renderOfflinePrompt(inputs)).toBe(expected);
+  expect(renderOfflinePrompt(inputs)).toBe(renderOfflinePrompt({ ...inputs }));
+});
+
+test('renderOfflinePrompt falls back to a generic subject for an empty form', () => {
+  expect(renderOfflinePrompt(DEFAULT_FORM)).toBe(
+    'A central, engaging figure. Time of Day: Day, Genre: Sci-fi, Lighting: Soft. Video Format: landscape.'
+  );
+});
+
+test('offlineProvider never touches the network', async () => {
+  global.fetch = jest.fn();
+  await expect(offlineProvider.generate({ prompt: 'ignored', inputs: DEFAULT_FORM })).resolves.toMatch(/Video Format/);
+  expect(global.fetch).not.toHaveBeenCalled();
+  delete global.fetch;
+});
+
+test('renderOfflinePrompt adds the chosen cinematography', () => {
+  const inputs = {
+    ...DEFAULT_FORM,
+    shotSize: 'Close-up',
+    lens: '35mm',
+    cameraMoves: ['Dolly', 'Orbit'],
+    frameRate: '120 fps slow motion',
+    colorGrade: 'Kodak Portra 400',
+  };
+  expect(renderOfflinePrompt(inputs)).toContain(
+    'Shot: close-up, 35mm lens, dolly and orbit moves, 120 fps slow motion, Kodak Portra 400.'
+  );
+});
+
+test('renderOfflineStructured uses the form duration and aspect ratio', () => {
+  expect(renderOfflineStructured({ ...DEFAULT_FORM, duration: '4', videoFormat: 'ultrawide', cameraMoves: ['Drone'] })).toMatchObject({ duration: 4, aspectRatio: '21:9', camera: 'drone move' });
+});
+
+test('renderOfflinePrompt attributes speaker lines and describes the soundtrack', () => {
+  const inputs = {
+    ...DEFAULT_FORM,
+    dialogueLines: [
+      createDialogueLine({ character: 'Mara', line: 'Did you hear that?', tone: 'whispering' }),
+      createDialogueLine({ character: 'Joe', line: '' }),
+      createDialogueLine({ character: 'Joe', line: 'Just the wind.', accent: 'Texan' }),
+    ],
+    ambientSound: 'Distant thunder',
+    musicMood: 'Tense low strings',
+  };
+  expect(renderOfflinePrompt(inputs)).toContain(
+    'Dialogue: Mara (whispering): "Did you hear that?" Joe (Texan accent): "Just the wind." '
+    + 'Audio: ambient distant thunder, music tense low strings.'
+  );
+});
+
+test('renderOfflinePrompt spells out referenced characters and locations', () => {
+  const inputs = {
+    ...DEFAULT_FORM,
+    characters: [createBibleEntry('characters', { name: 'Pip', appearance: 'a small round robot', wardrobe: 'a yellow scarf' })],
+    locations: [createBibleEntry('locations', { name: 'Workshop', description: 'a cluttered attic lab' })],
+  };
+  expect(renderOfflinePrompt(inputs)).toContain(
+    'Characters: Pip: a small round robot; wearing a yellow scarf. Locations: Workshop: a cluttered attic lab.'
+  );
+});
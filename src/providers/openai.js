@@ -0,0 +1,62 @@
+// OpenAI-compatible chat completions provider.
+// Works with local servers that expose /v1/chat/completions (Ollama, llama.cpp, LM Studio...).
+
+import { ApiError, postJson } from './http';
+
+export const openaiProvider = {
+    id: 'openai',
+    defaults: {
+        baseUrl: 'http://localhost:11434/v1',
+        model: 'llama3.1',
+        apiKey: '',
+    },
+
+    /**
+     * Sends the conversation so far plus a new user message and returns the first choice's content.
+     * A responseSchema switches on JSON mode; the schema itself is described in the prompt.
+     * Reference images are sent as data URL image_url parts, which vision models accept.
+     * @param {{ prompt: string, history?: Array<object>, images?: Array<object>, temperature?: number, responseSchema?: object }} request -
+     *   The new user message, its reference images and any earlier turns.
+     * @param {{ baseUrl: string, model: string, apiKey: string }} config - Provider settings.
+     * @param {object} [options] - Request options (signal, timeout, retries), see postJson.
+     * @returns {Promise<string>} The generated text.
+     */
+    async generate({ prompt, history = [], images = [], temperature, responseSchema }, { baseUrl, model, apiKey }, options) {
+        const headers = {};
+        if (apiKey) {
+            headers.Authorization = `Bearer ${apiKey}`; // Local servers usually need no key
+        }
+
+        const payload = {
+            model,
+            messages: [
+                ...history.map(({ role, text }) => ({ role: role === 'model' ? 'assistant' : 'user', content: text })),
+                {
+                    role: 'user',
+                    // Plain text unless there are images, so text-only servers keep working
+                    content: images.length === 0 ? prompt : [
+                        { type: 'text', text: prompt },
+                        ...images.map(({ mimeType, data }) => ({ type: 'image_url', image_url: { url: `data:${mimeType};base64,${data}` } })),
+                    ],
+                },
+            ],
+        };
+        if (temperature !== undefined) {
+            payload.temperature = temperature;
+        }
+        if (responseSchema) {
+            payload.response_format = { type: 'json_object' };
+        }
+
+        const result = await postJson(`${baseUrl.replace(/\/+$/, '')}/chat/completions`, { headers, body: payload }, options);
+        const choice = result?.choices?.[0];
+        const text = choice?.message?.content;
+        if (!text) {
+            if (choice?.finish_reason === 'content_filter') {
+                throw new ApiError('safety', { reason: 'content_filter' });
+            }
+            throw new ApiError('empty');
+        }
+        return text;
+    },
+};
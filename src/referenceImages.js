@@ -0,0 +1,153 @@
+// Reference images: concept frames or stills from earlier clips, sent as inline image
+// parts alongside the meta-prompt to multimodal models. Images are downscaled in the
+// browser before upload; a small thumbnail stays with the result and in history.
+
+import { FIELD_OPTIONS } from './formFields';
+import { LocalizedError } from './i18n';
+
+export const MAX_REFERENCE_IMAGES = 4;
+export const ACCEPTED_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/gif'];
+
+const UPLOAD_DIMENSION = 1024; // Longest side sent to the model, in pixels
+const UPLOAD_QUALITY = 0.85;
+const THUMBNAIL_DIMENSION = 64; // Kept small: thumbnails are stored with every history entry
+const THUMBNAIL_QUALITY = 0.6;
+
+// Form fields the model can pre-fill from the images, with the guidance it gets for each.
+// Labels live in the i18n catalogs under fields.
+export const IMAGE_FORM_FIELDS = [
+    { name: 'sceneDescription', description: 'The setting and what is happening, in one or two sentences' },
+    { name: 'subjectFocus', description: 'The main subject, with the visual details that identify it' },
+    { name: 'visualStyle', description: 'The visual style, medium and color palette' },
+    { name: 'lightingConditions', description: `The lighting, as exactly one of: ${FIELD_OPTIONS.lightingConditions.join(', ')}` },
+];
+
+/**
+ * Gemini responseSchema (OpenAPI subset) for pre-filling the form from images.
+ */
+export const IMAGE_FIELDS_SCHEMA = {
+    type: 'OBJECT',
+    properties: Object.fromEntries(IMAGE_FORM_FIELDS.map(({ name, description }) => [
+        name,
+        FIELD_OPTIONS[name] ? { type: 'STRING', enum: FIELD_OPTIONS[name], description } : { type: 'STRING', description },
+    ])),
+    required: IMAGE_FORM_FIELDS.map((field) => field.name),
+    propertyOrdering: IMAGE_FORM_FIELDS.map((field) => field.name),
+};
+
+let imageCounter = 0;
+
+/**
+ * Scales a size down (never up) so its longest side is at most maxDimension, keeping the aspect ratio.
+ * @returns {{ width: number, height: number }} Whole pixels, at least 1.
+ */
+export const fitWithin = (width, height, maxDimension) => {
+    const scale = Math.min(1, maxDimension / Math.max(width, height));
+    return { width: Math.max(1, Math.round(width * scale)), height: Math.max(1, Math.round(height * scale)) };
+};
+
+/**
+ * Splits a base64 data URL into its MIME type and data.
+ * @throws {Error} When the text is not a base64 data URL.
+ */
+export const parseDataUrl = (dataUrl) => {
+    const match = /^data:([^;,]+);base64,(.*)$/.exec(dataUrl);
+    if (!match) throw new Error('Not a base64 data URL');
+    return { mimeType: match[1], data: match[2] };
+};
+
+/**
+ * Splits dropped, pasted or picked files into supported images and the rest.
+ * @param {FileList|Array<File>} files - Files from a DataTransfer or file input.
+ * @returns {{ images: Array<File>, rejected: Array<File> }}
+ */
+export const sortImageFiles = (files) => {
+    const all = [...(files || [])];
+    return {
+        images: all.filter((file) => ACCEPTED_IMAGE_TYPES.includes(file.type)),
+        rejected: all.filter((file) => !ACCEPTED_IMAGE_TYPES.includes(file.type)),
+    };
+};
+
+// Decodes an image file into an <img> element
+const loadImage = (file) => new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const image = new Image();
+    image.onload = () => {
+        URL.revokeObjectURL(url);
+        resolve(image);
+    };
+    image.onerror = () => {
+        URL.revokeObjectURL(url);
+        reject(new LocalizedError('images.errors.unreadable', { name: file.name }));
+    };
+    image.src = url;
+});
+
+// Redraws an image with its longest side at most maxDimension, as a JPEG data URL.
+// Transparent areas become white rather than JPEG's default black.
+const renderScaled = (image, maxDimension, quality) => {
+    const { width, height } = fitWithin(image.naturalWidth, image.naturalHeight, maxDimension);
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const context = canvas.getContext('2d');
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, width, height);
+    context.drawImage(image, 0, 0, width, height);
+    return canvas.toDataURL('image/jpeg', quality);
+};
+
+/**
+ * Downscales an image file for upload and renders its thumbnail.
+ * @param {File} file - A supported image (see sortImageFiles).
+ * @returns {Promise<{ id: string, name: string, mimeType: string, data: string, thumbnail: string }>}
+ *   data is the base64 upload without the data: prefix; thumbnail is a data URL.
+ * @throws {LocalizedError} When the browser cannot decode the file.
+ */
+export const prepareReferenceImage = async (file) => {
+    const image = await loadImage(file);
+    imageCounter += 1;
+    return {
+        id: `image-${Date.now()}-${imageCounter}`,
+        name: file.name,
+        ...parseDataUrl(renderScaled(image, UPLOAD_DIMENSION, UPLOAD_QUALITY)),
+        thumbnail: renderScaled(image, THUMBNAIL_DIMENSION, THUMBNAIL_QUALITY),
+    };
+};
+
+/**
+ * The inline image parts of a request: only what the providers send.
+ */
+export const toImageParts = (images) => images.map(({ mimeType, data }) => ({ mimeType, data }));
+
+/**
+ * Parses the model's answer to the image analysis request into form values.
+ * Tolerates Markdown code fences. Empty fields are left out, and so is a lighting value
+ * that is not one of the options (matched ignoring case).
+ * @param {string} text - Raw model output.
+ * @returns {object} The fields to merge into the form.
+ * @throws {LocalizedError} When the answer is not a JSON object.
+ */
+export const parseImageFields = (text) => {
+    const json = text.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+    let raw;
+    try {
+        raw = JSON.parse(json);
+    } catch (err) {
+        throw new LocalizedError('images.errors.invalidJson', { message: err.message });
+    }
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        throw new LocalizedError('images.errors.invalidJson', { message: typeof raw });
+    }
+
+    const fields = {};
+    IMAGE_FORM_FIELDS.forEach(({ name }) => {
+        const value = typeof raw[name] === 'string' ? raw[name].trim() : '';
+        if (!value) return;
+        const options = FIELD_OPTIONS[name];
+        const match = options ? options.find((option) => option.toLowerCase() === value.toLowerCase()) : value;
+        if (match) fields[name] = match;
+    });
+    return fields;
+};
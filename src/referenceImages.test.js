@@ -0,0 +1,43 @@
+import { FIELD_OPTIONS } from './formFields';
+import { IMAGE_FIELDS_SCHEMA, fitWithin, parseDataUrl, parseImageFields, sortImageFiles, toImageParts } from './referenceImages';
+
+test('fitWithin scales the longest side down, never up, keeping the aspect ratio', () => {
+  expect(fitWithin(4000, 3000, 1024)).toEqual({ width: 1024, height: 768 });
+  expect(fitWithin(1080, 1920, 1024)).toEqual({ width: 576, height: 1024 });
+  expect(fitWithin(640, 480, 1024)).toEqual({ width: 640, height: 480 });
+  expect(fitWithin(5000, 2, 64)).toEqual({ width: 64, height: 1 });
+});
+
+test('parseDataUrl splits the MIME type from the base64 data', () => {
+  expect(parseDataUrl('data:image/jpeg;base64,/9j/4AAQ')).toEqual({ mimeType: 'image/jpeg', data: '/9j/4AAQ' });
+  expect(() => parseDataUrl('data:,hello')).toThrow();
+});
+
+test('sortImageFiles keeps supported images and reports the rest', () => {
+  const png = new File(['x'], 'frame.png', { type: 'image/png' });
+  const pdf = new File(['x'], 'script.pdf', { type: 'application/pdf' });
+  const svg = new File(['x'], 'logo.svg', { type: 'image/svg+xml' });
+  expect(sortImageFiles([png, pdf, svg])).toEqual({ images: [png], rejected: [pdf, svg] });
+  expect(sortImageFiles(null)).toEqual({ images: [], rejected: [] });
+});
+
+test('toImageParts sends only the MIME type and data', () => {
+  expect(toImageParts([{ id: 'image-1', name: 'a.png', mimeType: 'image/jpeg', data: 'AAAA', thumbnail: 'data:...' }]))
+    .toEqual([{ mimeType: 'image/jpeg', data: 'AAAA' }]);
+});
+
+test('the response schema limits lighting to the form options', () => {
+  expect(IMAGE_FIELDS_SCHEMA.properties.lightingConditions.enum).toEqual(FIELD_OPTIONS.lightingConditions);
+  expect(IMAGE_FIELDS_SCHEMA.required).toEqual(['sceneDescription', 'subjectFocus', 'visualStyle', 'lightingConditions']);
+});
+
+test('parseImageFields keeps filled fields and valid lighting, tolerating code fences', () => {
+  const text = '```json\n{"sceneDescription": " A foggy pier at dawn ", "subjectFocus": "", "visualStyle": "Muted film look", "lightingConditions": "soft", "genre": "Horror"}\n```';
+  expect(parseImageFields(text)).toEqual({ sceneDescription: 'A foggy pier at dawn', visualStyle: 'Muted film look', lightingConditions: 'Soft' });
+  expect(parseImageFields('{"lightingConditions": "Moody"}')).toEqual({});
+});
+
+test('parseImageFields rejects answers that are not a JSON object', () => {
+  expect(() => parseImageFields('A foggy pier')).toThrow(expect.objectContaining({ key: 'images.errors.invalidJson' }));
+  expect(() => parseImageFields('["a"]')).toThrow(expect.objectContaining({ key: 'images.errors.invalidJson' }));
+});
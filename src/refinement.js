@@ -0,0 +1,54 @@
+// Version tree for the refinement chat. Each version keeps the full conversation
+// that produced it, so reverting to an earlier version and refining again simply
+// continues from that version's turns.
+
+/**
+ * Starts a new refinement thread from a freshly generated (or restored) prompt.
+ * @param {{ request: string, prompt: string, structured?: object, reply?: string, inputs: object,
+ *   earlierTurns?: Array<object> }} exchange - The message that produced the prompt, exactly as sent;
+ *   the prompt (version 1) and its structured fields in JSON mode; the model's answer as received,
+ *   when it differs from the prompt; the form values behind it; and, for a restored revision, the
+ *   conversation that led up to that request.
+ *   Structured results are refined as free text, so their model turn is the composed prompt rather than the JSON.
+ * @returns {Array<object>} The version list.
+ */
+export const startRefinement = ({ request, prompt, structured = null, reply = prompt, inputs, earlierTurns = [] }) => [{
+    id: 1,
+    parentId: null,
+    instruction: '',
+    prompt,
+    structured,
+    inputs,
+    turns: [
+        ...earlierTurns,
+        { role: 'user', text: request },
+        { role: 'model', text: structured ? prompt : reply },
+    ],
+}];
+
+/**
+ * Appends a revision produced by refining `parent` with `instruction`.
+ * Later versions are never discarded, so every revision stays revertible. A revision
+ * keeps the form values of the version it refines.
+ * @param {Array<object>} versions - The current version list.
+ * @param {object} parent - The version that was refined.
+ * @param {{ instruction: string, request: string, prompt: string }} revision - The user's instruction,
+ *   the message actually sent to the model, and the revised prompt.
+ * @returns {Array<object>} The version list with the new revision at the end.
+ */
+export const addRevision = (versions, parent, { instruction, request, prompt }) => [
+    ...versions,
+    {
+        id: versions.length + 1,
+        parentId: parent.id,
+        instruction,
+        prompt,
+        structured: null, // Revisions are free text
+        inputs: parent.inputs,
+        turns: [
+            ...parent.turns,
+            { role: 'user', text: request },
+            { role: 'model', text: prompt },
+        ],
+    },
+];
@@ -0,0 +1,62 @@
+// Provider settings persisted in localStorage: the selected provider,
+// per provider the base URL, model name and API key overrides, and the
+// request timeout and retry count shared by the online providers.
+
+import { DEFAULT_PROVIDER } from './providers';
+
+const STORAGE_KEY = 'veo3-provider-settings';
+
+export const DEFAULT_SETTINGS = {
+    provider: DEFAULT_PROVIDER,
+    configs: {}, // { [providerId]: { baseUrl, model, apiKey } }
+    timeoutSeconds: 60, // Per attempt, for the online providers
+    maxRetries: 3,      // Extra attempts after a rate limit (429) or server error (5xx)
+    streaming: true,    // Show the prompt as it is generated, where the provider supports it
+};
+
+/**
+ * Reads the saved settings, falling back to the defaults when missing or corrupt.
+ */
+export const loadSettings = () => {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        return saved && typeof saved === 'object' ? { ...DEFAULT_SETTINGS, ...saved } : DEFAULT_SETTINGS;
+    } catch (err) {
+        console.error('Gagal memuat pengaturan:', err);
+        return DEFAULT_SETTINGS;
+    }
+};
+
+/**
+ * Persists the settings. Storage errors are logged, not thrown.
+ */
+export const saveSettings = (settings) => {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    } catch (err) {
+        console.error('Gagal menyimpan pengaturan:', err);
+    }
+};
+
+/**
+ * Updates a shared request setting (timeoutSeconds or maxRetries), clamped to a sane range.
+ * Non-numeric input keeps the previous value. Meant for a finished value (the field losing
+ * focus), since clamping each keystroke would snap partial input to the range.
+ */
+export const updateRequestSetting = (settings, key, value) => {
+    const number = Math.round(Number(value));
+    if (value === '' || Number.isNaN(number)) return settings;
+    const [min, max] = key === 'timeoutSeconds' ? [5, 600] : [0, 10];
+    return { ...settings, [key]: Math.min(max, Math.max(min, number)) };
+};
+
+/**
+ * Updates one config value of one provider.
+ */
+export const updateProviderConfig = (settings, providerId, key, value) => ({
+    ...settings,
+    configs: {
+        ...settings.configs,
+        [providerId]: { ...settings.configs[providerId], [key]: value },
+    },
+});
@@ -0,0 +1,274 @@
+// Shareable links: the form, the generation settings and storyboard shots (plus the bible
+// entries the form references and, optionally, the generated prompt) packed into a
+// compressed, versioned URL fragment such as "#share=1.<data>". Opening the link restores
+// the setup after validating every value.
+
+import { BIBLE_FIELDS, REFERENCE_FIELDS, createBibleEntry, saveBibleEntry } from './bible';
+import { DEFAULT_FORM, FORM_FIELDS, isValidFieldValue, toFormState } from './formFields';
+import { LocalizedError } from './i18n';
+import { SHOT_FIELDS, createShot } from './shots';
+
+export const SHARE_VERSION = 1;
+const SHARE_PARAM = 'share';
+
+// Inputs that live outside the form, with their defaults and what counts as a valid value.
+// variationCount matches the 1 to 6 offered by the variation select.
+export const DEFAULT_SHARE_SETTINGS = { storyboard: false, structured: false, temperature: 1, variationCount: 1 };
+const SETTING_VALIDATORS = {
+    storyboard: (value) => typeof value === 'boolean',
+    structured: (value) => typeof value === 'boolean',
+    temperature: (value) => typeof value === 'number' && value >= 0 && value <= 2,
+    variationCount: (value) => Number.isInteger(value) && value >= 1 && value <= 6,
+};
+
+// LZW dictionary codes are written with 9 to 16 bits
+const MIN_CODE_BITS = 9;
+const MAX_CODE_BITS = 16;
+const MAX_CODES = 1 << MAX_CODE_BITS;
+
+// Bits needed for the largest code the other side may read next
+const codeBits = (largestCode) => Math.min(MAX_CODE_BITS, Math.max(MIN_CODE_BITS, largestCode.toString(2).length));
+
+// UTF-8 as a string of byte-sized characters, and back
+const toBytes = (text) => encodeURIComponent(text).replace(/%([0-9A-F]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+const fromBytes = (bytes) => decodeURIComponent([...bytes].map((char) => `%${char.charCodeAt(0).toString(16).padStart(2, '0')}`).join(''));
+
+const toBase64Url = (bytes) => btoa(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+const fromBase64Url = (text) => atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+
+/**
+ * Compresses text with LZW into URL-safe base64.
+ * @param {string} text - Any text.
+ * @returns {string} The compressed text, using only [A-Za-z0-9_-].
+ */
+export const compressText = (text) => {
+    const input = toBytes(text);
+    if (!input) return '';
+    const dictionary = new Map(Array.from({ length: 256 }, (_, code) => [String.fromCharCode(code), code]));
+    let output = '';
+    let buffer = 0;
+    let bufferBits = 0;
+    const write = (code) => {
+        buffer |= code << bufferBits;
+        bufferBits += codeBits(dictionary.size - 1);
+        while (bufferBits >= 8) {
+            output += String.fromCharCode(buffer & 0xff);
+            buffer >>>= 8;
+            bufferBits -= 8;
+        }
+    };
+
+    let word = input[0];
+    for (const char of input.slice(1)) {
+        if (dictionary.has(word + char)) {
+            word += char;
+        } else {
+            write(dictionary.get(word));
+            if (dictionary.size < MAX_CODES) dictionary.set(word + char, dictionary.size);
+            word = char;
+        }
+    }
+    write(dictionary.get(word));
+    if (bufferBits > 0) output += String.fromCharCode(buffer & 0xff);
+    return toBase64Url(output);
+};
+
+/**
+ * Reverses compressText.
+ * @throws {Error} When the data is not valid compressed text.
+ */
+export const decompressText = (data) => {
+    if (!data) return '';
+    const input = fromBase64Url(data);
+    const dictionary = Array.from({ length: 256 }, (_, code) => String.fromCharCode(code));
+    let position = 0;
+    let buffer = 0;
+    let bufferBits = 0;
+    // The encoder is always one entry ahead, since it adds an entry before the reader can
+    const read = () => {
+        const bits = codeBits(dictionary.length);
+        while (bufferBits < bits) {
+            if (position >= input.length) return null;
+            buffer |= input.charCodeAt(position) << bufferBits;
+            position += 1;
+            bufferBits += 8;
+        }
+        const code = buffer & ((1 << bits) - 1);
+        buffer >>>= bits;
+        bufferBits -= bits;
+        return code;
+    };
+
+    let previous = dictionary[read()];
+    if (previous === undefined) throw new Error('Invalid compressed data');
+    let output = previous;
+    for (let code = read(); code !== null; code = read()) {
+        let entry = dictionary[code];
+        if (entry === undefined && code === dictionary.length) {
+            entry = previous + previous[0];
+        } else if (entry === undefined) {
+            throw new Error('Invalid compressed data');
+        }
+        output += entry;
+        if (dictionary.length < MAX_CODES) dictionary.push(previous + entry[0]);
+        previous = entry;
+    }
+    return fromBytes(output);
+};
+
+// Whether the shot list is more than the single empty shot every session starts with
+const hasShots = (shots) => shots.length > 1 || shots.some((shot) => SHOT_FIELDS.some((field) => shot[field]));
+
+/**
+ * Builds the fragment (without "#") for the current setup. Only fields and settings that
+ * differ from their defaults are stored, along with the storyboard shots (when any were
+ * written) and the bible entries the form references.
+ * @param {{ form: object, bible: object, settings?: object, shots?: Array<object>, prompt?: string }} state -
+ *   What to share; settings holds the DEFAULT_SHARE_SETTINGS keys. Leave out the prompt to share only the setup.
+ * @returns {string} e.g. "share=1.<data>".
+ */
+export const encodeShareFragment = ({ form, bible, settings = DEFAULT_SHARE_SETTINGS, shots = [], prompt }) => {
+    const changed = FORM_FIELDS.filter((field) => JSON.stringify(form[field]) !== JSON.stringify(DEFAULT_FORM[field]));
+    const payload = { form: Object.fromEntries(changed.map((field) => [field, form[field]])) };
+    const changedSettings = Object.keys(DEFAULT_SHARE_SETTINGS).filter((key) => settings[key] !== DEFAULT_SHARE_SETTINGS[key]);
+    if (changedSettings.length > 0) payload.settings = Object.fromEntries(changedSettings.map((key) => [key, settings[key]]));
+    if (hasShots(shots)) payload.shots = shots.map((shot) => Object.fromEntries(SHOT_FIELDS.map((field) => [field, shot[field]])));
+    Object.entries(REFERENCE_FIELDS).forEach(([kind, field]) => {
+        const entries = bible[kind].filter((entry) => form[field].includes(entry.id));
+        if (entries.length > 0) payload[kind] = entries;
+    });
+    if (prompt) payload.prompt = prompt;
+    return `${SHARE_PARAM}=${SHARE_VERSION}.${compressText(JSON.stringify(payload))}`;
+};
+
+/**
+ * Builds the full share URL for the page at `href`, replacing any existing fragment.
+ */
+export const buildShareUrl = (href, state) => `${href.split('#')[0]}#${encodeShareFragment(state)}`;
+
+// Shared shots with new ids, or null when one is malformed
+const readShots = (shots) => {
+    if (!Array.isArray(shots) || shots.length === 0) return null;
+    const valid = shots.every((shot) => shot && typeof shot === 'object'
+        && SHOT_FIELDS.every((field) => shot[field] === undefined || typeof shot[field] === 'string'));
+    return valid ? shots.map((shot) => createShot(Object.fromEntries(SHOT_FIELDS.map((field) => [field, shot[field] || ''])))) : null;
+};
+
+// Shared bible entries with their text fields sanitized, or null when one is malformed
+const readEntries = (kind, entries) => {
+    if (!Array.isArray(entries)) return null;
+    const valid = entries.every((entry) => entry && typeof entry.id === 'string' && typeof entry.name === 'string' && entry.name.trim());
+    return valid ? entries.map((entry) => ({ ...createBibleEntry(kind, entry), id: entry.id })) : null;
+};
+
+/**
+ * Reads a share fragment.
+ * Unknown fields and out-of-range values are dropped (keeping their defaults) and listed in `rejected`.
+ * @param {string} hash - location.hash, with or without the leading "#".
+ * @returns {{ form: object, settings: object, shots: Array<object>, prompt: string, characters: Array<object>,
+ *   locations: Array<object>, rejected: string[] }|null}
+ *   null when the fragment is not a share link. shots is empty when the link has none.
+ * @throws {LocalizedError} When the link comes from a newer version or is damaged.
+ */
+export const decodeShareFragment = (hash) => {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    const value = params.get(SHARE_PARAM);
+    if (value === null) return null;
+
+    const [, version, data] = value.match(/^(\d+)\.(.*)$/) || [];
+    if (!version) throw new LocalizedError('share.errors.corrupt');
+    if (Number(version) > SHARE_VERSION) throw new LocalizedError('share.errors.unsupportedVersion', { version });
+
+    let payload;
+    try {
+        payload = JSON.parse(decompressText(data));
+    } catch (err) {
+        throw new LocalizedError('share.errors.corrupt');
+    }
+    if (!payload || typeof payload !== 'object' || !payload.form || typeof payload.form !== 'object') {
+        throw new LocalizedError('share.errors.corrupt');
+    }
+
+    const rejected = Object.keys(payload.form).filter((field) => !isValidFieldValue(field, payload.form[field]));
+    const result = {
+        form: toFormState({ ...DEFAULT_FORM, ...payload.form }),
+        settings: { ...DEFAULT_SHARE_SETTINGS },
+        shots: [],
+        prompt: '',
+        characters: [],
+        locations: [],
+        rejected,
+    };
+    if (payload.settings && typeof payload.settings === 'object' && !Array.isArray(payload.settings)) {
+        Object.entries(payload.settings).forEach(([key, value]) => {
+            if (Object.prototype.hasOwnProperty.call(SETTING_VALIDATORS, key) && SETTING_VALIDATORS[key](value)) {
+                result.settings[key] = value;
+            } else {
+                rejected.push(key);
+            }
+        });
+    } else if (payload.settings !== undefined) {
+        rejected.push('settings');
+    }
+    if (payload.shots !== undefined) {
+        const shots = readShots(payload.shots);
+        if (shots) {
+            result.shots = shots;
+        } else {
+            rejected.push('shots');
+        }
+    }
+    Object.keys(BIBLE_FIELDS).forEach((kind) => {
+        if (payload[kind] === undefined) return;
+        const entries = readEntries(kind, payload[kind]);
+        if (entries) {
+            result[kind] = entries;
+        } else {
+            rejected.push(kind);
+        }
+    });
+    if (typeof payload.prompt === 'string') {
+        result.prompt = payload.prompt;
+    } else if (payload.prompt !== undefined) {
+        rejected.push('prompt');
+    }
+    return result;
+};
+
+// Whether two entries of a kind describe the same thing
+const sameEntry = (kind, a, b) => BIBLE_FIELDS[kind].every((field) => a[field] === b[field]);
+
+/**
+ * Adds the bible entries of an opened share link to the local bible without changing any local entry.
+ * A shared entry is reused when an identical local entry exists and added as-is when its id is
+ * new. When its id belongs to a different local entry (e.g. one edited since the link was
+ * made), it is added as a copy under a new id and the form's references are moved to the copy.
+ * @param {object} bible - The local bible.
+ * @param {object} shared - Result of decodeShareFragment.
+ * @returns {{ bible: object, form: object, copied: string[] }} copied holds the names of entries added as copies.
+ */
+export const mergeSharedBible = (bible, shared) => {
+    let next = bible;
+    const form = { ...shared.form };
+    const copied = [];
+    Object.entries(REFERENCE_FIELDS).forEach(([kind, field]) => {
+        const ids = {};
+        shared[kind].forEach((entry) => {
+            const same = next[kind].find((local) => local.id === entry.id && sameEntry(kind, local, entry))
+                || next[kind].find((local) => sameEntry(kind, local, entry));
+            if (same) {
+                ids[entry.id] = same.id;
+            } else if (next[kind].some((local) => local.id === entry.id)) {
+                const copy = createBibleEntry(kind, entry);
+                ids[entry.id] = copy.id;
+                next = saveBibleEntry(next, kind, copy);
+                copied.push(entry.name);
+            } else {
+                ids[entry.id] = entry.id;
+                next = saveBibleEntry(next, kind, entry);
+            }
+        });
+        form[field] = form[field].map((id) => ids[id] || id);
+    });
+    return { bible: next, form, copied };
+};
@@ -0,0 +1,126 @@
+import { EMPTY_BIBLE, createBibleEntry, saveBibleEntry } from './bible';
+import { createDialogueLine } from './dialogue';
+import { DEFAULT_FORM } from './formFields';
+import { createShot } from './shots';
+import { DEFAULT_SHARE_SETTINGS, SHARE_VERSION, buildShareUrl, compressText, decodeShareFragment, decompressText, encodeShareFragment, mergeSharedBible } from './shareLink';
+
+const pip = createBibleEntry('characters', { name: 'Pip', appearance: 'a small round robot' });
+const bible = saveBibleEntry(saveBibleEntry(EMPTY_BIBLE, 'characters', pip), 'characters', createBibleEntry('characters', { name: 'Unused' }));
+
+// A fragment carrying a hand-written payload, as an older or tampered link would
+const fragmentFor = (payload, version = SHARE_VERSION) => `#share=${version}.${compressText(JSON.stringify(payload))}`;
+
+test('compression round-trips unicode and long repetitive text, and shrinks it', () => {
+  const samples = ['', 'a', 'Kucing berlari 🐈 di bawah hujan — “malam” ñ 日本語', 'abababababababababab', JSON.stringify(DEFAULT_FORM).repeat(40)];
+  samples.forEach((text) => expect(decompressText(compressText(text))).toBe(text));
+  const long = JSON.stringify(DEFAULT_FORM).repeat(40);
+  expect(compressText(long).length).toBeLessThan(long.length / 2);
+  expect(compressText(long)).toMatch(/^[A-Za-z0-9_-]+$/);
+});
+
+test('compression survives a full dictionary', () => {
+  let seed = 7;
+  const random = () => {
+    seed = (Math.imul(seed, 1103515245) + 12345) >>> 0;
+    return seed;
+  };
+  const text = Array.from({ length: 150000 }, () => String.fromCharCode(32 + (random() % 90))).join('');
+  expect(decompressText(compressText(text))).toBe(text);
+});
+
+test('a share link restores the form, the referenced bible entries and the prompt', () => {
+  const form = {
+    ...DEFAULT_FORM,
+    subjectFocus: 'A lonely detective',
+    timeOfDay: 'Night',
+    cameraMoves: ['Dolly', 'Drone'],
+    characterRefs: [pip.id],
+    dialogueLines: [createDialogueLine({ character: 'Pip', line: 'Beep?' })],
+  };
+  const url = buildShareUrl('https://example.com/app/?x=1#old', { form, bible, prompt: 'A lonely detective walks.' });
+  expect(url).toMatch(/^https:\/\/example\.com\/app\/\?x=1#share=1\./);
+
+  const shared = decodeShareFragment(new URL(url).hash);
+  expect(shared).toEqual({ form, settings: DEFAULT_SHARE_SETTINGS, shots: [], prompt: 'A lonely detective walks.', characters: [pip], locations: [], rejected: [] });
+});
+
+test('the prompt is optional and default fields are left out', () => {
+  const fragment = encodeShareFragment({ form: { ...DEFAULT_FORM, genre: 'Horror' }, bible });
+  const payload = JSON.parse(decompressText(fragment.split('.')[1]));
+  expect(payload).toEqual({ form: { genre: 'Horror' } });
+  expect(decodeShareFragment(fragment).prompt).toBe('');
+});
+
+test('a share link restores the storyboard shots and generation settings', () => {
+  const settings = { storyboard: true, structured: true, temperature: 0.4, variationCount: 3 };
+  const shots = [createShot({ sceneDescription: 'A harbor at dawn', cameraMovements: 'Slow pan' }), createShot({ textToSpeech: 'Hello' })];
+  const fragment = encodeShareFragment({ form: DEFAULT_FORM, bible, settings, shots });
+  const shared = decodeShareFragment(fragment);
+  expect(shared.settings).toEqual(settings);
+  expect(shared.shots).toEqual([
+    { sceneDescription: 'A harbor at dawn', cameraMovements: 'Slow pan', textToSpeech: '', id: expect.any(String) },
+    { sceneDescription: '', cameraMovements: '', textToSpeech: 'Hello', id: expect.any(String) },
+  ]);
+  expect(shared.rejected).toEqual([]);
+
+  // Defaults and the single empty shot of a fresh session are left out
+  const plain = encodeShareFragment({ form: DEFAULT_FORM, bible, settings: DEFAULT_SHARE_SETTINGS, shots: [createShot()] });
+  expect(JSON.parse(decompressText(plain.split('.')[1]))).toEqual({ form: {} });
+});
+
+test('invalid settings and shots are dropped and reported', () => {
+  const shared = decodeShareFragment(fragmentFor({
+    form: {},
+    settings: { storyboard: 'yes', structured: true, temperature: 5, variationCount: 2.5, speed: 1 },
+    shots: [{ sceneDescription: 'A harbor' }, { cameraMovements: 42 }],
+  }));
+  expect(shared.settings).toEqual({ ...DEFAULT_SHARE_SETTINGS, structured: true });
+  expect(shared.shots).toEqual([]);
+  expect(shared.rejected).toEqual(['storyboard', 'temperature', 'variationCount', 'speed', 'shots']);
+  expect(decodeShareFragment(fragmentFor({ form: {}, settings: [true], shots: [] })).rejected).toEqual(['settings', 'shots']);
+});
+
+test('unknown fields and out-of-range values are dropped and reported', () => {
+  const shared = decodeShareFragment(fragmentFor({
+    form: { genre: 'Western', duration: '30', cameraMoves: ['Dolly', 'Teleport'], sceneDescription: 'A harbor', mood: 'calm', ...JSON.parse('{"__proto__": {"polluted": true}}') },
+    characters: [{ name: 'No id' }],
+    prompt: 42,
+  }));
+  expect(shared.form).toEqual({ ...DEFAULT_FORM, sceneDescription: 'A harbor' });
+  expect(shared.rejected).toEqual(['genre', 'duration', 'cameraMoves', 'mood', '__proto__', 'characters', 'prompt']);
+  expect({}.polluted).toBeUndefined();
+});
+
+test('other fragments are ignored; damaged and newer links throw localized errors', () => {
+  expect(decodeShareFragment('')).toBeNull();
+  expect(decodeShareFragment('#section-2')).toBeNull();
+  expect(() => decodeShareFragment('#share=garbage')).toThrow(expect.objectContaining({ key: 'share.errors.corrupt' }));
+  expect(() => decodeShareFragment('#share=1.!!!')).toThrow(expect.objectContaining({ key: 'share.errors.corrupt' }));
+  expect(() => decodeShareFragment(fragmentFor(['not', 'a', 'form']))).toThrow(expect.objectContaining({ key: 'share.errors.corrupt' }));
+  expect(() => decodeShareFragment(fragmentFor({ form: {} }, 2))).toThrow(expect.objectContaining({ key: 'share.errors.unsupportedVersion', params: { version: '2' } }));
+});
+
+test('opening a link never changes local bible entries', () => {
+  const shed = createBibleEntry('locations', { name: 'Shed', description: 'a dusty tool shed' });
+  const shared = decodeShareFragment(encodeShareFragment({
+    form: { ...DEFAULT_FORM, characterRefs: [pip.id], locationRefs: [shed.id] },
+    bible: { characters: [pip], locations: [shed] },
+  }));
+  const edited = { ...pip, appearance: 'a tall square robot' };
+  const local = saveBibleEntry(EMPTY_BIBLE, 'characters', edited);
+
+  const merged = mergeSharedBible(local, shared);
+  expect(merged.bible.characters[0]).toBe(edited);
+  const copy = merged.bible.characters[1];
+  expect(copy).toEqual({ ...pip, id: copy.id });
+  expect(copy.id).not.toBe(pip.id);
+  expect(merged.bible.locations).toEqual([shed]);
+  expect(merged.form).toEqual({ ...shared.form, characterRefs: [copy.id], locationRefs: [shed.id] });
+  expect(merged.copied).toEqual(['Pip']);
+
+  // Opening the same link again reuses the copy instead of adding another one
+  const again = mergeSharedBible(merged.bible, shared);
+  expect(again.bible).toBe(merged.bible);
+  expect(again.form.characterRefs).toEqual([copy.id]);
+  expect(again.copied).toEqual([]);
+});
@@ -0,0 +1,73 @@
+// Pure helpers for the storyboard shot list. Every helper returns a new array
+// so they can be passed straight to a useState setter.
+
+// Per-shot fields edited in storyboard mode; everything else comes from the shared form
+export const SHOT_FIELDS = ['sceneDescription', 'cameraMovements', 'textToSpeech'];
+
+let shotCounter = 0;
+
+/**
+ * Creates a new shot with its own per-shot fields.
+ * Global fields (style, genre, lighting, format...) stay on the main form.
+ * @param {object} [fields] - Initial values for sceneDescription, cameraMovements and textToSpeech.
+ * @returns {object} The new shot.
+ */
+export const createShot = (fields = {}) => {
+    shotCounter += 1;
+    return {
+        sceneDescription: '',
+        cameraMovements: '',
+        textToSpeech: '',
+        ...fields,
+        id: `shot-${Date.now()}-${shotCounter}`,
+    };
+};
+
+/**
+ * Moves the shot at `index` by `offset` positions, ignoring moves past either end.
+ */
+export const moveShot = (shots, index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= shots.length) return shots;
+    const next = [...shots];
+    const [shot] = next.splice(index, 1);
+    next.splice(target, 0, shot);
+    return next;
+};
+
+/**
+ * Inserts a copy of the shot at `index` right after it.
+ */
+export const duplicateShot = (shots, index) => {
+    const { id, ...fields } = shots[index];
+    const next = [...shots];
+    next.splice(index + 1, 0, createShot(fields));
+    return next;
+};
+
+/**
+ * Removes the shot at `index`. The storyboard always keeps at least one shot.
+ */
+export const removeShot = (shots, index) => {
+    if (shots.length <= 1) return shots;
+    return shots.filter((_, i) => i !== index);
+};
+
+/**
+ * Updates a single field of the shot with the given id.
+ */
+export const updateShot = (shots, id, field, value) =>
+    shots.map((shot) => (shot.id === id ? { ...shot, [field]: value } : shot));
+
+/**
+ * Formats the generated shot prompts as a numbered script, in storyboard order.
+ * Shots without a generated prompt are skipped.
+ * @param {Array<object>} shots - The storyboard shots.
+ * @param {Object<string, { prompt?: string }>} results - Generation results keyed by shot id.
+ * @returns {string} The numbered script.
+ */
+export const formatScript = (shots, results) =>
+    shots
+        .map((shot, i) => (results[shot.id]?.prompt ? `Shot ${i + 1}:\n${results[shot.id].prompt}` : null))
+        .filter(Boolean)
+        .join('\n\n');
@@ -0,0 +1,53 @@
+import { createShot, duplicateShot, formatScript, moveShot, removeShot, updateShot } from './shots';
+
+const makeShots = () => [
+  createShot({ sceneDescription: 'A' }),
+  createShot({ sceneDescription: 'B' }),
+  createShot({ sceneDescription: 'C' }),
+];
+const scenes = (shots) => shots.map((shot) => shot.sceneDescription);
+
+test('createShot gives every shot a unique id', () => {
+  const [a, b] = [createShot(), createShot()];
+  expect(a.id).not.toBe(b.id);
+  expect(a).toMatchObject({ sceneDescription: '', cameraMovements: '', textToSpeech: '' });
+});
+
+test('moveShot reorders and ignores moves past either end', () => {
+  const shots = makeShots();
+  expect(scenes(moveShot(shots, 0, 1))).toEqual(['B', 'A', 'C']);
+  expect(scenes(moveShot(shots, 2, -2))).toEqual(['C', 'A', 'B']);
+  expect(moveShot(shots, 0, -1)).toBe(shots);
+  expect(moveShot(shots, 2, 1)).toBe(shots);
+});
+
+test('duplicateShot inserts a copy with a new id after the original', () => {
+  const shots = makeShots();
+  const next = duplicateShot(shots, 1);
+  expect(scenes(next)).toEqual(['A', 'B', 'B', 'C']);
+  expect(next[2].id).not.toBe(next[1].id);
+});
+
+test('removeShot keeps at least one shot', () => {
+  const shots = makeShots();
+  expect(scenes(removeShot(shots, 1))).toEqual(['A', 'C']);
+  const single = [createShot()];
+  expect(removeShot(single, 0)).toBe(single);
+});
+
+test('updateShot only changes the targeted shot', () => {
+  const shots = makeShots();
+  const next = updateShot(shots, shots[1].id, 'cameraMovements', 'Dolly in');
+  expect(next[1].cameraMovements).toBe('Dolly in');
+  expect(next[0]).toBe(shots[0]);
+});
+
+test('formatScript numbers shots in storyboard order and skips failed ones', () => {
+  const shots = makeShots();
+  const results = {
+    [shots[0].id]: { prompt: 'First prompt' },
+    [shots[1].id]: { error: 'boom' },
+    [shots[2].id]: { prompt: 'Third prompt' },
+  };
+  expect(formatScript(shots, results)).toBe('Shot 1:\nFirst prompt\n\nShot 3:\nThird prompt');
+});
@@ -0,0 +1,123 @@
+// Structured (JSON) output mode: the Veo-specific fields the model fills in,
+// the response schema sent to Gemini, validation of what comes back, and
+// recomposition into a flat prompt.
+
+import { LocalizedError } from './i18n';
+
+// Aspect ratio implied by each video format option
+export const FORMAT_ASPECT_RATIOS = {
+    landscape: '16:9',
+    portrait: '9:16',
+    square: '1:1',
+    vertical: '4:5',
+    ultrawide: '21:9',
+};
+
+export const ASPECT_RATIOS = Object.values(FORMAT_ASPECT_RATIOS);
+
+export const DEFAULT_DURATION = 8; // Seconds, the length of a single Veo 3 clip
+const MAX_DURATION = 60;
+
+// Editable fields, in display and composition order. Descriptions go to the model;
+// UI labels live in the i18n catalogs under structured.fields.
+export const STRUCTURED_FIELDS = [
+    { name: 'subject', description: 'Who or what the shot is about, with visual details', required: true },
+    { name: 'action', description: 'What the subject does during the clip', required: true },
+    { name: 'setting', description: 'Where and when the scene takes place', required: true },
+    { name: 'camera', description: 'Shot type, lens and camera movement', required: true },
+    { name: 'lighting', description: 'Light sources, quality and mood', required: true },
+    { name: 'style', description: 'Visual style, genre and color grade', required: true },
+    { name: 'dialogue', description: 'Spoken lines, quoted exactly and each prefixed with the speaking character, or an empty string' },
+    { name: 'ambientSound', description: 'Ambient soundscape, sound effects and music' },
+    { name: 'negativePrompt', description: 'Things that must not appear in the video' },
+];
+
+/**
+ * Gemini responseSchema (OpenAPI subset) for a structured Veo prompt.
+ */
+export const VEO_RESPONSE_SCHEMA = {
+    type: 'OBJECT',
+    properties: {
+        ...Object.fromEntries(STRUCTURED_FIELDS.map(({ name, description }) => [name, { type: 'STRING', description }])),
+        aspectRatio: { type: 'STRING', enum: ASPECT_RATIOS, description: 'Aspect ratio of the video' },
+        duration: { type: 'INTEGER', description: 'Clip duration in seconds' },
+    },
+    required: [...STRUCTURED_FIELDS.filter((field) => field.required).map((field) => field.name), 'aspectRatio', 'duration'],
+    propertyOrdering: [...STRUCTURED_FIELDS.map((field) => field.name), 'aspectRatio', 'duration'],
+};
+
+/**
+ * Checks and normalizes a structured prompt object.
+ * Missing optional text becomes '', invalid aspect ratio or duration fall back to defaults,
+ * and every problem is reported as an i18n key so the user can fix it in the editor.
+ * @param {object} raw - Parsed JSON from the model or the editor.
+ * @param {{ aspectRatio?: string, duration?: number }} [defaults] - Fallbacks taken from the form.
+ * @returns {{ data: object, errors: Array<{ key: string, params: object }> }} The normalized object and validation problems.
+ */
+export const validateStructuredPrompt = (raw, { aspectRatio = ASPECT_RATIOS[0], duration: defaultDuration = DEFAULT_DURATION } = {}) => {
+    const errors = [];
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        return { data: null, errors: [{ key: 'structured.errors.notObject', params: {} }] };
+    }
+
+    const data = {};
+    STRUCTURED_FIELDS.forEach(({ name, required }) => {
+        const value = typeof raw[name] === 'string' ? raw[name].trim() : '';
+        if (required && !value) errors.push({ key: 'structured.errors.emptyField', params: { field: name } });
+        data[name] = value;
+    });
+
+    if (ASPECT_RATIOS.includes(raw.aspectRatio)) {
+        data.aspectRatio = raw.aspectRatio;
+    } else {
+        errors.push({ key: 'structured.errors.invalidAspectRatio', params: { value: raw.aspectRatio } });
+        data.aspectRatio = aspectRatio;
+    }
+
+    const duration = Number(raw.duration);
+    if (Number.isInteger(duration) && duration > 0 && duration <= MAX_DURATION) {
+        data.duration = duration;
+    } else {
+        errors.push({ key: 'structured.errors.invalidDuration', params: { value: raw.duration } });
+        data.duration = defaultDuration;
+    }
+
+    return { data, errors };
+};
+
+/**
+ * Parses a model response into a validated structured prompt.
+ * Tolerates Markdown code fences around the JSON. Throws when the text is not JSON at all.
+ * @param {string} text - Raw model output.
+ * @param {{ aspectRatio?: string, duration?: number }} [defaults] - Fallbacks taken from the form.
+ * @returns {{ data: object, errors: Array<{ key: string, params: object }>, raw: * }}
+ *   raw is the parsed JSON as the model sent it, before validation.
+ */
+export const parseStructuredPrompt = (text, defaults) => {
+    const json = text.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+    let raw;
+    try {
+        raw = JSON.parse(json);
+    } catch (err) {
+        throw new LocalizedError('structured.errors.invalidJson', { message: err.message });
+    }
+    return { ...validateStructuredPrompt(raw, defaults), raw };
+};
+
+/**
+ * Recomposes a structured prompt into the flat text Veo expects.
+ * @param {object} data - A validated structured prompt.
+ * @returns {string} The flat prompt.
+ */
+export const composeFlatPrompt = (data) => {
+    const sentence = [data.subject, data.action, data.setting].filter(Boolean).join(', ');
+    const parts = [`${sentence}.`];
+    if (data.camera) parts.push(`Camera: ${data.camera}.`);
+    if (data.lighting) parts.push(`Lighting: ${data.lighting}.`);
+    if (data.style) parts.push(`Style: ${data.style}.`);
+    if (data.dialogue) parts.push(`Dialogue: "${data.dialogue.replace(/^["']|["']$/g, '')}"`);
+    if (data.ambientSound) parts.push(`Ambient sound: ${data.ambientSound}.`);
+    parts.push(`Aspect ratio: ${data.aspectRatio}, duration: ${data.duration}s.`);
+    if (data.negativePrompt) parts.push(`Avoid: ${data.negativePrompt}.`);
+    return parts.join(' ').replace(/\.\./g, '.');
+};
@@ -0,0 +1,71 @@
+import {
+  VEO_RESPONSE_SCHEMA,
+  composeFlatPrompt,
+  parseStructuredPrompt,
+  validateStructuredPrompt,
+} from './structuredPrompt';
+import { renderOfflineStructured } from './providers/offline';
+import { DEFAULT_FORM } from './formFields';
+
+const complete = {
+  subject: 'A weathered lighthouse keeper',
+  action: 'climbs the spiral staircase',
+  setting: 'inside a storm-battered lighthouse at night',
+  camera: 'Low-angle handheld follow shot',
+  lighting: 'Flickering lantern light',
+  style: 'Moody cinematic realism',
+  dialogue: 'The light must not go out.',
+  ambientSound: 'Howling wind, waves crashing',
+  negativePrompt: 'text overlays, watermarks',
+  aspectRatio: '9:16',
+  duration: 8,
+};
+
+test('the response schema requires the core fields plus aspect ratio and duration', () => {
+  expect(VEO_RESPONSE_SCHEMA.required).toEqual(
+    ['subject', 'action', 'setting', 'camera', 'lighting', 'style', 'aspectRatio', 'duration']
+  );
+  expect(VEO_RESPONSE_SCHEMA.properties.duration.type).toBe('INTEGER');
+});
+
+test('parseStructuredPrompt accepts fenced JSON and reports no errors for a complete object', () => {
+  const { data, errors, raw } = parseStructuredPrompt('```json\n' + JSON.stringify(complete) + '\n```');
+  expect(errors).toEqual([]);
+  expect(data).toEqual(complete);
+  expect(raw).toEqual(complete);
+});
+
+test('parseStructuredPrompt keeps the raw values that validation replaced', () => {
+  const { data, raw } = parseStructuredPrompt(JSON.stringify({ ...complete, aspectRatio: '4:3' }), { aspectRatio: '16:9' });
+  expect(data.aspectRatio).toBe('16:9');
+  expect(raw.aspectRatio).toBe('4:3');
+});
+
+test('parseStructuredPrompt throws on non-JSON output', () => {
+  expect(() => parseStructuredPrompt('A dragon over a nebula.')).toThrow(/valid JSON/);
+});
+
+test('validateStructuredPrompt flags missing fields and falls back on bad ratio or duration', () => {
+  const { data, errors } = validateStructuredPrompt(
+    { ...complete, subject: '  ', aspectRatio: '4:3', duration: '-2' },
+    { aspectRatio: '16:9' }
+  );
+  expect(errors).toHaveLength(3);
+  expect(data).toMatchObject({ subject: '', aspectRatio: '16:9', duration: 8 });
+  expect(validateStructuredPrompt({ ...complete, duration: '6' }).data.duration).toBe(6);
+  expect(validateStructuredPrompt([]).data).toBeNull();
+});
+
+test('composeFlatPrompt recomposes every filled field', () => {
+  expect(composeFlatPrompt(complete)).toBe(
+    'A weathered lighthouse keeper, climbs the spiral staircase, inside a storm-battered lighthouse at night. '
+    + 'Camera: Low-angle handheld follow shot. Lighting: Flickering lantern light. Style: Moody cinematic realism. '
+    + 'Dialogue: "The light must not go out." Ambient sound: Howling wind, waves crashing. '
+    + 'Aspect ratio: 9:16, duration: 8s. Avoid: text overlays, watermarks.'
+  );
+});
+
+test('the offline structured output is valid against the schema', () => {
+  const { errors } = validateStructuredPrompt(renderOfflineStructured({ ...DEFAULT_FORM, videoFormat: 'portrait' }));
+  expect(errors).toEqual([]);
+});
@@ -0,0 +1,58 @@
+// Word-level diff used to show what changed between two prompt versions.
+
+/**
+ * Splits text into words, each carrying its trailing whitespace, so joining the
+ * tokens gives back the original text exactly. Leading whitespace is its own token.
+ */
+const tokenize = (text) => text.match(/^\s+|\S+\s*/g) || [];
+
+/**
+ * Computes a word-level diff between two texts using a longest-common-subsequence table.
+ * Consecutive tokens of the same type are merged into one segment.
+ * @param {string} before - The previous text.
+ * @param {string} after - The new text.
+ * @returns {Array<{ type: 'same'|'added'|'removed', text: string }>} Diff segments in reading order.
+ */
+export const diffWords = (before, after) => {
+    const a = tokenize(before);
+    const b = tokenize(after);
+    // Words are compared without their whitespace so a reflowed line is not a change
+    const same = (i, j) => a[i].trim() === b[j].trim();
+
+    // lcs[i][j] = length of the LCS of a[i..] and b[j..]
+    const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i -= 1) {
+        for (let j = b.length - 1; j >= 0; j -= 1) {
+            lcs[i][j] = same(i, j) ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const segments = [];
+    const push = (type, text) => {
+        const last = segments[segments.length - 1];
+        if (last && last.type === type) {
+            last.text += text;
+        } else {
+            segments.push({ type, text });
+        }
+    };
+
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (same(i, j)) {
+            push('same', b[j]);
+            i += 1;
+            j += 1;
+        } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+            push('removed', a[i]);
+            i += 1;
+        } else {
+            push('added', b[j]);
+            j += 1;
+        }
+    }
+    a.slice(i).forEach((token) => push('removed', token));
+    b.slice(j).forEach((token) => push('added', token));
+    return segments;
+};
@@ -0,0 +1,22 @@
+import { diffWords } from './textDiff';
+
+test('diffWords marks added and removed words and keeps the rest', () => {
+  expect(diffWords('A slow pan over the city', 'A fast dolly zoom over the city')).toEqual([
+    { type: 'same', text: 'A ' },
+    { type: 'removed', text: 'slow pan ' },
+    { type: 'added', text: 'fast dolly zoom ' },
+    { type: 'same', text: 'over the city' },
+  ]);
+});
+
+test('diffWords handles empty and identical texts', () => {
+  expect(diffWords('', 'New prompt')).toEqual([{ type: 'added', text: 'New prompt' }]);
+  expect(diffWords('Old prompt', '')).toEqual([{ type: 'removed', text: 'Old prompt' }]);
+  expect(diffWords('Same', 'Same')).toEqual([{ type: 'same', text: 'Same' }]);
+});
+
+test('joining the kept and added segments rebuilds the new text', () => {
+  const after = 'A moody neon street, rain falling, dolly zoom on the detective.';
+  const segments = diffWords('A neon street at night, slow pan on the detective.', after);
+  expect(segments.filter((s) => s.type !== 'removed').map((s) => s.text).join('')).toBe(after);
+});